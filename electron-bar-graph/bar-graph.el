@@ -47,12 +47,28 @@
   :type '(repeat string)
   :group 'bar-graph)
 
+(defcustom bar-graph-log-base nil
+  "Base of a logarithmic value scale, or nil for a linear scale.
+On a log scale bars grow from the power of the base just below the
+smallest positive value.  Zero and negative values cannot be shown
+there; they are drawn as empty bars, with a warning."
+  :type '(choice (const :tag "Linear" nil) (number :tag "Log base"))
+  :group 'bar-graph)
+
 (defvar bar-graph-data nil
   "Current bar graph data.")
 
 (defvar bar-graph-labels nil
   "Current bar graph labels.")
 
+(defvar bar-graph-series nil
+  "Current grouped bar graph data, or nil for a single series.
+Each element is a list (NAME VALUE...) with one value per label.")
+
+(defun bar-graph-color (index)
+  "Return the color for the bar or series at INDEX."
+  (nth (mod index (length bar-graph-colors)) bar-graph-colors))
+
 (defun bar-graph-parse-values (values-string)
   "Parse comma-separated values string into a list of numbers."
   (let ((values (split-string values-string ",")))
@@ -62,27 +78,75 @@
   "Parse comma-separated labels string into a list of strings."
   (mapcar 'string-trim (split-string labels-string ",")))
 
+(defun bar-graph-value-range (values)
+  "Return (MIN . MAX) of VALUES, widened so that zero is always included."
+  (cons (min 0 (apply 'min values))
+        (max 0 (apply 'max values))))
+
+(defun bar-graph-log-range (values base)
+  "Return (LOW . HIGH), the powers of BASE spanning the positive VALUES.
+LOW is the power just below the smallest value, so that value still
+gets a bar, and HIGH the power at or above the largest."
+  (let* ((positive (cl-remove-if-not (lambda (x) (> x 0)) values))
+         (low (if positive (1- (ceiling (- (log (apply 'min positive) base) 1e-9))) 0))
+         (high (if positive (ceiling (- (log (apply 'max positive) base) 1e-9)) 1)))
+    (cons low (max high (1+ low)))))
+
 (defun bar-graph-normalize-data (values)
-  "Normalize values to fit within the graph height."
-  (let ((max-value (apply 'max values)))
-    (if (> max-value 0)
-        (mapcar (lambda (x) (* (/ x max-value) bar-graph-height)) values)
-      values)))
-
-(defun bar-graph-draw-bar (value label color)
-  "Draw a single bar with the given value, label, and color."
-  (let ((bar-height (round value)))
+  "Normalize values to fit within the graph height.
+The scale covers the distance from the smallest to the largest value,
+with zero always included, so negative values stay negative.  When
+`bar-graph-log-base' is set, values are placed by their logarithm
+instead, see `bar-graph-normalize-log'."
+  (if bar-graph-log-base
+      (bar-graph-normalize-log values bar-graph-log-base)
+    (let* ((range (bar-graph-value-range values))
+           (span (- (cdr range) (car range))))
+      (if (> span 0)
+          (mapcar (lambda (x) (* (/ (float x) span) bar-graph-height)) values)
+        values))))
+
+(defun bar-graph-normalize-log (values base)
+  "Normalize VALUES to the graph height on a log scale in BASE.
+Zero and negative values become 0 and are reported in a warning."
+  (let* ((range (bar-graph-log-range values base))
+         (span (- (cdr range) (car range)))
+         (left-out (cl-count-if (lambda (x) (<= x 0)) values)))
+    (when (> left-out 0)
+      (display-warning 'bar-graph
+                       (format "%d zero or negative value(s) cannot be shown on a log scale and were left out"
+                               left-out)))
+    (mapcar (lambda (x)
+              (if (> x 0)
+                  (* (/ (- (log x base) (car range)) (float span)) bar-graph-height)
+                0))
+            values)))
+
+(defun bar-graph-insert-bar (value color &optional zero-column)
+  "Insert a bar VALUE characters long in COLOR, without a newline.
+ZERO-COLUMN is the column of the zero line; negative bars are drawn
+to its left and positive bars to its right."
+  (let ((bar-length (round (abs value)))
+        (zero-column (or zero-column 0)))
+    ;; Indent up to where the bar starts
+    (insert (make-string (if (< value 0) (- zero-column bar-length) zero-column) ?\s))
     ;; Draw the bar
-    (dotimes (i bar-height)
-      (insert (propertize bar-graph-char 'face `(:foreground ,color))))
-    (insert "\n")
-    ;; Draw the label
-    (insert (format " %s\n" label))))
+    (dotimes (i bar-length)
+      (insert (propertize bar-graph-char 'face `(:foreground ,color))))))
+
+(defun bar-graph-draw-bar (value label color &optional zero-column)
+  "Draw a single bar with the given value, label, and color.
+ZERO-COLUMN is as for `bar-graph-insert-bar'."
+  (bar-graph-insert-bar value color zero-column)
+  (insert "\n")
+  ;; Draw the label
+  (insert (format " %s\n" label)))
 
 (defun bar-graph-create-ascii (values labels)
   "Create ASCII art bar graph from values and labels."
-  (let ((normalized-values (bar-graph-normalize-data values))
-        (buffer (get-buffer-create "*Bar Graph*")))
+  (let* ((normalized-values (bar-graph-normalize-data values))
+         (zero-column (round (- (apply 'min 0 normalized-values))))
+         (buffer (get-buffer-create "*Bar Graph*")))
     (with-current-buffer buffer
       (erase-buffer)
       (insert "Bar Graph Visualization\n")
@@ -90,11 +154,11 @@
       
       ;; Draw bars
       (cl-mapcar (lambda (value label color)
-                   (bar-graph-draw-bar value label color))
+                   (bar-graph-draw-bar value label color zero-column))
                  normalized-values
                  labels
                  (cl-loop for i from 0 below (length values)
-                          collect (nth (mod i (length bar-graph-colors)) bar-graph-colors)))
+                          collect (bar-graph-color i)))
       
       ;; Draw X-axis
       (insert (make-string bar-graph-width ?-))
@@ -110,48 +174,109 @@
     (switch-to-buffer buffer)
     (goto-char (point-min))))
 
+(defun bar-graph-create-grouped-ascii (series labels)
+  "Create an ASCII bar graph with one bar per series for each label.
+SERIES is a list of (NAME VALUE...) lists with one value per label."
+  (let* ((normalized (bar-graph-normalize-data (apply 'append (mapcar 'cdr series))))
+         (zero-column (round (- (apply 'min 0 normalized))))
+         (count (length labels))
+         (buffer (get-buffer-create "*Bar Graph*")))
+    (with-current-buffer buffer
+      (erase-buffer)
+      (insert "Bar Graph Visualization\n")
+      (insert (make-string (+ (length (car (split-string (buffer-string) "\n"))) 2) ?=) "\n\n")
+
+      ;; Legend
+      (cl-loop for s in series
+               for i from 0
+               do (insert (propertize bar-graph-char 'face `(:foreground ,(bar-graph-color i)))
+                          (format " %s  " (car s))))
+      (insert "\n\n")
+
+      ;; One group of bars per label, one bar per series
+      (cl-loop for label in labels
+               for index from 0
+               do (insert (format "%s\n" label))
+               (cl-loop for s in series
+                        for i from 0
+                        do (let ((value (nth index (cdr s))))
+                             (bar-graph-insert-bar (nth (+ (* i count) index) normalized)
+                                                   (bar-graph-color i) zero-column)
+                             (insert (format " %s\n" value))))
+               (insert "\n"))
+
+      ;; Draw X-axis
+      (insert (make-string bar-graph-width ?-))
+      (insert "\n"))
+
+    (switch-to-buffer buffer)
+    (goto-char (point-min))))
+
 (defun bar-graph-export-svg (values labels filename)
   "Export bar graph as SVG."
-  (let ((svg-width 760)
-        (svg-height 400)
-        (top-padding 30)
-        (bottom-padding 40)
-        (side-padding 30)
-        (graph-width (- svg-width (* 2 side-padding)))
-        (graph-height (- svg-height top-padding bottom-padding))
-        (max-value (apply 'max values))
-        (scale (/ graph-height max-value))
-        (num-bars (length values)))
+  (bar-graph-export-grouped-svg (list (cons "Series 1" values)) labels filename))
+
+(defun bar-graph-export-grouped-svg (series labels filename)
+  "Export a bar graph with one or more series as SVG.
+SERIES is a list of (NAME VALUE...) lists with one value per label."
+  (let* ((svg-width 760)
+         (svg-height 400)
+         (top-padding 30)
+         (bottom-padding 40)
+         (side-padding 30)
+         (graph-width (- svg-width (* 2 side-padding)))
+         (graph-height (- svg-height top-padding bottom-padding))
+         (range (bar-graph-value-range (apply 'append (mapcar 'cdr series))))
+         (min-value (car range))
+         (max-value (cdr range))
+         (span (- max-value min-value))
+         (scale (if (> span 0) (/ (float graph-height) span) 0))
+         (zero-y (if (> span 0)
+                     (round (+ top-padding (* max-value scale)))
+                   (- svg-height bottom-padding)))
+         (num-bars (length labels))
+         (num-series (length series)))
     
     (with-temp-file filename
       (insert (format "<svg width=\"%d\" height=\"%d\" xmlns=\"http://www.w3.org/2000/svg\">\n" svg-width svg-height))
       (insert "<rect width=\"100%\" height=\"100%\" fill=\"white\"/>\n")
       
-      ;; Draw bars
-      (let ((bar-width (/ graph-width num-bars))
-            (x-offset side-padding))
-        (cl-mapcar (lambda (value label color)
-                     (let ((bar-height (* value scale)))
-                       (insert (format "<rect x=\"%d\" y=\"%d\" width=\"%d\" height=\"%d\" fill=\"%s\"/>\n"
-                                       x-offset
-                                       (- svg-height bottom-padding bar-height)
-                                       bar-width
-                                       bar-height
-                                       color))
-                       (insert (format "<text x=\"%d\" y=\"%d\" text-anchor=\"middle\" font-family=\"Arial\" font-size=\"12\" fill=\"black\">%s</text>\n"
-                                       (+ x-offset (/ bar-width 2))
-                                       (+ svg-height (- bottom-padding) 20)
-                                       label))
-                       (setq x-offset (+ x-offset bar-width))))
-                   values
-                   labels
-                   (cl-loop for i from 0 below (length values)
-                            collect (nth (mod i (length bar-graph-colors)) bar-graph-colors)))
+      ;; Draw bars, clustered by label with one color per series
+      (let* ((group-width (/ graph-width num-bars))
+             (bar-width (/ group-width num-series))
+             (x-offset side-padding))
+        (cl-loop for label in labels
+                 for index from 0
+                 do (cl-loop for s in series
+                             for i from 0
+                             do (let* ((value (nth index (cdr s)))
+                                       (bar-height (round (* (abs value) scale))))
+                                  (insert (format "<rect x=\"%d\" y=\"%d\" width=\"%d\" height=\"%d\" fill=\"%s\"/>\n"
+                                                  (+ x-offset (* i bar-width))
+                                                  (if (< value 0) zero-y (- zero-y bar-height))
+                                                  bar-width
+                                                  bar-height
+                                                  (bar-graph-color (if (> num-series 1) i index))))))
+                 (insert (format "<text x=\"%d\" y=\"%d\" text-anchor=\"middle\" font-family=\"Arial\" font-size=\"12\" fill=\"black\">%s</text>\n"
+                                 (+ x-offset (/ group-width 2))
+                                 (+ svg-height (- bottom-padding) 20)
+                                 label))
+                 (setq x-offset (+ x-offset group-width))))
+
+      ;; Legend naming each series
+      (when (> num-series 1)
+        (cl-loop for s in series
+                 for i from 0
+                 do (let ((legend-x (+ side-padding (* i 100))))
+                      (insert (format "<rect x=\"%d\" y=\"%d\" width=\"10\" height=\"10\" fill=\"%s\"/>\n"
+                                      legend-x 10 (bar-graph-color i)))
+                      (insert (format "<text x=\"%d\" y=\"%d\" dominant-baseline=\"middle\" font-family=\"Arial\" font-size=\"12\" fill=\"black\">%s</text>\n"
+                                      (+ legend-x 15) 15 (car s))))))
       
       ;; Draw axes
       (insert (format "<line x1=\"%d\" y1=\"%d\" x2=\"%d\" y2=\"%d\" stroke=\"black\" stroke-width=\"2\"/>\n"
-                      side-padding (- svg-height bottom-padding)
-                      (- svg-width side-padding) (- svg-height bottom-padding)))
+                      side-padding zero-y
+                      (- svg-width side-padding) zero-y))
       (insert (format "<line x1=\"%d\" y1=\"%d\" x2=\"%d\" y2=\"%d\" stroke=\"black\" stroke-width=\"2\"/>\n"
                       side-padding top-padding
                       side-padding (- svg-height bottom-padding)))
@@ -159,10 +284,17 @@
       ;; Y-axis labels
       (insert (format "<text x=\"%d\" y=\"%d\" text-anchor=\"end\" dominant-baseline=\"middle\" font-family=\"Arial\" font-size=\"12\" fill=\"black\">%.1f</text>\n"
                       (- side-padding 10) top-padding max-value))
-      (insert (format "<text x=\"%d\" y=\"%d\" text-anchor=\"end\" dominant-baseline=\"middle\" font-family=\"Arial\" font-size=\"12\" fill=\"black\">0</text>\n"
-                      (- side-padding 10) (- svg-height bottom-padding)))
+      (if (< min-value 0)
+          (progn
+            (insert (format "<text x=\"%d\" y=\"%d\" text-anchor=\"end\" dominant-baseline=\"middle\" font-family=\"Arial\" font-size=\"12\" fill=\"black\">%.1f</text>\n"
+                            (- side-padding 10) (- svg-height bottom-padding) min-value))
+            (when (> max-value 0)
+              (insert (format "<text x=\"%d\" y=\"%d\" text-anchor=\"end\" dominant-baseline=\"middle\" font-family=\"Arial\" font-size=\"12\" fill=\"black\">0</text>\n"
+                              (- side-padding 10) zero-y))))
+        (insert (format "<text x=\"%d\" y=\"%d\" text-anchor=\"end\" dominant-baseline=\"middle\" font-family=\"Arial\" font-size=\"12\" fill=\"black\">0</text>\n"
+                        (- side-padding 10) (- svg-height bottom-padding))))
       
-      (insert "</svg>\n")))))
+      (insert "</svg>\n"))))
 
 (defun bar-graph-interactive ()
   "Interactive bar graph creation."
@@ -175,18 +307,21 @@
           (progn
             (setq bar-graph-data values)
             (setq bar-graph-labels labels)
+            (setq bar-graph-series nil)
             (bar-graph-create-ascii values labels))
         (message "Error: Number of values must match number of labels")))))
 
 (defun bar-graph-export-menu ()
   "Export menu for bar graph."
   (interactive)
-  (if (and bar-graph-data bar-graph-labels)
+  (if (and (or bar-graph-data bar-graph-series) bar-graph-labels)
       (let ((format (completing-read "Export format: " '("svg" "ascii") nil t)))
         (cond
          ((string= format "svg")
           (let ((filename (read-file-name "Save SVG as: " nil nil nil "bar-graph.svg")))
-            (bar-graph-export-svg bar-graph-data bar-graph-labels filename)
+            (if bar-graph-series
+                (bar-graph-export-grouped-svg bar-graph-series bar-graph-labels filename)
+              (bar-graph-export-svg bar-graph-data bar-graph-labels filename))
             (message "SVG exported to %s" filename)))
          ((string= format "ascii")
           (let ((filename (read-file-name "Save ASCII as: " nil nil nil "bar-graph.txt")))
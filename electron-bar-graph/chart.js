@@ -0,0 +1,969 @@
+/*
+ * Electron Bar Graph - A bar graph application using Electron and JavaScript.
+ * Copyright (C) 2025
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+// Chart layout shared by the canvas renderer and SVG export. layoutChart
+// turns the data into a list of drawing items: rects, lines, text and
+// gradients. drawChart and chartToSVG replay that list, so both outputs
+// match.
+//
+// Data shape: { labels: [...], series: [{ name, values: [...] }, ...] }
+// Every series has one value per label.
+//
+// Bar modes: "grouped" puts the series side by side, "stacked" piles them
+// up and "percent" stacks each value's share of its category. Vertical
+// bars grow up from the categories along the bottom, horizontal ones grow
+// right from the categories down the left side.
+//
+// Scales: "linear" measures bars from zero. "log" spaces the ticks by
+// powers of logBase and leaves out zero and negative values, with a
+// warning.
+//
+// The layout keeps each bar's rectangle, for finding, describing and
+// highlighting the bar under the pointer. Its valueAxis and categoryAxis
+// map positions back to data, for dragging bars.
+
+const { hexToRgb } = require("./colors.js");
+const { formatNumber } = require("./format.js");
+const { DEFAULT_THEME } = require("./themes.js");
+const { createColorScale, checkContrast } = require("./palettes.js");
+const { findRule, describeRule } = require("./rules.js");
+const { PATTERN_SIZE, PATTERN_LINE_WIDTH, PATTERN_SHAPES, patternInk } = require("./patterns.js");
+
+const DEFAULT_WIDTH = 760;
+const DEFAULT_HEIGHT = 400;
+const FONT_FAMILY = "Arial";
+const FONT_SIZE = 12;
+const TITLE_SIZE = 16;
+const SUBTITLE_SIZE = 13;
+const NOTE_SIZE = 11;
+const BAR_MODES = ["grouped", "stacked", "percent"];
+const ORIENTATIONS = ["vertical", "horizontal"];
+const SCALES = ["linear", "log"];
+// Value labels sit centered in the bar, just inside its end or just past
+// it. A label that does not fit inside its bar goes past the end.
+const VALUE_LABELS = ["none", "inside", "end", "above"];
+// The legend takes a band above, right of or below the plot, or a box in
+// its top right corner
+const LEGEND_POSITIONS = ["none", "top", "right", "bottom", "inside"];
+const DEFAULT_LOG_BASE = 10;
+// What a bar's tooltip can show, in the order it is shown
+const TOOLTIP_FIELDS = ["label", "series", "value", "percent", "rank"];
+const HIGHLIGHT_COLOR = "#222222";
+
+const topPadding = 30;
+const bottomPadding = 40;
+const sidePadding = 30;
+const barSpacing = 10;
+const tickSpacing = 50; // rough room each value axis tick needs, in pixels
+const titleHeight = 30;
+const subtitleHeight = 20;
+const axisTitleHeight = 20;
+const footnoteHeight = 20;
+const legendRowHeight = 18;
+const legendSwatch = 10;
+const legendGap = 15; // between entries on a row
+const labelLineHeight = FONT_SIZE + 2;
+const maxLabelLines = 2;
+const maxTurnedLength = 120; // longest a turned category label may get
+const colorBarLength = 160;
+const colorBarSamples = 16; // gradient stops are taken this far apart, plus one
+
+// Rough text width for when no canvas is available to measure with
+const estimateTextWidth = (text, font) => {
+  const size = parseFloat(/(\d+(?:\.\d+)?)px/.exec(font || "")?.[1]) || FONT_SIZE;
+  return String(text).length * size * 0.6;
+};
+
+const fontString = ({ size = FONT_SIZE, family = FONT_FAMILY, weight }) =>
+  `${weight ? `${weight} ` : ""}${size}px ${family}`;
+
+// Value range for the value axis. Zero is always part of the range so bars
+// grow up or down from a baseline inside the plot; zeroFraction is how
+// far down the plot that baseline sits (1 when every value is zero).
+const getValueRange = (values) => {
+  const maxValue = Math.max(0, ...values);
+  const minValue = Math.min(0, ...values);
+  const span = maxValue - minValue;
+  return {
+    minValue,
+    maxValue,
+    span: span || 1,
+    zeroFraction: span ? maxValue / span : 1,
+  };
+};
+
+// Round step sizes for at most maxTicks ticks across a range: 1, 2 or 5
+// times a power of ten. The bounds are pushed out to whole steps, so the
+// axis starts and ends on a labelled tick.
+const niceTicks = (minValue, maxValue, maxTicks = 6) => {
+  if (maxValue === minValue) maxValue = minValue + 1;
+  const rough = (maxValue - minValue) / Math.max(1, maxTicks - 1);
+  const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+  const fraction = rough / magnitude;
+  const step = (fraction <= 1 ? 1 : fraction <= 2 ? 2 : fraction <= 5 ? 5 : 10) * magnitude;
+  const decimals = Math.max(0, -Math.floor(Math.log10(step)));
+
+  // Work in whole steps to keep floating-point noise out of the labels
+  const first = Math.floor(minValue / step + 1e-9);
+  const last = Math.ceil(maxValue / step - 1e-9);
+  const ticks = [];
+  for (let i = first; i <= last; i++) {
+    ticks.push(Number((i * step).toFixed(decimals)));
+  }
+  return { min: ticks[0], max: ticks[ticks.length - 1], step, decimals, ticks };
+};
+
+// Logarithm in the given base, exact for powers of 10 and 2
+const logOf = (value, base) =>
+  base === 10 ? Math.log10(value) : base === 2 ? Math.log2(value) : Math.log(value) / Math.log(base);
+
+// Ticks for a log scale, in exponents of base: one per power of base from
+// the one below the smallest positive value, so that value still gets a
+// visible bar, to the one at or above the largest. When that is more than
+// maxTicks, every second (third, ...) power is labelled instead. values
+// are the ticks as plain numbers.
+const logTicks = (minValue, maxValue, base = DEFAULT_LOG_BASE, maxTicks = 6) => {
+  const first = Math.ceil(logOf(minValue, base) - 1e-9) - 1;
+  let last = Math.ceil(logOf(maxValue, base) - 1e-9);
+  if (last <= first) last = first + 1;
+  const step = Math.ceil((last - first) / Math.max(1, maxTicks - 1));
+  const ticks = [];
+  for (let k = first; k < last + step; k += step) ticks.push(k);
+  const values = ticks.map((k) => Number(Math.pow(base, k).toPrecision(6)));
+  return { min: ticks[0], max: ticks[ticks.length - 1], step, ticks, values };
+};
+
+// Where each bar starts and ends on the value axis, per category and then
+// per series. Grouped bars all grow from zero. Stacked segments start where
+// the previous one ended, with positive and negative values stacking away
+// from zero separately; percent mode stacks shares of the category's total
+// absolute value instead of the values themselves, and records that share.
+const stackSegments = (data, mode) =>
+  data.labels.map((_, i) => {
+    const values = data.series.map((s) => s.values[i]);
+    if (mode === "grouped") return values.map((value) => ({ start: 0, end: value }));
+
+    const total = values.reduce((sum, value) => sum + Math.abs(value), 0);
+    let above = 0;
+    let below = 0;
+    return values.map((value) => {
+      const share = total ? value / total : 0;
+      const size = mode === "percent" ? share * 100 : value;
+      const start = size >= 0 ? above : below;
+      if (size >= 0) above += size;
+      else below += size;
+      return mode === "percent" ? { start, end: start + size, share } : { start, end: start + size };
+    });
+  });
+
+// Colors are per series when there is more than one, otherwise per bar
+const colorCount = (data) =>
+  data.series.length > 1 ? data.series.length : data.labels.length;
+
+// What the legend lists: one entry per series, or for a single series one
+// per distinct bar color and pattern, named by the categories drawn in it.
+// Empty when every bar looks the same, since a lone swatch explains
+// nothing. Patterns are given per series or bar like colors; entries only
+// carry one when it is not "none".
+const legendEntries = (data, colors = [], patterns = []) => {
+  const withPattern = (entry, pattern) => (pattern && pattern !== "none" ? { ...entry, pattern } : entry);
+  if (data.series.length > 1) return data.series.map((s, j) => withPattern({ name: s.name, fill: colors[j] }, patterns[j]));
+
+  const groups = new Map();
+  data.labels.forEach((label, i) => {
+    const key = `${colors[i]}\n${patterns[i] || "none"}`;
+    if (!groups.has(key)) groups.set(key, { fill: colors[i], pattern: patterns[i], names: [] });
+    groups.get(key).names.push(label);
+  });
+  if (groups.size < 2) return [];
+  return [...groups.values()].map(({ fill, pattern, names }) => withPattern({ name: names.join(", "), fill }, pattern));
+};
+
+// Split legend entries into rows no wider than maxWidth (but at least one
+// entry each). Returns the rows and the widest row's width.
+const legendRows = (entries, maxWidth, measure) => {
+  const rows = [];
+  let row = null;
+  entries.forEach((entry) => {
+    const entryWidth = legendSwatch + 5 + measure(entry.name);
+    if (row && row.width + legendGap + entryWidth <= maxWidth) {
+      row.entries.push({ ...entry, width: entryWidth });
+      row.width += legendGap + entryWidth;
+    } else {
+      row = { entries: [{ ...entry, width: entryWidth }], width: entryWidth };
+      rows.push(row);
+    }
+  });
+  return { rows, width: Math.max(0, ...rows.map((r) => r.width)) };
+};
+
+// Break a label into lines no wider than maxWidth at spaces. Returns null
+// when that takes more than maxLabelLines lines or a word is too wide.
+const wrapLabel = (label, maxWidth, measure) => {
+  const lines = [];
+  let current = "";
+  for (const word of label.split(/\s+/).filter(Boolean)) {
+    const candidate = current ? `${current} ${word}` : word;
+    if (measure(candidate) <= maxWidth) {
+      current = candidate;
+    } else if (measure(word) > maxWidth) {
+      return null;
+    } else {
+      lines.push(current);
+      current = word;
+    }
+  }
+  if (current || lines.length === 0) lines.push(current);
+  return lines.length <= maxLabelLines ? lines : null;
+};
+
+// Cut a label short with an ellipsis so it is no wider than maxWidth
+const truncateLabel = (label, maxWidth, measure) => {
+  if (measure(label) <= maxWidth) return label;
+  let end = label.length;
+  while (end > 0 && measure(label.slice(0, end) + "…") > maxWidth) end--;
+  return label.slice(0, end) + "…";
+};
+
+// Fit category labels under the plot, where each category gets pitch
+// pixels along the axis and the labels at most maxExtent below it. Labels
+// are tried as they are, wrapped onto two lines, then turned 45° or 90°.
+// Labels still too long are cut short with an ellipsis. Returns
+// the lines of each label, the rotation in degrees, step (every step-th
+// label is shown) and how far the labels reach below the axis.
+const fitCategoryLabels = (labels, pitch, measure, maxExtent) => {
+  const texts = labels.map((label) => String(label ?? ""));
+  const room = pitch - 4;
+  if (Math.max(...texts.map(measure)) <= room) {
+    return { lines: texts.map((t) => [t]), rotation: 0, step: 1, height: labelLineHeight };
+  }
+
+  const wrapped = texts.map((t) => wrapLabel(t, room, measure));
+  if (wrapped.every(Boolean)) {
+    return { lines: wrapped, rotation: 0, step: 1, height: labelLineHeight * Math.max(...wrapped.map((w) => w.length)) };
+  }
+
+  // Turned labels need a line height between them, measured across the
+  // slant for 45°
+  const rotation = pitch >= labelLineHeight * Math.SQRT2 ? -45 : -90;
+  const step = Math.ceil(labelLineHeight / pitch);
+  const maxLength = Math.max(labelLineHeight, Math.min(
+    maxTurnedLength,
+    rotation === -45 ? maxExtent * Math.SQRT2 - labelLineHeight : maxExtent,
+  ));
+  const lines = texts.map((t) => [truncateLabel(t, maxLength, measure)]);
+  const longest = Math.max(...lines.map(([line]) => measure(line)));
+  const height = rotation === -45 ? (longest + labelLineHeight) * Math.SQRT1_2 : longest;
+  return { lines, rotation, step, height };
+};
+
+// Black or white, whichever reads better on a fill color
+const contrastColor = (fill) => {
+  const rgb = hexToRgb(fill || "");
+  if (!rgb) return "black";
+  return 0.299 * rgb.r + 0.587 * rgb.g + 0.114 * rgb.b > 150 ? "black" : "white";
+};
+
+// Lay out a chart. Returns the items to draw, the bars and any warnings
+// about values that could not be shown. Options:
+//   width, height - the chart's size
+//   title, subtitle, xAxisTitle, yAxisTitle, footnote - texts around the
+//     plot, each in a band of its own
+//   mode, orientation, scale - one of BAR_MODES, ORIENTATIONS and SCALES
+//   logBase - the base of the log scale
+//   gridlines - whether to draw gridlines at the ticks
+//   colors - one per series or per bar, see colorCount
+//   colorScale - { stops, midpoint } to color bars by value instead, see
+//     palettes.createColorScale
+//   rules - color rules laid over either, see rules.js
+//   patterns - names from PATTERNS, repeated like the colors
+//   patternsPer - one of PATTERNS_PER; "bar" gives every bar the next
+//     pattern, even with several series
+//   valueLabels - one of VALUE_LABELS, formatted by numberFormat
+//   legend - one of LEGEND_POSITIONS, "top" unless given
+//   theme - colors and font, see themes.js; the light theme unless given
+//   measureText(text, font) - text width, for fitting labels and legend
+const layoutChart = (data, options = {}) => {
+  const width = options.width || DEFAULT_WIDTH;
+  const height = options.height || DEFAULT_HEIGHT;
+  const mode = BAR_MODES.includes(options.mode) ? options.mode : "grouped";
+  const orientation = ORIENTATIONS.includes(options.orientation) ? options.orientation : "vertical";
+  const logScale = options.scale === "log";
+  const logBase = options.logBase > 1 ? options.logBase : DEFAULT_LOG_BASE;
+  const valueLabels = VALUE_LABELS.includes(options.valueLabels) ? options.valueLabels : "none";
+  const formatValue = (value) => formatNumber(value, options.numberFormat);
+  const legendPosition = LEGEND_POSITIONS.includes(options.legend) ? options.legend : "top";
+  const colors = options.colors || [];
+  const measureText = options.measureText || estimateTextWidth;
+  const theme = options.theme || DEFAULT_THEME;
+
+  const items = [];
+  const bars = [];
+  const categoryLabels = [];
+  const warnings = [];
+  const rect = (x, y, w, h, fill, pattern) =>
+    items.push({ type: "rect", x, y, width: w, height: h, fill, ...(pattern && pattern !== "none" && { pattern }) });
+  const line = (x1, y1, x2, y2, stroke = theme.axis, lineWidth = 2) =>
+    items.push({ type: "line", x1, y1, x2, y2, stroke, lineWidth });
+  // style may set size, weight, fill and rotation (degrees clockwise)
+  const text = (value, x, y, align, baseline, style = {}) =>
+    items.push({ type: "text", text: String(value), x, y, align, baseline, size: FONT_SIZE, family: theme.fontFamily, fill: theme.text, ...style });
+
+  // Background
+  rect(0, 0, width, height, theme.background);
+
+  // Title and subtitle centered above the plot, footnote under it
+  let top = 0;
+  if (options.title) {
+    text(options.title, width / 2, top + titleHeight / 2, "center", "middle", { size: TITLE_SIZE, weight: "bold" });
+    top += titleHeight;
+  }
+  if (options.subtitle) {
+    text(options.subtitle, width / 2, top + subtitleHeight / 2, "center", "middle", { size: SUBTITLE_SIZE, fill: theme.mutedText });
+    top += subtitleHeight;
+  }
+  let bottom = height;
+  if (options.footnote) {
+    text(options.footnote, sidePadding, bottom - footnoteHeight / 2, "left", "middle", { size: NOTE_SIZE, fill: theme.mutedText });
+    bottom -= footnoteHeight;
+  }
+
+  const { labels, series } = data;
+  const numBars = labels.length;
+  if (numBars === 0 || series.length === 0) {
+    return { width, height, items, bars, categoryLabels, warnings, valueAxis: null, categoryAxis: null };
+  }
+
+  // The plot area, inside the bands taken by the texts around it.
+  // Horizontal charts put the category labels left of the plot, so make
+  // room for the longest one (up to a third of the width).
+  const horizontal = orientation === "horizontal";
+  const font = fontString({ family: theme.fontFamily });
+  const measureLabel = (label) => measureText(label, font);
+  const labelWidth = horizontal
+    ? Math.min(width / 3, Math.max(...labels.map((l) => measureLabel(String(l ?? "")))))
+    : 0;
+  const plotLeft = (horizontal ? sidePadding + labelWidth + 5 : sidePadding) + (options.yAxisTitle ? axisTitleHeight : 0);
+
+  // Bars colored by value share one scale across every series
+  const values = series.flatMap((s) => s.values);
+  const valueScale = options.colorScale
+    ? createColorScale(options.colorScale.stops, {
+      min: Math.min(...values),
+      max: Math.max(...values),
+      midpoint: options.colorScale.midpoint ?? null,
+    })
+    : null;
+
+  // Patterns, repeated like the colors, or over every bar in turn,
+  // category by category. The legend only shows them when each series or
+  // category it lists has one.
+  const patterns = options.patterns || [];
+  const multiSeries = series.length > 1;
+  const perBar = options.patternsPer === "bar" && multiSeries;
+  const nthPattern = (k) => (patterns.length > 0 ? patterns[k % patterns.length] : "none");
+  const patternFor = (i, j) => nthPattern(perBar ? i * series.length + j : multiSeries ? j : i);
+  const legendPatterns = perBar ? [] : Array.from({ length: colorCount(data) }, (_, k) => nthPattern(k));
+
+  // The rule each bar matches first, if any, by series and category
+  const rules = options.rules || [];
+  const ruleIndex = series.map((s) => s.values.map((value, i) => findRule(rules, { value, label: labels[i], series: s.name })));
+  const ruleEntries = rules
+    .filter((_, k) => ruleIndex.some((row) => row.includes(k)))
+    .map((rule) => ({ name: describeRule(rule, formatValue), fill: rule.color }));
+
+  // The legend, wrapped to the chart's width above or below the plot, to
+  // half of it inside, or stacked in a column to the right. A color bar
+  // takes two rows, the gradient and its labels, before any rule entries.
+  const entries = legendPosition === "none" ? [] : [...(valueScale ? [] : legendEntries(data, colors, legendPatterns)), ...ruleEntries];
+  const colorBar = legendPosition !== "none" && valueScale
+    ? { width: Math.min(colorBarLength, (legendPosition === "right" ? width / 4 : width / 2) - sidePadding) }
+    : null;
+  const measureEntry = (name) => measureText(name, font);
+  let legend = legendPosition === "right"
+    ? legendRows(entries, 0, measureEntry)
+    : legendRows(entries, (width - 2 * sidePadding) / (legendPosition === "inside" ? 2 : 1), measureEntry);
+  if (colorBar) {
+    const barRow = { entries: [], width: colorBar.width };
+    legend = { rows: [barRow, { ...barRow }, ...legend.rows], width: Math.max(colorBar.width, legend.width) };
+  }
+  const hasLegend = entries.length > 0 || colorBar !== null;
+  const legendWidth = legendPosition === "right" ? Math.min(width / 4, legend.width) : legend.width;
+  const legendHeight = legend.rows.length * legendRowHeight;
+  const extraTopRows = legendPosition === "top" ? Math.max(0, legend.rows.length - 1) : 0;
+  if (legendPosition === "bottom") bottom -= legendHeight;
+
+  const plotRight = width - sidePadding - (legendPosition === "right" && hasLegend ? legendWidth + 10 : 0);
+  const plotTop = top + topPadding + extraTopRows * legendRowHeight;
+  const groupWidthFor = (categoryLength) => {
+    const room = (categoryLength - (numBars - 1) * barSpacing) / numBars;
+    return room <= 0 ? 1 : room;
+  };
+  // Labels along the bottom decide how tall a band they need there, up to
+  // a third of the chart
+  const labelFit = horizontal
+    ? null
+    : fitCategoryLabels(labels, groupWidthFor(plotRight - plotLeft) + barSpacing, measureLabel, height / 3 - 15);
+  const labelBand = horizontal ? bottomPadding : Math.max(bottomPadding, labelFit.height + 15);
+  const plotBottom = bottom - labelBand - (options.xAxisTitle ? axisTitleHeight : 0);
+  const categoryLength = horizontal ? plotBottom - plotTop : plotRight - plotLeft;
+
+  // Value labels past the bar ends need room at either end of the value
+  // axis. "above" puts them there, and the other placements do for bars
+  // too small to hold their label. Bars growing from the baseline need it
+  // at the high end, negative ones at the low end.
+  const segments = stackSegments(data, mode);
+  const ends = segments.flat().flatMap((segment) => [segment.start, segment.end]);
+  const labelRoom = valueLabels === "none"
+    ? 0
+    : horizontal ? Math.max(...values.map((v) => measureText(formatValue(v), font))) + 4 : FONT_SIZE + 3;
+  const highRoom = ends.some((end) => end > 0) ? labelRoom : 0;
+  const lowRoom = !logScale && ends.some((end) => end < 0) ? labelRoom : 0;
+  const valueLength = (horizontal ? plotRight - plotLeft : plotBottom - plotTop) - lowRoom - highRoom;
+
+  const stacked = mode !== "grouped";
+  const groupWidth = groupWidthFor(categoryLength);
+  // Horizontal labels are cut to the room left of the plot, and thinned
+  // out when the categories are closer together than a line of text
+  const sideStep = horizontal ? Math.ceil(labelLineHeight / (groupWidth + barSpacing)) : 1;
+  const barWidth = stacked ? groupWidth : groupWidth / series.length;
+
+  const maxTicks = Math.max(2, Math.floor(valueLength / tickSpacing));
+  let axis;
+  if (logScale) {
+    const positive = ends.filter((value) => value > 0);
+    axis = positive.length > 0
+      ? logTicks(Math.min(...positive), Math.max(...positive), logBase, maxTicks)
+      : logTicks(1, logBase, logBase, maxTicks);
+  } else {
+    const { minValue, maxValue } = getValueRange(ends);
+    axis = niceTicks(minValue, maxValue, maxTicks);
+  }
+  const scale = valueLength / (axis.max - axis.min);
+  // Positions along the value axis are worked out in axis units: the value
+  // itself, or its exponent on a log scale, where anything below the first
+  // tick sits on it
+  const toAxis = (value) => (logScale ? (value > 0 ? Math.max(axis.min, logOf(value, logBase)) : axis.min) : value);
+  // The baseline bars grow from, zero or the lowest log tick: a y position
+  // for vertical bars, an x position for horizontal ones, where the maximum
+  // is on the right
+  const baseline = logScale ? axis.min : 0;
+  const zero = horizontal
+    ? plotLeft + lowRoom + (baseline - axis.min) * scale
+    : plotTop + highRoom + (axis.max - baseline) * scale;
+  const valuePosition = (units) => (horizontal ? zero + (units - baseline) * scale : zero - (units - baseline) * scale);
+  const hidden = [];
+  const rising = []; // per bar, whether it grows up or right from its start
+
+  // Gridlines across the plot at every tick, under the bars
+  if (options.gridlines) {
+    axis.ticks.forEach((tick) => {
+      const position = valuePosition(tick);
+      if (horizontal) line(position, plotTop, position, plotBottom, theme.gridlines, 1);
+      else line(plotLeft, position, plotRight, position, theme.gridlines, 1);
+    });
+  }
+
+  // Bars, clustered or stacked by category. Vertical categories run left
+  // to right and negative bars hang below the zero line; horizontal ones
+  // run top to bottom and negative bars extend left of it.
+  let offset = horizontal ? plotTop : plotLeft;
+  for (let i = 0; i < numBars; i++) {
+    series.forEach((s, j) => {
+      if (logScale && !(s.values[i] > 0)) {
+        hidden.push(multiSeries ? `${labels[i]} (${s.name})` : String(labels[i]));
+        return;
+      }
+      const { share } = segments[i][j];
+      const start = toAxis(segments[i][j].start) - baseline;
+      const end = toAxis(segments[i][j].end) - baseline;
+      const along = stacked ? offset : offset + j * barWidth;
+      const length = Math.abs(end - start) * scale;
+      const bar = {
+        x: horizontal ? zero + Math.min(start, end) * scale : along,
+        y: horizontal ? along : zero - Math.max(start, end) * scale,
+        width: horizontal ? length : barWidth,
+        height: horizontal ? barWidth : length,
+        value: s.values[i],
+        label: labels[i],
+        series: s.name,
+        categoryIndex: i,
+        seriesIndex: j,
+        start: segments[i][j].start,
+        fill: ruleIndex[j][i] >= 0
+          ? rules[ruleIndex[j][i]].color
+          : valueScale ? valueScale.color(s.values[i]) : colors[multiSeries ? j : i],
+      };
+      if (share !== undefined) bar.share = share;
+      const pattern = patternFor(i, j);
+      if (pattern !== "none") bar.pattern = pattern;
+      bars.push(bar);
+      rising.push(end >= start);
+      rect(bar.x, bar.y, bar.width, bar.height, bar.fill, bar.pattern);
+    });
+
+    // Category label under the group, or left of it when horizontal.
+    // Shortened labels carry their full text as a tooltip.
+    const full = String(labels[i] ?? "");
+    const center = offset + groupWidth / 2;
+    if (labels[i] !== undefined && horizontal && i % sideStep === 0) {
+      const shown = truncateLabel(full, labelWidth, measureLabel);
+      const truncated = shown !== full;
+      const shownWidth = measureLabel(shown);
+      text(shown, plotLeft - 5, center, "right", "middle", truncated ? { tooltip: full } : {});
+      categoryLabels.push({
+        index: i, text: full, truncated,
+        x: plotLeft - 5 - shownWidth, y: center - labelLineHeight / 2, width: shownWidth, height: labelLineHeight,
+      });
+    } else if (labels[i] !== undefined && !horizontal && i % labelFit.step === 0) {
+      const lines = labelFit.lines[i];
+      const truncated = lines[lines.length - 1].endsWith("…") && !full.endsWith("…");
+      const style = truncated ? { tooltip: full } : {};
+      const longest = Math.max(...lines.map(measureLabel));
+      if (labelFit.rotation === 0) {
+        lines.forEach((line, k) => text(line, center, plotBottom + 5 + k * labelLineHeight, "center", "top", style));
+        categoryLabels.push({
+          index: i, text: full, truncated,
+          x: center - longest / 2, y: plotBottom + 5, width: longest, height: lines.length * labelLineHeight,
+        });
+      } else {
+        // Turned labels end just under the middle of their group
+        text(lines[0], center, plotBottom + 8, "right", "middle", { ...style, rotation: labelFit.rotation });
+        const across = labelFit.rotation === -90 ? 0 : longest * Math.SQRT1_2;
+        const down = labelFit.rotation === -90 ? longest : longest * Math.SQRT1_2;
+        categoryLabels.push({
+          index: i, text: full, truncated,
+          x: center - across - labelLineHeight / 2, y: plotBottom + 8 - labelLineHeight / 2,
+          width: across + labelLineHeight, height: down + labelLineHeight,
+        });
+      }
+    }
+    offset += groupWidth + barSpacing;
+  }
+
+  // Category axis along the zero line, value axis along the plot's edge
+  if (horizontal) {
+    line(zero, plotTop, zero, plotBottom);
+    line(plotLeft, plotBottom, plotRight, plotBottom);
+  } else {
+    line(plotLeft, zero, plotRight, zero);
+    line(plotLeft, plotTop, plotLeft, plotBottom);
+  }
+
+  if (hidden.length > 0) {
+    warnings.push(`Zero and negative values cannot be shown on a log scale and were left out: ${hidden.join(", ")}`);
+  }
+
+  // Value axis tick labels. Percent mode labels shares.
+  axis.ticks.forEach((tick, k) => {
+    const value = logScale ? String(axis.values[k]) : tick.toFixed(axis.decimals);
+    const label = value + (mode === "percent" ? "%" : "");
+    const position = valuePosition(tick);
+    if (horizontal) text(label, position, plotBottom + 5, "center", "top");
+    else text(label, plotLeft - 5, position, "right", "middle");
+  });
+
+  // Value labels, on top of the bars
+  if (valueLabels !== "none") {
+    bars.forEach((bar, k) => {
+      const label = formatValue(bar.value);
+      const textWidth = measureText(label, font);
+      const fits = horizontal
+        ? bar.width >= textWidth + 8 && bar.height >= FONT_SIZE + 2
+        : bar.height >= FONT_SIZE + 6 && bar.width >= textWidth + 4;
+      const where = fits ? valueLabels : "above";
+      const style = where === "above" ? {} : { fill: contrastColor(bar.fill) };
+      if (where === "inside") {
+        text(label, bar.x + bar.width / 2, bar.y + bar.height / 2, "center", "middle", style);
+      } else if (horizontal) {
+        // "end" sits inside the bar's end, "above" just beyond it
+        const align = (where === "end") === rising[k] ? "right" : "left";
+        const endX = rising[k] ? bar.x + bar.width : bar.x;
+        text(label, endX + (align === "left" ? 4 : -4), bar.y + bar.height / 2, align, "middle", style);
+      } else {
+        const baseline = (where === "end") === rising[k] ? "top" : "bottom";
+        const endY = rising[k] ? bar.y : bar.y + bar.height;
+        text(label, bar.x + bar.width / 2, endY + (baseline === "top" ? 3 : -3), "center", baseline, style);
+      }
+    });
+  }
+
+  // Axis titles: under the tick or category labels, and turned to read
+  // upwards at the far left
+  if (options.xAxisTitle) {
+    text(options.xAxisTitle, (plotLeft + plotRight) / 2, plotBottom + labelBand + axisTitleHeight / 2, "center", "middle");
+  }
+  if (options.yAxisTitle) {
+    text(options.yAxisTitle, axisTitleHeight / 2, (plotTop + plotBottom) / 2, "center", "middle", { rotation: -90 });
+  }
+
+  // Legend rows: right-aligned above the plot, centered below it, from
+  // the left edge of the column on the right, or in a box inside
+  if (hasLegend) {
+    let rowTop;
+    let rowStart;
+    if (legendPosition === "top") {
+      rowTop = top + topPadding / 2 - legendRowHeight / 2;
+      rowStart = (row) => width - sidePadding - row.width;
+    } else if (legendPosition === "bottom") {
+      rowTop = bottom;
+      rowStart = (row) => (width - row.width) / 2;
+    } else if (legendPosition === "right") {
+      rowTop = plotTop;
+      rowStart = () => width - sidePadding - legendWidth;
+    } else {
+      const boxX = plotRight - legendWidth - 15;
+      rowTop = plotTop + 10;
+      rect(boxX, plotTop + 5, legendWidth + 10, legendHeight + 10, theme.background);
+      rowStart = () => boxX + 5;
+    }
+    legend.rows.forEach((row, r) => {
+      const rowY = rowTop + (r + 0.5) * legendRowHeight;
+      let entryX = rowStart(row);
+      row.entries.forEach((entry) => {
+        rect(entryX, rowY - legendSwatch / 2, legendSwatch, legendSwatch, entry.fill, entry.pattern);
+        text(entry.name, entryX + legendSwatch + 5, rowY, "left", "middle");
+        entryX += entry.width + legendGap;
+      });
+    });
+    if (colorBar) {
+      const barX = rowStart(legend.rows[0]);
+      const barY = rowTop + (legendRowHeight - legendSwatch) / 2;
+      const labelY = rowTop + 1.5 * legendRowHeight;
+      // Sampled by value, with a stop at the midpoint itself, so the
+      // gradient bends where the scale does
+      const span = valueScale.max - valueScale.min;
+      const offsets = Array.from({ length: colorBarSamples + 1 }, (_, k) => k / colorBarSamples);
+      if (valueScale.midpoint !== null && span > 0) offsets.push((valueScale.midpoint - valueScale.min) / span);
+      const stops = [...new Set(offsets)].sort((a, b) => a - b)
+        .map((offset) => ({ offset, color: valueScale.color(valueScale.min + span * offset) }));
+      items.push({ type: "gradient", x: barX, y: barY, width: colorBar.width, height: legendSwatch, stops });
+      const minLabel = formatValue(valueScale.min);
+      const maxLabel = formatValue(valueScale.max);
+      text(minLabel, barX, labelY, "left", "middle");
+      text(maxLabel, barX + colorBar.width, labelY, "right", "middle");
+      if (valueScale.midpoint !== null && valueScale.max > valueScale.min) {
+        // Only where it stays clear of the end labels
+        const midLabel = formatValue(valueScale.midpoint);
+        const midX = barX + (colorBar.width * (valueScale.midpoint - valueScale.min)) / span;
+        const half = measureText(midLabel, font) / 2 + 4;
+        if (midX - half >= barX + measureText(minLabel, font) && midX + half <= barX + colorBar.width - measureText(maxLabel, font)) {
+          line(midX, barY, midX, barY + legendSwatch, theme.axis, 1);
+          text(midLabel, midX, labelY, "center", "middle");
+        }
+      }
+    }
+  }
+
+  // How positions map to values and categories, for turning pointer
+  // positions back into data
+  const valueAxis = {
+    horizontal, mode, log: logScale, logBase, min: axis.min, max: axis.max, step: axis.step, zero, baseline, scale,
+  };
+  const categoryAxis = {
+    horizontal, start: horizontal ? plotTop : plotLeft, pitch: groupWidth + barSpacing, count: numBars,
+  };
+
+  return { width, height, items, bars, categoryLabels, warnings, valueAxis, categoryAxis };
+};
+
+// A pattern's tile drawn in ink, as a CanvasPattern for ctx
+const canvasPattern = (ctx, name, ink) => {
+  const tile = typeof OffscreenCanvas !== "undefined"
+    ? new OffscreenCanvas(PATTERN_SIZE, PATTERN_SIZE)
+    : ctx.canvas.ownerDocument.createElement("canvas");
+  tile.width = PATTERN_SIZE;
+  tile.height = PATTERN_SIZE;
+  const tileCtx = tile.getContext("2d");
+  tileCtx.strokeStyle = ink;
+  tileCtx.fillStyle = ink;
+  tileCtx.lineWidth = PATTERN_LINE_WIDTH;
+  PATTERN_SHAPES[name].forEach((shape) => {
+    tileCtx.beginPath();
+    if (shape.type === "dot") {
+      tileCtx.arc(shape.cx, shape.cy, shape.r, 0, 2 * Math.PI);
+      tileCtx.fill();
+    } else {
+      tileCtx.moveTo(shape.x1, shape.y1);
+      tileCtx.lineTo(shape.x2, shape.y2);
+      tileCtx.stroke();
+    }
+  });
+  return ctx.createPattern(tile, "repeat");
+};
+
+// Replay a layout onto a 2D canvas context
+const drawChart = (ctx, layout) => {
+  ctx.clearRect(0, 0, layout.width, layout.height);
+  // Each pattern tile is made once per ink color
+  const tiles = new Map();
+  for (const item of layout.items) {
+    switch (item.type) {
+      case "rect":
+        ctx.fillStyle = item.fill;
+        ctx.fillRect(item.x, item.y, item.width, item.height);
+        if (item.pattern) {
+          const ink = patternInk(item.fill);
+          const key = `${item.pattern} ${ink}`;
+          if (!tiles.has(key)) tiles.set(key, canvasPattern(ctx, item.pattern, ink));
+          ctx.fillStyle = tiles.get(key);
+          ctx.fillRect(item.x, item.y, item.width, item.height);
+        }
+        break;
+      case "gradient": {
+        const gradient = ctx.createLinearGradient(item.x, 0, item.x + item.width, 0);
+        item.stops.forEach((stop) => gradient.addColorStop(stop.offset, stop.color));
+        ctx.fillStyle = gradient;
+        ctx.fillRect(item.x, item.y, item.width, item.height);
+        break;
+      }
+      case "line":
+        ctx.strokeStyle = item.stroke;
+        ctx.lineWidth = item.lineWidth;
+        ctx.beginPath();
+        ctx.moveTo(item.x1, item.y1);
+        ctx.lineTo(item.x2, item.y2);
+        ctx.stroke();
+        break;
+      case "text":
+        ctx.fillStyle = item.fill;
+        ctx.font = fontString(item);
+        ctx.textAlign = item.align;
+        ctx.textBaseline = item.baseline;
+        if (item.rotation) {
+          ctx.save();
+          ctx.translate(item.x, item.y);
+          ctx.rotate((item.rotation * Math.PI) / 180);
+          ctx.fillText(item.text, 0, 0);
+          ctx.restore();
+        } else {
+          ctx.fillText(item.text, item.x, item.y);
+        }
+        break;
+    }
+  }
+};
+
+// Index into layout.bars of the bar containing the point, or -1. Thin bars
+// are widened to a few pixels so they can still be pointed at.
+const findBar = (layout, x, y, slop = 2) =>
+  layout.bars.findIndex((bar) => {
+    const padX = Math.max(0, slop - bar.width / 2);
+    const padY = Math.max(0, slop - bar.height / 2);
+    return x >= bar.x - padX && x <= bar.x + bar.width + padX && y >= bar.y - padY && y <= bar.y + bar.height + padY;
+  });
+
+// Tooltip lines for a bar: the fields asked for, out of TOOLTIP_FIELDS.
+// Percent and rank are within the bar's series: its share of the series
+// total (left out when that is zero) and its place from the largest value
+// down. The series name is only shown when there is more than one.
+const describeBar = (data, bar, fields = TOOLTIP_FIELDS, formatValue = String) => {
+  const values = data.series[bar.seriesIndex].values;
+  const total = values.reduce((sum, v) => sum + v, 0);
+  const lines = [];
+  TOOLTIP_FIELDS.filter((field) => fields.includes(field)).forEach((field) => {
+    switch (field) {
+      case "label":
+        lines.push(String(bar.label ?? ""));
+        break;
+      case "series":
+        if (data.series.length > 1) lines.push(`Series: ${bar.series}`);
+        break;
+      case "value":
+        lines.push(`Value: ${formatValue(bar.value)}`);
+        break;
+      case "percent":
+        if (total !== 0) lines.push(`Share: ${formatNumber((bar.value / total) * 100, { decimals: 1 })}% of ${bar.series}`);
+        break;
+      case "rank":
+        lines.push(`Rank: ${1 + values.filter((v) => v > bar.value).length} of ${values.length}`);
+        break;
+    }
+  });
+  return lines;
+};
+
+// The bars drawn in a color too close to the background to make out (see
+// palettes.checkContrast), whichever color mode, palette or rule gave
+// them that color
+const faintBars = (layout, background) =>
+  layout.bars.filter((bar) => checkContrast([bar.fill], background).length > 0);
+
+// Outline a bar and lighten it, over a chart already drawn on the context
+const drawHighlight = (ctx, bar, color = HIGHLIGHT_COLOR) => {
+  ctx.save();
+  ctx.fillStyle = "rgba(255, 255, 255, 0.3)";
+  ctx.fillRect(bar.x, bar.y, bar.width, bar.height);
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 2;
+  ctx.strokeRect(bar.x, bar.y, bar.width, bar.height);
+  ctx.restore();
+};
+
+// Index into layout.bars of the bar whose end (the top of a positive
+// vertical bar, the bottom of a negative one, the right or left end of a
+// horizontal one) is within reach of the point, or -1. Always -1 for 100%
+// stacked bars, whose values cannot be dragged.
+const findBarEnd = (layout, x, y, reach = 6) => {
+  const axis = layout.valueAxis;
+  if (!axis || axis.mode === "percent") return -1;
+  return layout.bars.findIndex((bar) => {
+    if (axis.horizontal) {
+      const endX = bar.value >= 0 ? bar.x + bar.width : bar.x;
+      return Math.abs(x - endX) <= reach && y >= bar.y && y <= bar.y + bar.height;
+    }
+    const endY = bar.value >= 0 ? bar.y : bar.y + bar.height;
+    return Math.abs(y - endY) <= reach && x >= bar.x && x <= bar.x + bar.width;
+  });
+};
+
+// Round a value to the nearest multiple of step, keeping the step's
+// decimals so no floating point noise creeps in
+const roundTo = (value, step) => {
+  const decimals = Math.max(0, -Math.floor(Math.log10(step) + 1e-9));
+  return Number((Math.round(value / step) * step).toFixed(Math.min(decimals, 20))) + 0; // + 0 turns -0 into 0
+};
+
+// The value a bar would hold if its end were dragged to (x, y). With snap
+// the value moves in steps of the axis ticks (on a log scale, in steps of
+// the power of the base below it), else in hundredths of a tick. A
+// stacked segment keeps its start, so only its own value changes. Values
+// on a log scale stay positive. The point may lie outside the plot; the
+// axis grows to fit the new value when the chart is laid out again.
+// Returns null for 100% stacked bars, whose ends show shares rather than
+// values.
+const dragValue = (layout, bar, x, y, snap = false) => {
+  const axis = layout.valueAxis;
+  if (!axis || axis.mode === "percent") return null;
+  const units = (axis.horizontal ? x - axis.zero : axis.zero - y) / axis.scale + axis.baseline;
+  if (axis.log) {
+    const value = Math.max(Math.pow(axis.logBase, units) - bar.start, Math.pow(axis.logBase, axis.min));
+    const power = Math.pow(axis.logBase, Math.floor(Math.log(value) / Math.log(axis.logBase) + 1e-9));
+    return Math.max(roundTo(value, snap ? power : power / 100), snap ? power : power / 100);
+  }
+  return roundTo(units - bar.start, snap ? axis.step : axis.step / 100);
+};
+
+// Index of the category slot at (x, y) along the category axis, clamped
+// to the first and last category
+const categoryAt = (layout, x, y) => {
+  const axis = layout.categoryAxis;
+  if (!axis) return -1;
+  const along = axis.horizontal ? y : x;
+  const slot = Math.floor((along - axis.start + barSpacing / 2) / axis.pitch);
+  return Math.min(Math.max(slot, 0), axis.count - 1);
+};
+
+const escapeXML = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const SVG_ANCHOR = { left: "start", center: "middle", right: "end" };
+const SVG_BASELINE = { top: "hanging", middle: "middle", bottom: "text-after-edge" };
+
+// A pattern's tile drawn in ink, as an SVG <pattern> with the given id
+const svgPattern = (id, name, ink) =>
+  `<defs><pattern id="${id}" width="${PATTERN_SIZE}" height="${PATTERN_SIZE}" patternUnits="userSpaceOnUse">` +
+  PATTERN_SHAPES[name].map((shape) => (shape.type === "dot"
+    ? `<circle cx="${shape.cx}" cy="${shape.cy}" r="${shape.r}" fill="${ink}"/>`
+    : `<line x1="${shape.x1}" y1="${shape.y1}" x2="${shape.x2}" y2="${shape.y2}" stroke="${ink}" stroke-width="${PATTERN_LINE_WIDTH}"/>`)).join("") +
+  "</pattern></defs>";
+
+// Serialize a layout as an SVG document
+const chartToSVG = (layout) => {
+  let svg = `<svg width="${layout.width}" height="${layout.height}" xmlns="http://www.w3.org/2000/svg">`;
+  let gradients = 0;
+  // Each pattern is defined once per ink color, where it is first used
+  const patterns = new Set();
+  for (const item of layout.items) {
+    switch (item.type) {
+      case "gradient": {
+        const id = `gradient${++gradients}`;
+        svg += `<defs><linearGradient id="${id}" x1="0" y1="0" x2="1" y2="0">` +
+          item.stops.map((stop) => `<stop offset="${stop.offset}" stop-color="${escapeXML(stop.color)}"/>`).join("") +
+          `</linearGradient></defs>` +
+          `<rect x="${item.x}" y="${item.y}" width="${item.width}" height="${item.height}" fill="url(#${id})"/>`;
+        break;
+      }
+      case "rect":
+        svg += `<rect x="${item.x}" y="${item.y}" width="${item.width}" height="${item.height}" fill="${escapeXML(item.fill)}"/>`;
+        if (item.pattern) {
+          const ink = patternInk(item.fill);
+          const id = `pattern-${item.pattern}-${ink}`;
+          if (!patterns.has(id)) {
+            patterns.add(id);
+            svg += svgPattern(id, item.pattern, ink);
+          }
+          svg += `<rect x="${item.x}" y="${item.y}" width="${item.width}" height="${item.height}" fill="url(#${id})"/>`;
+        }
+        break;
+      case "line":
+        svg += `<line x1="${item.x1}" y1="${item.y1}" x2="${item.x2}" y2="${item.y2}" stroke="${escapeXML(item.stroke)}" stroke-width="${item.lineWidth}"/>`;
+        break;
+      case "text": {
+        const baseline = SVG_BASELINE[item.baseline];
+        svg += `<text x="${item.x}" y="${item.y}" text-anchor="${SVG_ANCHOR[item.align] || "start"}"` +
+          (baseline ? ` dominant-baseline="${baseline}"` : "") +
+          ` font-family="${escapeXML(item.family)}" font-size="${item.size}"` +
+          (item.weight ? ` font-weight="${item.weight}"` : "") +
+          (item.rotation ? ` transform="rotate(${item.rotation} ${item.x} ${item.y})"` : "") +
+          ` fill="${escapeXML(item.fill)}">` +
+          (item.tooltip ? `<title>${escapeXML(item.tooltip)}</title>` : "") +
+          `${escapeXML(item.text)}</text>`;
+        break;
+      }
+    }
+  }
+  svg += "</svg>";
+  return svg;
+};
+
+module.exports = {
+  DEFAULT_WIDTH,
+  DEFAULT_HEIGHT,
+  BAR_MODES,
+  ORIENTATIONS,
+  SCALES,
+  DEFAULT_LOG_BASE,
+  VALUE_LABELS,
+  LEGEND_POSITIONS,
+  TOOLTIP_FIELDS,
+  estimateTextWidth,
+  fontString,
+  getValueRange,
+  niceTicks,
+  logTicks,
+  stackSegments,
+  colorCount,
+  legendEntries,
+  layoutChart,
+  drawChart,
+  findBar,
+  describeBar,
+  faintBars,
+  findBarEnd,
+  dragValue,
+  categoryAt,
+  drawHighlight,
+  chartToSVG,
+  escapeXML,
+};
@@ -0,0 +1,437 @@
+/*
+ * Electron Bar Graph - A bar graph application using Electron and JavaScript.
+ * Copyright (C) 2025
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+// Command-line rendering. Any of the options below on the command line
+// switches the app to headless mode: the chart is rendered without showing
+// a window, written to --out and the process exits with one of the EXIT_*
+// codes. Data errors print the same message the window would show.
+
+const fs = require("fs");
+const path = require("path");
+const csv = require("./csv.js");
+const input = require("./input.js");
+const project = require("./project.js");
+const chart = require("./chart.js");
+const numberFormat = require("./format.js");
+const themes = require("./themes.js");
+const palettes = require("./palettes.js");
+const colors = require("./colors.js");
+const patterns = require("./patterns.js");
+
+const EXIT_OK = 0;
+const EXIT_DATA = 1; // the data could not be read or is invalid
+const EXIT_USAGE = 2; // bad or missing command-line options
+const EXIT_OUTPUT = 3; // rendering or writing the output failed
+
+// The installed launcher changes to the app's directory before starting
+// Electron and passes the directory it was run from in this variable, so
+// relative paths on the command line mean what the caller meant
+const CWD_VARIABLE = "ELECTRON_BAR_GRAPH_CWD";
+
+const FORMATS = ["svg", "png", "jpeg", "webp"];
+const MIME_TYPES = { png: "image/png", jpeg: "image/jpeg", webp: "image/webp" };
+
+// Option flags and the keys they are stored under
+const OPTIONS = {
+  "--values": "values",
+  "--labels": "labels",
+  "--series": "series",
+  "--data": "data",
+  "--label-column": "labelColumn",
+  "--value-columns": "valueColumns",
+  "--out": "out",
+  "--format": "format",
+  "--width": "width",
+  "--height": "height",
+  "--quality": "quality",
+  "--title": "title",
+  "--subtitle": "subtitle",
+  "--x-title": "xAxisTitle",
+  "--y-title": "yAxisTitle",
+  "--footnote": "footnote",
+  "--mode": "mode",
+  "--orientation": "orientation",
+  "--gridlines": "gridlines",
+  "--scale": "scale",
+  "--log-base": "logBase",
+  "--value-labels": "valueLabels",
+  "--legend": "legend",
+  "--number-decimals": "decimals",
+  "--number-thousands": "thousands",
+  "--number-notation": "notation",
+  "--number-prefix": "prefix",
+  "--number-suffix": "suffix",
+  "--color-mode": "colorMode",
+  "--primary-color": "primary",
+  "--secondary-color": "secondary",
+  "--custom-colors": "custom",
+  "--palette": "palette",
+  "--color-scale": "colorScale",
+  "--color-midpoint": "colorMidpoint",
+  "--patterns": "patterns",
+  "--patterns-per": "patternsPer",
+  "--theme": "theme",
+};
+
+const USAGE = `Usage: electron-bar-graph [options] --out FILE
+
+Data (one of):
+  --values LIST          values, comma-separated, ";" between series
+  --labels LIST          labels, comma-separated (with --values)
+  --series LIST          series names, comma-separated (with --values)
+  --data FILE            a CSV/TSV or JSON file, or a .${project.PROJECT_EXTENSION} project
+  --label-column COLUMN  label column of a CSV/TSV file, by header or number
+  --value-columns LIST   value columns of a CSV/TSV file, one series each
+
+Output:
+  --out FILE             where to write the chart
+  --format FORMAT        ${FORMATS.join(", ")} (default: from the --out extension)
+  --width PIXELS         chart width (default: the project's export width, or ${chart.DEFAULT_WIDTH})
+  --height PIXELS        chart height (default: the project's export height, or ${chart.DEFAULT_HEIGHT})
+  --quality NUMBER       JPEG/WEBP quality between 0 and 1
+
+Appearance (defaults come from the project file, if any):
+  --title TEXT           title above the chart
+  --subtitle TEXT        smaller line under the title
+  --x-title TEXT         title under the X axis
+  --y-title TEXT         title beside the Y axis
+  --footnote TEXT        note under the chart, e.g. the data source
+  --mode MODE            ${chart.BAR_MODES.join(", ")}
+  --orientation SIDE     ${chart.ORIENTATIONS.join(", ")}
+  --gridlines on|off     gridlines at the value axis ticks
+  --scale SCALE          ${chart.SCALES.join(", ")}
+  --log-base NUMBER      base of the log scale (default: ${chart.DEFAULT_LOG_BASE})
+  --legend WHERE         ${chart.LEGEND_POSITIONS.join(", ")}
+  --value-labels WHERE   ${chart.VALUE_LABELS.join(", ")}
+  --number-decimals N    value label decimals (default: as entered)
+  --number-thousands on|off  group value label thousands with commas
+  --number-notation NAME ${numberFormat.NOTATIONS.join(", ")}
+  --number-prefix TEXT   text before each value label, e.g. $
+  --number-suffix TEXT   text after each value label
+  --color-mode MODE      ${project.COLOR_MODES.join(", ")}
+  --primary-color HEX    e.g. #3498db
+  --secondary-color HEX  gradient end color
+  --custom-colors LIST   comma-separated colors for the custom mode
+  --palette NAME         palette for the palette mode: ${palettes.PALETTES.map((p) => p.name).join(", ")}
+  --color-scale NAME     scale for the value mode: ${colors.COLOR_SCALES.join(", ")}; custom uses --custom-colors
+  --color-midpoint NUMBER  value at the middle of the value mode's scale
+  --patterns LIST        fill patterns per series, comma-separated: ${patterns.PATTERNS.join(", ")}
+  --patterns-per WHAT    ${patterns.PATTERNS_PER.join(", ")}: bar gives every bar the next pattern
+  --theme NAME|FILE      ${themes.BUILT_IN_THEMES.map((theme) => theme.name).join(", ")}, or a .${themes.THEME_EXTENSION} file
+
+Exit status: ${EXIT_OK} on success, ${EXIT_DATA} for invalid data, ${EXIT_USAGE} for bad options,
+${EXIT_OUTPUT} when the chart could not be rendered or written.`;
+
+const optionName = (arg) => arg.split("=")[0];
+
+// Whether the arguments ask for headless rendering rather than the window
+const isHeadless = (args) =>
+  args.some((arg) => arg === "--help" || arg === "-h" || optionName(arg) in OPTIONS);
+
+// Read --flag value and --flag=value pairs. Unknown options only produce a
+// warning, since Electron and Chromium switches share the command line.
+const readOptions = (args) => {
+  const values = {};
+  const warnings = [];
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === "--help" || arg === "-h") {
+      values.help = true;
+      continue;
+    }
+    if (!arg.startsWith("--")) continue; // the app path and the like
+
+    const name = optionName(arg);
+    if (!(name in OPTIONS)) {
+      warnings.push(`ignoring unknown option ${name}`);
+      continue;
+    }
+    let value;
+    if (arg.includes("=")) {
+      value = arg.slice(arg.indexOf("=") + 1);
+    } else if (i + 1 < args.length) {
+      value = args[++i];
+    } else {
+      throw new Error(`${name} needs a value`);
+    }
+    values[OPTIONS[name]] = value;
+  }
+  return { values, warnings };
+};
+
+const checkChoice = (flag, value, choices) => {
+  if (value !== undefined && !choices.includes(value)) {
+    throw new Error(`${flag}: "${value}" is not one of ${choices.join(", ")}`);
+  }
+  return value;
+};
+
+const checkSize = (flag, value) => {
+  if (value === undefined) return undefined;
+  const size = Number(value);
+  if (!Number.isInteger(size) || size <= 0) {
+    throw new Error(`${flag}: "${value}" is not a positive whole number`);
+  }
+  return size;
+};
+
+const checkColor = (flag, value) => {
+  if (value !== undefined && !project.HEX_COLOR.test(value)) {
+    throw new Error(`${flag}: "${value}" is not a #rrggbb color`);
+  }
+  return value;
+};
+
+// Parse and check the command line. Throws an Error for bad options; the
+// data itself is only read by loadJob.
+const parseArgs = (args) => {
+  const { values, warnings } = readOptions(args);
+  if (values.help) return { help: true, warnings };
+
+  if (!values.out) throw new Error("--out is required");
+  if (values.values !== undefined && values.data !== undefined) {
+    throw new Error("give either --values or --data, not both");
+  }
+  if (values.values === undefined && values.data === undefined) {
+    throw new Error("--values or --data is required");
+  }
+
+  let format = values.format || path.extname(values.out).slice(1).toLowerCase();
+  if (format === "jpg") format = "jpeg";
+  if (!FORMATS.includes(format)) {
+    throw new Error(
+      values.format
+        ? `--format: "${values.format}" is not one of ${FORMATS.join(", ")}`
+        : `cannot tell the format from "${values.out}"; add --format`,
+    );
+  }
+
+  let quality;
+  if (values.quality !== undefined) {
+    quality = Number(values.quality);
+    if (!(quality > 0 && quality <= 1)) {
+      throw new Error(`--quality: "${values.quality}" is not a number between 0 and 1`);
+    }
+  }
+
+  let decimals;
+  if (values.decimals !== undefined) {
+    decimals = Number(values.decimals);
+    if (!(Number.isInteger(decimals) && decimals >= 0 && decimals <= numberFormat.MAX_DECIMALS)) {
+      throw new Error(`--number-decimals: "${values.decimals}" is not a whole number from 0 to ${numberFormat.MAX_DECIMALS}`);
+    }
+  }
+
+  let colorMidpoint;
+  if (values.colorMidpoint !== undefined) {
+    colorMidpoint = Number(values.colorMidpoint);
+    if (values.colorMidpoint.trim() === "" || !isFinite(colorMidpoint)) {
+      throw new Error(`--color-midpoint: "${values.colorMidpoint}" is not a number`);
+    }
+  }
+
+  if (values.custom !== undefined) {
+    const { unknown } = colors.parseCustomColors(values.custom);
+    if (unknown.length > 0) throw new Error(`--custom-colors: ${colors.unknownColorsMessage(unknown)}`);
+  }
+
+  let fillPatterns;
+  if (values.patterns !== undefined) {
+    const { patterns: names, unknown } = patterns.parsePatterns(values.patterns);
+    if (unknown.length > 0) {
+      throw new Error(`--patterns: "${unknown[0]}" is not one of ${patterns.PATTERNS.join(", ")}`);
+    }
+    fillPatterns = names;
+  }
+
+  let logBase;
+  if (values.logBase !== undefined) {
+    logBase = Number(values.logBase);
+    if (!(logBase > 1 && isFinite(logBase))) {
+      throw new Error(`--log-base: "${values.logBase}" is not a number greater than 1`);
+    }
+  }
+
+  return {
+    ...values,
+    format,
+    quality,
+    logBase,
+    width: checkSize("--width", values.width),
+    height: checkSize("--height", values.height),
+    mode: checkChoice("--mode", values.mode, chart.BAR_MODES),
+    orientation: checkChoice("--orientation", values.orientation, chart.ORIENTATIONS),
+    gridlines: values.gridlines === undefined
+      ? undefined
+      : checkChoice("--gridlines", values.gridlines, ["on", "off"]) === "on",
+    scale: checkChoice("--scale", values.scale, chart.SCALES),
+    valueLabels: checkChoice("--value-labels", values.valueLabels, chart.VALUE_LABELS),
+    legend: checkChoice("--legend", values.legend, chart.LEGEND_POSITIONS),
+    decimals,
+    thousands: values.thousands === undefined
+      ? undefined
+      : checkChoice("--number-thousands", values.thousands, ["on", "off"]) === "on",
+    notation: checkChoice("--number-notation", values.notation, numberFormat.NOTATIONS),
+    colorMode: checkChoice("--color-mode", values.colorMode, project.COLOR_MODES),
+    primary: checkColor("--primary-color", values.primary),
+    secondary: checkColor("--secondary-color", values.secondary),
+    palette: checkChoice("--palette", values.palette, palettes.PALETTES.map((p) => p.name)),
+    colorScale: checkChoice("--color-scale", values.colorScale, colors.COLOR_SCALES),
+    colorMidpoint,
+    patterns: fillPatterns,
+    patternsPer: checkChoice("--patterns-per", values.patternsPer, patterns.PATTERNS_PER),
+    warnings,
+  };
+};
+
+// Find a table column by header or by 1-based number
+const findColumn = (table, spec) => {
+  const byName = table.headers.indexOf(spec);
+  if (byName !== -1) return byName;
+  const number = Number(spec);
+  if (Number.isInteger(number) && number >= 1 && number <= table.headers.length) {
+    return number - 1;
+  }
+  throw new Error(`${table.fileName}: no column "${spec}"`);
+};
+
+// The directory relative --data, --out and --theme paths are taken from
+const callerDirectory = (env = process.env) => env[CWD_VARIABLE] || process.cwd();
+
+// A built-in theme by name, or else a theme file, relative to cwd. A name
+// that is neither is a bad option rather than bad data, so its Error
+// carries exitCode EXIT_USAGE.
+const loadTheme = (spec, cwd) => {
+  const builtIn = themes.findTheme(spec);
+  if (builtIn) return builtIn;
+  const filePath = path.resolve(cwd, spec);
+  if (!fs.existsSync(filePath)) {
+    const names = themes.BUILT_IN_THEMES.map((theme) => theme.name).join(", ");
+    const error = new Error(`--theme: "${spec}" is neither a built-in theme (${names}) nor a theme file`);
+    error.exitCode = EXIT_USAGE;
+    throw error;
+  }
+  const { fileName, text } = readDataFile(filePath);
+  return themes.parseTheme(text, fileName);
+};
+
+const readDataFile = (filePath) => {
+  const fileName = path.basename(filePath);
+  try {
+    return { fileName, text: fs.readFileSync(filePath, "utf8") };
+  } catch (error) {
+    throw new Error(`${fileName}: ${error.message}`);
+  }
+};
+
+// Read the data and settle every setting: options given on the command
+// line win over the project file, which wins over the defaults. Relative
+// paths are taken from cwd, the caller's directory. Throws an Error with
+// the message the window would show for the same data, and exitCode set
+// where the fault lies with an option instead (see loadTheme).
+const loadJob = (options, cwd = callerDirectory()) => {
+  let base = project.DEFAULT_PROJECT;
+  let data;
+
+  if (options.values !== undefined) {
+    data = input.parseChartInput({
+      values: options.values,
+      labels: options.labels,
+      series: options.series,
+    });
+  } else {
+    const { fileName, text } = readDataFile(path.resolve(cwd, options.data));
+    const ext = path.extname(fileName).toLowerCase();
+    if (ext === `.${project.PROJECT_EXTENSION}`) {
+      base = project.parseProject(text, fileName);
+      data = base.data;
+    } else if (ext === ".json") {
+      data = input.parseDataJSON(text, fileName);
+    } else {
+      const table = csv.parseTable(text, { fileName });
+      const defaults = csv.defaultColumns(table);
+      const labelColumn = options.labelColumn !== undefined
+        ? findColumn(table, options.labelColumn)
+        : defaults.labelColumn;
+      const valueColumns = options.valueColumns !== undefined
+        ? csv.splitList(options.valueColumns).map((spec) => findColumn(table, spec))
+        : defaults.valueColumns;
+      data = csv.extractDataset(table, labelColumn, valueColumns);
+    }
+  }
+
+  const pick = (value, fallback) => (value !== undefined ? value : fallback);
+  return {
+    data,
+    out: path.resolve(cwd, options.out),
+    format: options.format,
+    mimeType: MIME_TYPES[options.format],
+    width: pick(options.width, base.export.width),
+    height: pick(options.height, base.export.height),
+    quality: pick(options.quality, base.export.quality),
+    chart: {
+      title: pick(options.title, base.chart.title),
+      subtitle: pick(options.subtitle, base.chart.subtitle),
+      xAxisTitle: pick(options.xAxisTitle, base.chart.xAxisTitle),
+      yAxisTitle: pick(options.yAxisTitle, base.chart.yAxisTitle),
+      footnote: pick(options.footnote, base.chart.footnote),
+      mode: pick(options.mode, base.chart.mode),
+      orientation: pick(options.orientation, base.chart.orientation),
+      gridlines: pick(options.gridlines, base.chart.gridlines),
+      scale: pick(options.scale, base.chart.scale),
+      logBase: pick(options.logBase, base.chart.logBase),
+      valueLabels: pick(options.valueLabels, base.chart.valueLabels),
+      legend: pick(options.legend, base.chart.legend),
+      numberFormat: {
+        decimals: pick(options.decimals, base.chart.numberFormat.decimals),
+        thousands: pick(options.thousands, base.chart.numberFormat.thousands),
+        notation: pick(options.notation, base.chart.numberFormat.notation),
+        prefix: pick(options.prefix, base.chart.numberFormat.prefix),
+        suffix: pick(options.suffix, base.chart.numberFormat.suffix),
+      },
+      theme: options.theme !== undefined ? loadTheme(options.theme, cwd) : base.chart.theme,
+    },
+    colors: {
+      mode: pick(options.colorMode, base.colors.mode),
+      primary: pick(options.primary, base.colors.primary),
+      secondary: pick(options.secondary, base.colors.secondary),
+      custom: pick(options.custom, base.colors.custom),
+      palette: pick(options.palette, base.colors.palette),
+      scale: pick(options.colorScale, base.colors.scale),
+      midpoint: pick(options.colorMidpoint, base.colors.midpoint),
+      rules: base.colors.rules,
+      patterns: pick(options.patterns, base.colors.patterns),
+      patternsPer: pick(options.patternsPer, base.colors.patternsPer),
+    },
+  };
+};
+
+module.exports = {
+  EXIT_OK,
+  EXIT_DATA,
+  EXIT_USAGE,
+  EXIT_OUTPUT,
+  CWD_VARIABLE,
+  FORMATS,
+  USAGE,
+  isHeadless,
+  parseArgs,
+  callerDirectory,
+  loadJob,
+};
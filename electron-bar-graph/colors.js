@@ -0,0 +1,139 @@
+/*
+ * Electron Bar Graph - A bar graph application using Electron and JavaScript.
+ * Copyright (C) 2025
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+// Bar color schemes, shared by the window and command-line rendering.
+// Colors are CSS color strings, one per bar or per series (see
+// chart.colorCount).
+
+const { PALETTES, findPalette, paletteColors, parseColor } = require("./palettes.js");
+
+// Scales for the "value" mode: the sequential and diverging palettes, or
+// "custom" for the custom colors as stops
+const COLOR_SCALES = ["custom", ...PALETTES.filter((palette) => palette.kind !== "categorical").map((palette) => palette.name)];
+const DEFAULT_COLOR_SCALE = "Viridis";
+
+const hexToRgb = (hex) => {
+  const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
+  return result ? {
+    r: parseInt(result[1], 16),
+    g: parseInt(result[2], 16),
+    b: parseInt(result[3], 16)
+  } : null;
+};
+
+const generateGradientColors = (color1, color2, steps) => {
+  const colors = [];
+  const c1 = hexToRgb(color1);
+  const c2 = hexToRgb(color2);
+
+  for (let i = 0; i < steps; i++) {
+    const ratio = steps === 1 ? 0 : i / (steps - 1);
+    const r = Math.round(c1.r + (c2.r - c1.r) * ratio);
+    const g = Math.round(c1.g + (c2.g - c1.g) * ratio);
+    const b = Math.round(c1.b + (c2.b - c1.b) * ratio);
+    colors.push(`rgb(${r}, ${g}, ${b})`);
+  }
+
+  return colors;
+};
+
+const generateRainbowColors = (count) => {
+  const colors = [];
+  for (let i = 0; i < count; i++) {
+    const hue = (i * 360) / count;
+    colors.push(`hsl(${hue}, 70%, 50%)`);
+  }
+  return colors;
+};
+
+// Split the comma-separated custom colors into the colors and the entries
+// that are not (see palettes.parseColor), which the chart leaves out
+const parseCustomColors = (custom = "") => {
+  const colors = [];
+  const unknown = [];
+  custom.split(",").map((c) => c.trim()).filter((c) => c !== "").forEach((color) => {
+    (parseColor(color) ? colors : unknown).push(color);
+  });
+  return { colors, unknown };
+};
+
+// The message for custom colors that are not colors, the same in the
+// window and on the command line
+const unknownColorsMessage = (unknown) =>
+  `Unknown custom colors: ${unknown.join(", ")}. Use colors such as #336699 or navy.`;
+
+// Colors for a color mode: "single", "gradient", "rainbow", "custom",
+// "theme" or "palette". Settings hold primary and secondary #rrggbb colors,
+// the custom list (comma-separated), the theme's palette (themePalette) and
+// the name of a palette from palettes.js; the lists repeat when they are
+// shorter than count.
+const generateColors = (mode, count, { primary, secondary, custom = "", themePalette = [], palette }) => {
+  switch (mode) {
+    case "theme":
+      if (themePalette.length > 0) return Array.from({ length: count }, (_, i) => themePalette[i % themePalette.length]);
+      return Array(count).fill(primary);
+
+    case "palette":
+      return paletteColors(palette, count);
+
+    case "gradient":
+      return generateGradientColors(primary, secondary, count);
+
+    case "rainbow":
+      return generateRainbowColors(count);
+
+    case "custom": {
+      const customColorList = parseCustomColors(custom).colors;
+      if (customColorList.length === 0) return Array(count).fill(primary);
+      const colors = [];
+      for (let i = 0; i < count; i++) {
+        colors.push(customColorList[i % customColorList.length]);
+      }
+      return colors;
+    }
+
+    default:
+      return Array(count).fill(primary);
+  }
+};
+
+// The color scale for chart.layoutChart in the "value" mode, where each
+// bar's color comes from its value: the stops of the chosen scale (the
+// custom colors for "custom", or the default scale when that list is
+// empty) and the midpoint, if any. null for every other mode.
+const valueColorScale = (mode, { scale, custom = "", midpoint = null }) => {
+  if (mode !== "value") return null;
+  const customStops = parseCustomColors(custom).colors;
+  const stops = scale === "custom" && customStops.length > 0
+    ? customStops
+    : (findPalette(scale) || findPalette(DEFAULT_COLOR_SCALE)).colors;
+  return { stops, midpoint };
+};
+
+module.exports = {
+  COLOR_SCALES,
+  DEFAULT_COLOR_SCALE,
+  hexToRgb,
+  generateGradientColors,
+  generateRainbowColors,
+  parseCustomColors,
+  unknownColorsMessage,
+  generateColors,
+  valueColorScale,
+};
@@ -0,0 +1,221 @@
+/*
+ * Electron Bar Graph - A bar graph application using Electron and JavaScript.
+ * Copyright (C) 2025
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+// CSV/TSV parsing shared by the main process (file import) and the
+// renderer (comma-separated input fields). Quoting follows RFC 4180.
+
+const path = require("path");
+
+// Build an error message that points at a location in the source file
+const locate = (fileName, row, column, header) => {
+  let where = `row ${row}`;
+  if (column !== undefined) {
+    where += `, column ${column}`;
+    if (header) where += ` ("${header}")`;
+  }
+  return fileName ? `${fileName}: ${where}` : where;
+};
+
+// Choose the delimiter from the file extension, falling back to sniffing
+// the first line for tabs
+const detectDelimiter = (fileName, text) => {
+  const ext = path.extname(fileName || "").toLowerCase();
+  if (ext === ".tsv" || ext === ".tab") return "\t";
+  if (ext === ".csv") return ",";
+  const firstLine = (text || "").split(/\r\n|\n|\r/, 1)[0];
+  return firstLine.includes("\t") && !firstLine.includes(",") ? "\t" : ",";
+};
+
+// Split delimited text into records of fields. Quoted fields may contain
+// delimiters, doubled quotes and line breaks. Blank lines are skipped.
+const parseDelimited = (text, delimiter = ",", fileName = "") => {
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false; // inside a quoted field
+  let closed = false; // just after a closing quote
+  let row = 1; // current line
+  let startRow = 1; // line the current record started on
+  let quoteRow = 1;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0; // skip a UTF-8 BOM
+
+  const endField = () => {
+    record.push(field);
+    field = "";
+    closed = false;
+  };
+
+  const endRecord = () => {
+    endField();
+    if (!(record.length === 1 && record[0] === "")) {
+      records.push({ row: startRow, fields: record });
+    }
+    record = [];
+  };
+
+  for (; i < text.length; i++) {
+    const ch = text[i];
+
+    if (quoted) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          quoted = false;
+          closed = true;
+        }
+      } else {
+        if (ch === "\n" || (ch === "\r" && text[i + 1] !== "\n")) row++;
+        field += ch;
+      }
+      continue;
+    }
+
+    if (ch === delimiter) {
+      endField();
+    } else if (ch === "\r" || ch === "\n") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      endRecord();
+      row++;
+      startRow = row;
+    } else if (closed) {
+      // Only whitespace may follow a closing quote
+      if (ch !== " " && ch !== "\t") {
+        throw new Error(
+          `${locate(fileName, row, record.length + 1)}: unexpected character after closing quote`,
+        );
+      }
+    } else if (ch === '"' && field.trim() === "") {
+      quoted = true;
+      quoteRow = row;
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(
+      `${locate(fileName, quoteRow, record.length + 1)}: unterminated quoted field`,
+    );
+  }
+  if (field !== "" || record.length > 0) endRecord();
+
+  return records;
+};
+
+// Parse a file with a header row into { headers, rows }. Every row must
+// have as many fields as the header.
+const parseTable = (text, { fileName = "", delimiter } = {}) => {
+  const sep = delimiter || detectDelimiter(fileName, text);
+  const records = parseDelimited(text, sep, fileName);
+
+  if (records.length === 0) {
+    throw new Error(`${fileName || "Input"}: file is empty`);
+  }
+
+  const headers = records[0].fields.map((h) => h.trim());
+  const rows = [];
+  for (const { row, fields } of records.slice(1)) {
+    if (fields.length !== headers.length) {
+      throw new Error(
+        `${locate(fileName, row)}: expected ${headers.length} fields but found ${fields.length}`,
+      );
+    }
+    rows.push({ row, fields });
+  }
+
+  if (rows.length === 0) {
+    throw new Error(`${fileName || "Input"}: no data rows after the header`);
+  }
+
+  return { fileName, headers, rows };
+};
+
+// Whether every cell in a column parses as a finite number
+const isNumericColumn = (table, column) =>
+  table.rows.every(({ fields }) => {
+    const cell = fields[column].trim();
+    return cell !== "" && Number.isFinite(Number(cell));
+  });
+
+// Columns to plot when none are chosen: the first text column for labels
+// and the first numeric column for values
+const defaultColumns = (table) => {
+  const numeric = table.headers.map((_, i) => isNumericColumn(table, i));
+  let labelColumn = numeric.indexOf(false);
+  if (labelColumn === -1) labelColumn = 0;
+  let valueColumn = numeric.findIndex((isNum, i) => isNum && i !== labelColumn);
+  if (valueColumn === -1) valueColumn = labelColumn === 0 && table.headers.length > 1 ? 1 : 0;
+  return { labelColumn, valueColumns: [valueColumn] };
+};
+
+// Pick the label column and one or more value columns from a table. Each
+// value column becomes a series named after its header. Cells in value
+// columns must be finite numbers; errors name the file, row and column.
+const extractDataset = (table, labelColumn, valueColumns) => {
+  const { fileName, headers, rows } = table;
+  const labels = rows.map(({ fields }) => fields[labelColumn].trim());
+  const series = valueColumns.map((column) => ({
+    name: headers[column] || `Column ${column + 1}`,
+    values: rows.map(({ row, fields }) => {
+      const cell = fields[column].trim();
+      const value = Number(cell);
+      if (cell === "" || !Number.isFinite(value)) {
+        throw new Error(
+          `${locate(fileName, row, column + 1, headers[column])}: "${cell}" is not a number`,
+        );
+      }
+      return value;
+    }),
+  }));
+
+  return { labels, series };
+};
+
+// Quote a field if it contains the delimiter, a quote or a line break
+const quoteField = (value, delimiter = ",") => {
+  const text = String(value);
+  if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+// Split a single comma-separated input line, honouring quotes
+const splitList = (text) => {
+  const records = parseDelimited(text.replace(/[\r\n]+/g, " "), ",");
+  return records.length > 0 ? records[0].fields.map((x) => x.trim()) : [""];
+};
+
+// Join values back into a line that splitList reads the same way
+const joinList = (values) => values.map((v) => quoteField(v, ",")).join(",");
+
+module.exports = {
+  detectDelimiter,
+  parseDelimited,
+  parseTable,
+  isNumericColumn,
+  defaultColumns,
+  extractDataset,
+  quoteField,
+  splitList,
+  joinList,
+};
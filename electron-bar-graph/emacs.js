@@ -0,0 +1,70 @@
+/*
+ * Electron Bar Graph - A bar graph application using Electron and JavaScript.
+ * Copyright (C) 2025
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+// The Emacs Lisp script "Open in Emacs" runs: it loads bar-graph.el,
+// hands over the chart's data and draws it as text in the *Bar Graph*
+// buffer. Kept apart from the window so it can be tested on its own.
+
+// Quote a string for an Emacs Lisp form
+const toLispString = (value) =>
+  `"${String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+
+// The forms that set the data and draw it. Several series go over as
+// (NAME VALUE...) lists and are drawn grouped.
+const dataForms = (labels, series) => {
+  const lispLabels = labels.map(toLispString).join(" ");
+  return series.length > 1
+    ? `(setq bar-graph-series '(${series.map((s) => `(${toLispString(s.name)} ${s.values.join(" ")})`).join(" ")}))
+(setq bar-graph-labels '(${lispLabels}))
+
+;; Create the ASCII graph
+(bar-graph-create-grouped-ascii bar-graph-series bar-graph-labels)`
+    : `(setq bar-graph-data '(${series[0].values.join(" ")}))
+(setq bar-graph-labels '(${lispLabels}))
+
+;; Create the ASCII graph
+(bar-graph-create-ascii bar-graph-data bar-graph-labels)`;
+};
+
+// The whole script for data ({ labels, series }), loading bar-graph.el
+// from elFile. logBase is the base of a log scale, or null for a linear
+// one, as in the window.
+const emacsScript = ({ labels, series }, { elFile, logBase = null }) => `
+;; Load the bar graph package
+(load-file ${toLispString(elFile)})
+
+;; Use the same value scale as the window
+(setq bar-graph-log-base ${logBase === null ? "nil" : logBase})
+
+;; Set the data
+${dataForms(labels, series)}
+
+;; Switch to the bar graph buffer
+(switch-to-buffer "*Bar Graph*")
+(bar-graph-mode)
+
+;; Show help message
+(message "Bar Graph loaded! Use C-c C-e to export, C-c C-n for new graph")
+`;
+
+module.exports = {
+  toLispString,
+  dataForms,
+  emacsScript,
+};
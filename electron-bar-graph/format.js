@@ -0,0 +1,111 @@
+/*
+ * Electron Bar Graph - A bar graph application using Electron and JavaScript.
+ * Copyright (C) 2025
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+// Number formatting for value labels. A format is an object with:
+//   decimals  - digits after the point, or null to show the value as it is
+//               (one decimal at most for the si and percent notations)
+//   thousands - group the whole part in threes with commas
+//   notation  - "plain"; "si" to shorten large values with a suffix
+//               (1.2k, 3.4M); "percent" to show fractions as percentages
+//   prefix, suffix - text around the number, e.g. a currency symbol
+
+const NOTATIONS = ["plain", "si", "percent"];
+const MAX_DECIMALS = 10;
+
+const DEFAULT_FORMAT = {
+  decimals: null,
+  thousands: false,
+  notation: "plain",
+  prefix: "",
+  suffix: "",
+};
+
+const SI_SUFFIXES = [
+  [1e12, "T"],
+  [1e9, "G"],
+  [1e6, "M"],
+  [1e3, "k"],
+];
+
+const groupThousands = (digits) => digits.replace(/\B(?=(\d{3})+(?!\d))/g, ",");
+
+// Format a number. The sign goes in front of the prefix, so -1200 with a
+// "$" prefix reads -$1,200.
+const formatNumber = (value, format = {}) => {
+  const { decimals, thousands, notation, prefix, suffix } = { ...DEFAULT_FORMAT, ...format };
+  // Rounding to 12 significant digits keeps floating-point noise such as
+  // 0.30000000000000004 out of the labels
+  const round = (number) => {
+    if (decimals !== null && decimals !== undefined) return number.toFixed(decimals);
+    if (notation === "plain") return String(Number(number.toPrecision(12)));
+    return String(Number(number.toFixed(1)));
+  };
+
+  let magnitude = Math.abs(value);
+  let unit = "";
+  if (notation === "percent") {
+    magnitude *= 100;
+    unit = "%";
+  } else if (notation === "si") {
+    const units = [...SI_SUFFIXES, [1, ""]];
+    let k = units.findIndex(([size]) => magnitude >= size);
+    if (k === -1) k = units.length - 1;
+    // Rounding may carry into the next suffix: 999,999 reads 1M, not 1000k
+    if (k > 0 && Number(round(magnitude / units[k][0])) >= 1000) k -= 1;
+    magnitude /= units[k][0];
+    unit = units[k][1];
+  }
+
+  let digits = round(magnitude);
+
+  if (thousands) {
+    const [whole, fraction] = digits.split(".");
+    digits = groupThousands(whole) + (fraction !== undefined ? `.${fraction}` : "");
+  }
+  const sign = value < 0 && /[1-9]/.test(digits) ? "-" : "";
+  return `${sign}${prefix}${digits}${unit}${suffix}`;
+};
+
+// Check a format's settings. Returns a list of problems, each starting with
+// the setting's name after where (e.g. "chart.numberFormat").
+const validateFormat = (format, where) => {
+  const errors = [];
+  const { decimals, thousands, notation, prefix, suffix } = format;
+  if (decimals !== undefined && decimals !== null &&
+      !(Number.isInteger(decimals) && decimals >= 0 && decimals <= MAX_DECIMALS)) {
+    errors.push(`${where}.decimals must be null or a whole number from 0 to ${MAX_DECIMALS}`);
+  }
+  if (thousands !== undefined && typeof thousands !== "boolean") {
+    errors.push(`${where}.thousands must be true or false`);
+  }
+  if (notation !== undefined && !NOTATIONS.includes(notation)) {
+    errors.push(`${where}.notation must be one of ${NOTATIONS.join(", ")}`);
+  }
+  if (prefix !== undefined && typeof prefix !== "string") errors.push(`${where}.prefix must be a string`);
+  if (suffix !== undefined && typeof suffix !== "string") errors.push(`${where}.suffix must be a string`);
+  return errors;
+};
+
+module.exports = {
+  NOTATIONS,
+  MAX_DECIMALS,
+  DEFAULT_FORMAT,
+  formatNumber,
+  validateFormat,
+};
@@ -0,0 +1,79 @@
+/*
+ * Electron Bar Graph - A bar graph application using Electron and JavaScript.
+ * Copyright (C) 2025
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+// Undo history for the chart. Each step is a whole project document (see
+// project.js), so undoing a step restores data and settings together and
+// nothing has to know how to reverse a particular kind of edit.
+//
+// Steps recorded with the same key less than coalesceMs apart are merged
+// into one, so a burst of typing or dragging a color picker is undone in
+// one go. Steps without a key are never merged.
+
+const DEFAULT_LIMIT = 100;
+const DEFAULT_COALESCE_MS = 1000;
+
+// Create an empty history. now() is the clock used for coalescing.
+const createHistory = ({ limit = DEFAULT_LIMIT, coalesceMs = DEFAULT_COALESCE_MS, now = Date.now } = {}) => {
+  let steps = []; // serialized documents, oldest first
+  let index = -1; // the step currently shown
+  let lastKey = null;
+  let lastTime = 0;
+
+  // Record the state now shown. The first state recorded is the one undo
+  // goes back to in the end. A state equal to the current one is ignored,
+  // so recording after every redraw is safe. Returns whether a step was
+  // added or merged.
+  const record = (state, key = null) => {
+    const serialized = JSON.stringify(state);
+    if (index >= 0 && steps[index] === serialized) return false;
+    const time = now();
+    const merge = key !== null && key === lastKey && time - lastTime < coalesceMs && index > 0 && index === steps.length - 1;
+    lastKey = key;
+    lastTime = time;
+    if (merge) {
+      steps[index] = serialized;
+      return true;
+    }
+    steps = steps.slice(0, index + 1);
+    steps.push(serialized);
+    if (steps.length > limit) steps.shift();
+    index = steps.length - 1;
+    return true;
+  };
+
+  // Step back or forward. Returns the state to show, or null when there is
+  // nothing to undo or redo.
+  const move = (delta) => {
+    const target = index + delta;
+    if (target < 0 || target >= steps.length) return null;
+    index = target;
+    lastKey = null; // the next edit starts a new step
+    return JSON.parse(steps[index]);
+  };
+
+  return {
+    record,
+    undo: () => move(-1),
+    redo: () => move(1),
+    canUndo: () => index > 0,
+    canRedo: () => index < steps.length - 1,
+  };
+};
+
+module.exports = { DEFAULT_LIMIT, DEFAULT_COALESCE_MS, createHistory };
@@ -0,0 +1,136 @@
+/*
+ * Electron Bar Graph - A bar graph application using Electron and JavaScript.
+ * Copyright (C) 2025
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+// Chart data typed into the values, labels and series fields, or read from
+// a JSON data file. The rules here decide what the window accepts, so other
+// ways of feeding in the same data (such as the command line) report the
+// same errors.
+
+const csv = require("./csv.js");
+const project = require("./project.js");
+
+// Split the labels or series names field, naming the field and where in it
+// the quoting went wrong
+const splitField = (text, field) => {
+  try {
+    return csv.splitList(text);
+  } catch (e) {
+    throw new Error(`Error: ${field}: ${e.message}.`);
+  }
+};
+
+// Parse the field contents into { labels, series }. The values field may
+// hold several series separated by semicolons, each with one value per
+// label: "10,20,30;15,25,35". Series names are optional. Throws an Error
+// whose message is ready to show the user.
+const parseChartInput = ({ values = "", labels = "", series = "" }) => {
+  const valueGroups = values
+    .split(";")
+    .filter((group, i, groups) => groups.length === 1 || group.trim() !== "")
+    .map((group) =>
+      group
+        .split(",")
+        .map((x) => parseFloat(x.trim()))
+        .filter((val) => !isNaN(val)),
+    );
+  const seriesNames = series.trim() ? splitField(series, "Series names") : [];
+  const parsedSeries = valueGroups.map((groupValues, i) => ({
+    name: seriesNames[i] || `Series ${i + 1}`,
+    values: groupValues,
+  }));
+  const parsedLabels = splitField(labels, "Labels");
+
+  // parseFloat reads "Infinity", and numbers too large for a double such
+  // as 1e400, as infinite, which no bar can show
+  if (parsedSeries.some((s) => s.values.some((value) => !isFinite(value)))) {
+    throw new Error("Error: Values must be finite numbers.");
+  }
+
+  const mismatch = parsedSeries.find((s) => s.values.length !== parsedLabels.length);
+  if (mismatch) {
+    throw new Error(
+      parsedSeries.length > 1
+        ? `Error: Series "${mismatch.name}" has ${mismatch.values.length} values but there are ${parsedLabels.length} labels.`
+        : "Error: Number of values must match the number of labels.",
+    );
+  }
+
+  return { labels: parsedLabels, series: parsedSeries };
+};
+
+// Parse a JSON data file. It holds either { labels, series: [{ name,
+// values }] }, { labels, values } for a single series, or a whole project
+// file. Throws an Error naming the file when it does not fit.
+const parseDataJSON = (text, fileName = "data.json") => {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`${fileName}: not valid JSON (${e.message})`);
+  }
+  if (doc !== null && typeof doc === "object" && doc.format === project.PROJECT_FORMAT) {
+    return project.parseProject(text, fileName).data;
+  }
+  if (doc === null || typeof doc !== "object" || Array.isArray(doc)) {
+    throw new Error(`${fileName}: expected an object with labels and series`);
+  }
+
+  const data = {
+    labels: doc.labels,
+    series: doc.series === undefined && doc.values !== undefined
+      ? [{ name: "Series 1", values: doc.values }]
+      : doc.series,
+  };
+  const errors = project.validateProject({ data });
+  if (errors.length > 0) {
+    throw new Error(`${fileName}: invalid data: ${errors.join("; ")}`);
+  }
+  return {
+    labels: data.labels,
+    series: data.series.map((s) => ({ name: s.name, values: s.values })),
+  };
+};
+
+// Edits made on the chart itself. Each returns new { labels, series } data
+// and leaves the old data as it was.
+
+// Give one bar a new value
+const setBarValue = ({ labels, series }, seriesIndex, categoryIndex, value) => ({
+  labels: [...labels],
+  series: series.map((s, j) => ({
+    name: s.name,
+    values: j === seriesIndex ? s.values.map((v, i) => (i === categoryIndex ? value : v)) : [...s.values],
+  })),
+});
+
+// Move a category, its label and its value in every series, from one
+// place to another
+const moveCategory = ({ labels, series }, from, to) => {
+  const move = (list) => {
+    const moved = [...list];
+    moved.splice(to, 0, ...moved.splice(from, 1));
+    return moved;
+  };
+  return {
+    labels: move(labels),
+    series: series.map((s) => ({ name: s.name, values: move(s.values) })),
+  };
+};
+
+module.exports = { parseChartInput, parseDataJSON, setBarValue, moveCategory };
@@ -17,13 +17,419 @@
  * along with this program.  If not, see <https://www.gnu.org/licenses/>.
  */
 
-const { app, BrowserWindow } = require('electron');
+const { app, BrowserWindow, Menu, dialog, ipcMain, screen } = require('electron');
+const fs = require('fs');
 const path = require('path');
+const csv = require('./csv');
+const project = require('./project');
+const chart = require('./chart');
+const colors = require('./colors');
+const cli = require('./cli');
+const input = require('./input');
+const server = require('./server');
+const session = require('./session');
+const themes = require('./themes');
+
+// Command-line arguments after the executable (and the app path when run
+// through the electron binary). Chart options there mean headless mode.
+const cliArgs = process.argv.slice(app.isPackaged ? 1 : 2);
+const headless = cli.isHeadless(cliArgs);
+
+const DATA_FILE_FILTERS = [
+    { name: 'Delimited Text', extensions: ['csv', 'tsv', 'tab', 'txt'] },
+    { name: 'All Files', extensions: ['*'] }
+];
+
+const WATCH_FILE_FILTERS = [
+    { name: 'Data Files', extensions: ['csv', 'tsv', 'tab', 'txt', 'json'] },
+    { name: 'All Files', extensions: ['*'] }
+];
+
+// Writers often touch a file several times per save; wait for them to settle
+const WATCH_DEBOUNCE_MS = 300;
+
+const PROJECT_FILE_FILTERS = [
+    { name: 'Bar Graph Project', extensions: [project.PROJECT_EXTENSION] },
+    { name: 'All Files', extensions: ['*'] }
+];
+
+const THEME_FILE_FILTERS = [
+    { name: 'Bar Graph Theme', extensions: [themes.THEME_EXTENSION] },
+    { name: 'All Files', extensions: ['*'] }
+];
+
+// Ask the user for a CSV/TSV file and parse it into a table with a header
+// row. Parse errors are returned rather than thrown so the renderer can
+// show them as they are.
+async function importDataFile(win) {
+    const result = await dialog.showOpenDialog(win, {
+        title: 'Import Data',
+        properties: ['openFile'],
+        filters: DATA_FILE_FILTERS
+    });
+    if (result.canceled || result.filePaths.length === 0) {
+        return { canceled: true };
+    }
+
+    const filePath = result.filePaths[0];
+    const fileName = path.basename(filePath);
+    try {
+        const text = await fs.promises.readFile(filePath, 'utf8');
+        return { table: csv.parseTable(text, { fileName }) };
+    } catch (error) {
+        const message = error.code ? `${fileName}: ${error.message}` : error.message;
+        return { error: message };
+    }
+}
+
+// Load a project file. Like imports, errors come back as part of the
+// result.
+async function readProjectFile(filePath) {
+    const fileName = path.basename(filePath);
+    try {
+        const text = await fs.promises.readFile(filePath, 'utf8');
+        return { filePath, project: project.parseProject(text, fileName) };
+    } catch (error) {
+        const message = error.code ? `${fileName}: ${error.message}` : error.message;
+        return { error: message };
+    }
+}
+
+// Ask for a project file and load it
+async function openProjectFile(win) {
+    const result = await dialog.showOpenDialog(win, {
+        title: 'Open Project',
+        properties: ['openFile'],
+        filters: PROJECT_FILE_FILTERS
+    });
+    if (result.canceled || result.filePaths.length === 0) {
+        return { canceled: true };
+    }
+    return readProjectFile(result.filePaths[0]);
+}
+
+// Write a project to disk. Without a known path (or for Save As) the user
+// is asked where to put it first.
+async function saveProjectFile(win, { filePath, saveAs, content }) {
+    let target = saveAs ? null : filePath;
+    if (!target) {
+        const result = await dialog.showSaveDialog(win, {
+            title: 'Save Project',
+            defaultPath: filePath || `chart.${project.PROJECT_EXTENSION}`,
+            filters: PROJECT_FILE_FILTERS
+        });
+        if (result.canceled || !result.filePath) {
+            return { canceled: true };
+        }
+        target = result.filePath;
+    }
+
+    try {
+        await fs.promises.writeFile(target, project.serializeProject(content), 'utf8');
+        return { filePath: target };
+    } catch (error) {
+        return { error: `${path.basename(target)}: ${error.message}` };
+    }
+}
+
+// Themes saved or imported in the app are kept as theme files in the
+// user data folder, one per theme, and listed next to the built-in ones
+function themesDir() {
+    return path.join(app.getPath('userData'), 'themes');
+}
+
+function themeFileName(name) {
+    return `${name.replace(/[^\w -]/g, '_')}.${themes.THEME_EXTENSION}`;
+}
+
+// The installed themes, plus a message for each file that could not be
+// read rather than failing the whole list
+async function listThemes() {
+    const list = { themes: [], errors: [] };
+    let entries;
+    try {
+        entries = await fs.promises.readdir(themesDir());
+    } catch (error) {
+        return list;
+    }
+    for (const entry of entries.sort()) {
+        if (path.extname(entry) !== `.${themes.THEME_EXTENSION}`) continue;
+        try {
+            const text = await fs.promises.readFile(path.join(themesDir(), entry), 'utf8');
+            list.themes.push(themes.parseTheme(text, entry));
+        } catch (error) {
+            list.errors.push(error.code ? `${entry}: ${error.message}` : error.message);
+        }
+    }
+    return list;
+}
+
+async function installTheme(theme) {
+    await fs.promises.mkdir(themesDir(), { recursive: true });
+    await fs.promises.writeFile(path.join(themesDir(), themeFileName(theme.name)), themes.serializeTheme(theme), 'utf8');
+}
+
+// Ask for a theme file and install the theme in it
+async function importThemeFile(win) {
+    const result = await dialog.showOpenDialog(win, {
+        title: 'Import Theme',
+        properties: ['openFile'],
+        filters: THEME_FILE_FILTERS
+    });
+    if (result.canceled || result.filePaths.length === 0) {
+        return { canceled: true };
+    }
+
+    const filePath = result.filePaths[0];
+    const fileName = path.basename(filePath);
+    try {
+        const theme = themes.parseTheme(await fs.promises.readFile(filePath, 'utf8'), fileName);
+        await installTheme(theme);
+        return { theme };
+    } catch (error) {
+        const message = error.code ? `${fileName}: ${error.message}` : error.message;
+        return { error: message };
+    }
+}
+
+// Save a theme to a file of the user's choosing, named after the file,
+// and install it
+async function saveThemeFile(win, theme) {
+    const result = await dialog.showSaveDialog(win, {
+        title: 'Save Theme',
+        defaultPath: themeFileName(theme.name.replace(/ \(edited\)$/, '')),
+        filters: THEME_FILE_FILTERS
+    });
+    if (result.canceled || !result.filePath) {
+        return { canceled: true };
+    }
+
+    const fileName = path.basename(result.filePath);
+    const saved = { ...theme, name: path.basename(fileName, path.extname(fileName)) };
+    if (themes.isBuiltInName(saved.name)) {
+        return { error: `${fileName}: the name "${saved.name}" belongs to a built-in theme` };
+    }
+    const errors = themes.validateTheme(saved);
+    if (errors.length > 0) {
+        return { error: `${fileName}: invalid theme: ${errors.join('; ')}` };
+    }
+    try {
+        await fs.promises.writeFile(result.filePath, themes.serializeTheme(saved), 'utf8');
+        await installTheme(saved);
+        return { theme: themes.copyTheme(saved) };
+    } catch (error) {
+        return { error: `${fileName}: ${error.message}` };
+    }
+}
+
+// Watched data files, by the id of the web contents they update
+const watchers = new Map();
+
+// Read a watched file into an update for the renderer: a parsed table for
+// delimited files (the renderer picks the columns, as for imports) or chart
+// data for JSON. Errors are part of the update so the renderer can keep
+// showing the last good data.
+async function readWatchedFile(filePath) {
+    const fileName = path.basename(filePath);
+    const update = { filePath, fileName, time: Date.now() };
+    try {
+        const text = await fs.promises.readFile(filePath, 'utf8');
+        if (path.extname(fileName).toLowerCase() === '.json') {
+            update.data = input.parseDataJSON(text, fileName);
+        } else {
+            update.table = csv.parseTable(text, { fileName });
+        }
+    } catch (error) {
+        update.error = error.code ? `${fileName}: ${error.message}` : error.message;
+    }
+    return update;
+}
+
+function stopWatching(contentsId) {
+    const watcher = watchers.get(contentsId);
+    if (watcher) {
+        watcher.close();
+        watchers.delete(contentsId);
+    }
+}
+
+// Push the file's contents to the window now and after every change. The
+// directory is watched rather than the file so that writers which replace
+// the file (write to a temporary file, then rename) are still followed.
+function watchFile(win, filePath) {
+    const contents = win.webContents;
+    stopWatching(contents.id);
+
+    const fileName = path.basename(filePath);
+    let timer = null;
+    // Only the window's current watcher may send; a read still in flight
+    // when watching stops or moves to another file is dropped
+    const entry = {
+        close: () => {
+            clearTimeout(timer);
+            watcher.close();
+        }
+    };
+    const current = () => watchers.get(contents.id) === entry && !contents.isDestroyed();
+    const push = async () => {
+        const update = await readWatchedFile(filePath);
+        if (current()) {
+            contents.send('watch-update', update);
+        }
+    };
+
+    const watcher = fs.watch(path.dirname(filePath), (eventType, changed) => {
+        if (!current() || (changed && changed !== fileName)) return;
+        clearTimeout(timer);
+        timer = setTimeout(push, WATCH_DEBOUNCE_MS);
+    });
+    watcher.on('error', (error) => {
+        if (current()) {
+            contents.send('watch-update', { filePath, fileName, time: Date.now(), error: `${fileName}: ${error.message}` });
+        }
+    });
+    watchers.set(contents.id, entry);
+    push();
+}
+
+// Ask for a data file and start watching it
+async function chooseWatchedFile(win) {
+    const result = await dialog.showOpenDialog(win, {
+        title: 'Watch Data File',
+        properties: ['openFile'],
+        filters: WATCH_FILE_FILTERS
+    });
+    if (result.canceled || result.filePaths.length === 0) {
+        return { canceled: true };
+    }
+
+    const filePath = result.filePaths[0];
+    try {
+        watchFile(win, filePath);
+    } catch (error) {
+        return { error: `${path.basename(filePath)}: ${error.message}` };
+    }
+    return { filePath };
+}
+
+// Application menu. Commands are forwarded to the renderer, which owns the
+// chart state and calls back into the main process when it needs a dialog.
+function buildMenu(win) {
+    const send = (command) => () => win.webContents.send('menu-command', command);
+    return Menu.buildFromTemplate([
+        {
+            label: 'File',
+            submenu: [
+                { label: 'Open Project...', accelerator: 'CmdOrCtrl+O', click: send('open-project') },
+                { label: 'Save Project', accelerator: 'CmdOrCtrl+S', click: send('save-project') },
+                { label: 'Save Project As...', accelerator: 'CmdOrCtrl+Shift+S', click: send('save-project-as') },
+                { type: 'separator' },
+                { label: 'Import Data...', accelerator: 'CmdOrCtrl+I', click: send('import-data') },
+                { label: 'Watch Data File...', click: send('watch-file') },
+                { label: 'Stop Watching', click: send('stop-watching') },
+                { type: 'separator' },
+                { role: 'quit' }
+            ]
+        },
+        {
+            // Undo and redo go to the chart history, or to the text field
+            // being typed in
+            label: 'Edit',
+            submenu: [
+                { label: 'Undo', accelerator: 'CmdOrCtrl+Z', click: send('undo') },
+                { label: 'Redo', accelerator: 'CmdOrCtrl+Shift+Z', click: send('redo') },
+                { type: 'separator' },
+                { role: 'cut' },
+                { role: 'copy' },
+                { role: 'paste' },
+                { role: 'selectAll' }
+            ]
+        }
+    ]);
+}
+
+// The last session (see session.js). It is read once at startup, kept up
+// to date as the chart and window change and written back shortly after,
+// so little is lost even if the app does not get to close normally.
+const SESSION_SAVE_DELAY_MS = 1000;
+let sessionState = { ...session.EMPTY_SESSION };
+// Whether the previous run ended without closing normally; reported once
+// along with the restored chart
+let recovered = false;
+let sessionTimer = null;
+
+function sessionPath() {
+    return path.join(app.getPath('userData'), session.SESSION_FILE);
+}
+
+function loadSession() {
+    try {
+        sessionState = session.parseSession(fs.readFileSync(sessionPath(), 'utf8'));
+    } catch (error) {
+        // No session yet (first run) or it cannot be read: start afresh
+        sessionState = { ...session.EMPTY_SESSION };
+    }
+    recovered = sessionState.running && sessionState.chart !== null;
+    sessionState.running = true;
+    writeSession();
+}
+
+// Write the session now. It goes to a temporary file that then replaces
+// the old one, so a crash halfway through cannot leave half a session.
+function writeSession() {
+    clearTimeout(sessionTimer);
+    sessionTimer = null;
+    const target = sessionPath();
+    try {
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(`${target}.tmp`, session.serializeSession(sessionState), 'utf8');
+        fs.renameSync(`${target}.tmp`, target);
+    } catch (error) {
+        console.error(`electron-bar-graph: could not save the session: ${error.message}`);
+    }
+}
+
+function scheduleSessionSave() {
+    clearTimeout(sessionTimer);
+    sessionTimer = setTimeout(writeSession, SESSION_SAVE_DELAY_MS);
+}
+
+// Put a project file at the top of the recent charts, here, in the
+// window's list and in the system's recent documents
+function addRecentChart(filePath) {
+    sessionState.recent = session.addRecent(sessionState.recent, filePath);
+    sessionState.filePath = filePath;
+    app.addRecentDocument(filePath);
+    scheduleSessionSave();
+    BrowserWindow.getAllWindows().forEach((win) => win.webContents.send('recent-charts', sessionState.recent));
+}
+
+function removeRecentChart(filePath) {
+    sessionState.recent = sessionState.recent.filter((recent) => recent !== filePath);
+    scheduleSessionSave();
+    BrowserWindow.getAllWindows().forEach((win) => win.webContents.send('recent-charts', sessionState.recent));
+}
+
+// Remember where the window is. The normal bounds are kept while it is
+// maximized, so it goes back to them once unmaximized after a restart.
+function trackWindow(win) {
+    const remember = () => {
+        if (win.isDestroyed() || win.isMinimized()) return;
+        sessionState.window = { ...win.getNormalBounds(), maximized: win.isMaximized() };
+        scheduleSessionSave();
+    };
+    ['resize', 'move', 'maximize', 'unmaximize'].forEach((event) => win.on(event, remember));
+    win.on('close', () => {
+        remember();
+        writeSession();
+    });
+}
 
 function createWindow() {
+    const workAreas = screen.getAllDisplays().map((display) => display.workArea);
+    const bounds = session.restoreBounds(sessionState.window, workAreas) || { width: 800, height: 600 };
     const win = new BrowserWindow({
-        width: 800,
-        height: 600,
+        ...bounds,
         webPreferences: {
             contextIsolation: false,
             nodeIntegration: true
@@ -34,14 +440,240 @@ function createWindow() {
         maximizable: true
     });
 
-    // Remove the default menu completely
-    win.setMenu(null);
+    // Replace the default menu with our own; it stays hidden until Alt is pressed
+    win.setMenu(buildMenu(win));
+    if (sessionState.window && sessionState.window.maximized) win.maximize();
+    trackWindow(win);
+
+    const contentsId = win.webContents.id;
+    win.on('closed', () => stopWatching(contentsId));
 
     win.loadFile('index.html');
 }
 
-app.whenReady().then(() => {
+// Draw a chart on the canvas of a hidden window, so text is measured and
+// rendered exactly as in the app, and return the encoded image
+async function renderImage(data, layoutOptions, mimeType, quality) {
+    const win = new BrowserWindow({
+        show: false,
+        webPreferences: {
+            contextIsolation: false,
+            nodeIntegration: true
+        }
+    });
+    try {
+        await win.loadURL('about:blank');
+        const dataURL = await win.webContents.executeJavaScript(`(() => {
+            const chart = require(${JSON.stringify(path.join(__dirname, 'chart.js'))});
+            const job = ${JSON.stringify({ data, layoutOptions, mimeType, quality })};
+            const canvas = document.createElement('canvas');
+            canvas.width = job.layoutOptions.width;
+            canvas.height = job.layoutOptions.height;
+            const ctx = canvas.getContext('2d');
+            const measureText = (text, font) => {
+                ctx.font = font;
+                return ctx.measureText(text).width;
+            };
+            chart.drawChart(ctx, chart.layoutChart(job.data, { ...job.layoutOptions, measureText }));
+            return canvas.toDataURL(job.mimeType, job.quality);
+        })()`);
+        return Buffer.from(dataURL.slice(dataURL.indexOf(',') + 1), 'base64');
+    } finally {
+        win.destroy();
+    }
+}
+
+// Render a chart from the command line and write it to disk. Returns the
+// process exit code; errors are printed to stderr. There is no window to
+// report anything else that goes wrong, and an unhandled rejection would
+// leave the process running, so any other error fails the rendering.
+async function runHeadless(args) {
+    try {
+        return await renderFromArgs(args);
+    } catch (error) {
+        console.error(`electron-bar-graph: ${error.message}`);
+        return cli.EXIT_OUTPUT;
+    }
+}
+
+async function renderFromArgs(args) {
+    let options;
+    try {
+        options = cli.parseArgs(args);
+    } catch (error) {
+        console.error(`electron-bar-graph: ${error.message}`);
+        console.error('Run with --help for usage.');
+        return cli.EXIT_USAGE;
+    }
+    options.warnings.forEach((warning) => console.error(`electron-bar-graph: ${warning}`));
+    if (options.help) {
+        console.log(cli.USAGE);
+        return cli.EXIT_OK;
+    }
+
+    let job;
+    try {
+        job = cli.loadJob(options);
+    } catch (error) {
+        console.error(error.message);
+        return error.exitCode || cli.EXIT_DATA;
+    }
+
+    const layoutOptions = {
+        width: job.width,
+        height: job.height,
+        title: job.chart.title,
+        subtitle: job.chart.subtitle,
+        xAxisTitle: job.chart.xAxisTitle,
+        yAxisTitle: job.chart.yAxisTitle,
+        footnote: job.chart.footnote,
+        mode: job.chart.mode,
+        orientation: job.chart.orientation,
+        gridlines: job.chart.gridlines,
+        scale: job.chart.scale,
+        logBase: job.chart.logBase,
+        valueLabels: job.chart.valueLabels,
+        legend: job.chart.legend,
+        numberFormat: job.chart.numberFormat,
+        theme: job.chart.theme,
+        colors: colors.generateColors(job.colors.mode, chart.colorCount(job.data), {
+            ...job.colors,
+            themePalette: job.chart.theme.palette
+        }),
+        colorScale: colors.valueColorScale(job.colors.mode, job.colors),
+        rules: job.colors.rules,
+        patterns: job.colors.patterns,
+        patternsPer: job.colors.patternsPer
+    };
+    // Values the chart cannot show are worth knowing about but still
+    // leave a usable chart
+    const layout = chart.layoutChart(job.data, layoutOptions);
+    layout.warnings.forEach((warning) => console.error(`electron-bar-graph: ${warning}`));
+    // SVG needs no window; its text widths are estimated
+    try {
+        const content = job.format === 'svg'
+            ? chart.chartToSVG(layout)
+            : await renderImage(job.data, layoutOptions, job.mimeType, job.quality);
+        await fs.promises.writeFile(job.out, content);
+    } catch (error) {
+        console.error(`${path.basename(job.out)}: ${error.message}`);
+        return cli.EXIT_OUTPUT;
+    }
+    return cli.EXIT_OK;
+}
+
+// The chart as last drawn by the renderer, for the local server
+let chartState = null;
+let chartServer = null;
+
+ipcMain.on('chart-state', (event, state) => {
+    chartState = state;
+    if (chartServer) chartServer.broadcastState(state);
+    sessionState.chart = state;
+    scheduleSessionSave();
+});
+
+// Start the local server when asked for with --listen. Problems are
+// reported on stderr; the app itself runs either way.
+async function startServer(args) {
+    let options;
+    try {
+        options = server.serverOptions(args);
+    } catch (error) {
+        console.error(`electron-bar-graph: ${error.message}`);
+        return;
+    }
+    if (!options) return;
+
+    chartServer = server.createChartServer({
+        token: options.token,
+        getState: () => chartState,
+        onPush: (update) => {
+            const win = BrowserWindow.getAllWindows()[0];
+            if (!win) return false;
+            win.webContents.send('remote-update', update);
+            return true;
+        }
+    });
+    try {
+        const port = await chartServer.listen(options.port);
+        console.log(`Listening on http://127.0.0.1:${port}/chart`);
+        if (options.generatedToken) {
+            console.log(`Token: ${options.token} (set ${server.TOKEN_VARIABLE} to choose your own)`);
+        }
+    } catch (error) {
+        console.error(`electron-bar-graph: could not listen on port ${options.port}: ${error.message}`);
+        chartServer = null;
+    }
+}
+
+ipcMain.handle('import-data', (event) => {
+    return importDataFile(BrowserWindow.fromWebContents(event.sender));
+});
+
+ipcMain.handle('watch-file', (event) => {
+    return chooseWatchedFile(BrowserWindow.fromWebContents(event.sender));
+});
+
+ipcMain.handle('stop-watching', (event) => {
+    stopWatching(event.sender.id);
+});
+
+// Projects opened or saved become the most recent chart
+ipcMain.handle('open-project', async (event) => {
+    const result = await openProjectFile(BrowserWindow.fromWebContents(event.sender));
+    if (result.filePath) addRecentChart(result.filePath);
+    return result;
+});
+
+ipcMain.handle('save-project', async (event, request) => {
+    const result = await saveProjectFile(BrowserWindow.fromWebContents(event.sender), request);
+    if (result.filePath) addRecentChart(result.filePath);
+    return result;
+});
+
+ipcMain.handle('list-themes', () => listThemes());
+
+ipcMain.handle('import-theme', (event) => {
+    return importThemeFile(BrowserWindow.fromWebContents(event.sender));
+});
+
+ipcMain.handle('save-theme', (event, theme) => {
+    return saveThemeFile(BrowserWindow.fromWebContents(event.sender), theme);
+});
+
+// Open one of the recent charts. Files that have gone missing drop off
+// the list.
+ipcMain.handle('open-recent', async (event, filePath) => {
+    const result = await readProjectFile(filePath);
+    if (result.filePath) addRecentChart(filePath);
+    else if (!fs.existsSync(filePath)) removeRecentChart(filePath);
+    return result;
+});
+
+// The chart to start with: the one from the last session, if any, and
+// whether that session ended without closing normally
+ipcMain.handle('restore-session', () => {
+    const restored = {
+        project: sessionState.chart,
+        filePath: sessionState.filePath,
+        recent: sessionState.recent,
+        recovered
+    };
+    recovered = false;
+    return restored;
+});
+
+app.whenReady().then(async () => {
+    if (headless) {
+        if (app.dock) app.dock.hide();
+        app.exit(await runHeadless(cliArgs));
+        return;
+    }
+
+    loadSession();
     createWindow();
+    startServer(cliArgs);
 
     app.on('activate', () => {
         if (BrowserWindow.getAllWindows().length === 0) {
@@ -50,8 +682,17 @@ app.whenReady().then(() => {
     });
 });
 
+// A normal exit: the next start restores the session without calling it
+// a recovery
+app.on('will-quit', () => {
+    if (headless) return;
+    sessionState.running = false;
+    writeSession();
+});
+
 app.on('window-all-closed', () => {
-    if (process.platform !== 'darwin') {
+    // Headless runs exit by themselves once the chart is written
+    if (process.platform !== 'darwin' && !headless) {
         app.quit();
     }
 });
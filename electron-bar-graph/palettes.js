@@ -0,0 +1,305 @@
+/*
+ * Electron Bar Graph - A bar graph application using Electron and JavaScript.
+ * Copyright (C) 2025
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+// Perceptual color math and a library of palettes that stay readable for
+// people with color vision deficiencies.
+//
+// Colors are mixed in OKLab, the Cartesian form of OKLCH, where equal steps
+// look like equal changes in lightness and hue. Mixing sRGB channels, as
+// the gradient mode does, dips through muddy, darker colors in between.
+//
+// Palettes come in three kinds:
+//   categorical - distinct colors for unrelated categories or series,
+//     repeated when there are more bars than colors
+//   sequential - light to dark (or dark to light) for ordered values,
+//     sampled evenly from first to last color
+//   diverging - two sequential halves meeting at a neutral middle, for
+//     values above and below a midpoint
+//
+// createColorScale maps values onto a sequential or diverging palette (or
+// any list of colors), for coloring bars by value.
+//
+// simulateColor shows how a color looks with a color vision deficiency,
+// using the Machado, Oliveira and Fernandes (2009) matrices at full
+// severity, and checkContrast finds colors too close to a background to
+// tell apart, by the WCAG contrast ratio.
+
+const PALETTE_KINDS = ["categorical", "sequential", "diverging"];
+
+const PALETTES = [
+  {
+    name: "Okabe-Ito",
+    kind: "categorical",
+    colors: ["#e69f00", "#56b4e9", "#009e73", "#f0e442", "#0072b2", "#d55e00", "#cc79a7", "#000000"],
+  },
+  {
+    name: "Tol Bright",
+    kind: "categorical",
+    colors: ["#4477aa", "#ee6677", "#228833", "#ccbb44", "#66ccee", "#aa3377", "#bbbbbb"],
+  },
+  {
+    name: "Tol Vibrant",
+    kind: "categorical",
+    colors: ["#0077bb", "#33bbee", "#009988", "#ee7733", "#cc3311", "#ee3377", "#bbbbbb"],
+  },
+  { name: "Viridis", kind: "sequential", colors: ["#440154", "#3b528b", "#21918c", "#5ec962", "#fde725"] },
+  { name: "Cividis", kind: "sequential", colors: ["#00224e", "#35456c", "#666970", "#948e77", "#c8b866", "#fee838"] },
+  { name: "Blues", kind: "sequential", colors: ["#c6dbef", "#6baed6", "#2171b5", "#08306b"] },
+  { name: "Blue-Red", kind: "diverging", colors: ["#2166ac", "#92c5de", "#f7f7f7", "#f4a582", "#b2182b"] },
+  { name: "Purple-Orange", kind: "diverging", colors: ["#542788", "#998ec3", "#f7f7f7", "#f1a340", "#b35806"] },
+];
+
+const DEFAULT_PALETTE = "Okabe-Ito";
+
+// Ways color vision can differ, for simulateColor; "none" leaves colors be
+const DEFICIENCIES = ["none", "protanopia", "deuteranopia", "tritanopia", "achromatopsia"];
+
+// Linear RGB transforms for each deficiency (Machado et al. 2009,
+// severity 1.0). Achromatopsia keeps only the luminance.
+const DEFICIENCY_MATRICES = {
+  protanopia: [
+    [0.152286, 1.052583, -0.204868],
+    [0.114503, 0.786281, 0.099216],
+    [-0.003882, -0.048116, 1.051998],
+  ],
+  deuteranopia: [
+    [0.367322, 0.860646, -0.227968],
+    [0.280085, 0.672501, 0.047413],
+    [-0.01182, 0.04294, 0.968881],
+  ],
+  tritanopia: [
+    [1.255528, -0.076749, -0.178779],
+    [-0.078411, 0.930809, 0.147602],
+    [0.004733, 0.691367, 0.3039],
+  ],
+  achromatopsia: [
+    [0.2126, 0.7152, 0.0722],
+    [0.2126, 0.7152, 0.0722],
+    [0.2126, 0.7152, 0.0722],
+  ],
+};
+
+// The contrast WCAG 2.1 asks for between graphics and what is next to them
+// (success criterion 1.4.11). Light colors in published palettes, such as
+// Okabe-Ito's yellow or the light end of Viridis, fall short of it on
+// white, and dark ones on a dark background; they are flagged like any
+// other color.
+const MIN_CONTRAST = 3;
+
+// The basic CSS color names, which themes may use
+const NAMED_COLORS = {
+  black: "#000000",
+  silver: "#c0c0c0",
+  gray: "#808080",
+  grey: "#808080",
+  white: "#ffffff",
+  maroon: "#800000",
+  red: "#ff0000",
+  purple: "#800080",
+  fuchsia: "#ff00ff",
+  magenta: "#ff00ff",
+  green: "#008000",
+  lime: "#00ff00",
+  olive: "#808000",
+  yellow: "#ffff00",
+  navy: "#000080",
+  blue: "#0000ff",
+  teal: "#008080",
+  aqua: "#00ffff",
+  cyan: "#00ffff",
+  orange: "#ffa500",
+};
+
+// Read a CSS color: #rgb, #rrggbb, rgb(), hsl() or a basic color name.
+// Returns { r, g, b } from 0 to 255, or null for anything else.
+const parseColor = (color) => {
+  const value = String(color ?? "").trim().toLowerCase();
+  const named = NAMED_COLORS[value];
+  if (named) return parseColor(named);
+
+  let match = /^#([0-9a-f])([0-9a-f])([0-9a-f])$/.exec(value);
+  if (match) {
+    const [r, g, b] = match.slice(1).map((digit) => parseInt(digit + digit, 16));
+    return { r, g, b };
+  }
+  match = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/.exec(value);
+  if (match) {
+    const [r, g, b] = match.slice(1).map((pair) => parseInt(pair, 16));
+    return { r, g, b };
+  }
+  match = /^rgb\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*\)$/.exec(value);
+  if (match) {
+    const [r, g, b] = match.slice(1).map(Number);
+    return { r, g, b };
+  }
+  match = /^hsl\(\s*([\d.]+)\s*,\s*([\d.]+)%\s*,\s*([\d.]+)%\s*\)$/.exec(value);
+  if (match) {
+    const h = Number(match[1]) % 360;
+    const s = Number(match[2]) / 100;
+    const l = Number(match[3]) / 100;
+    const a = s * Math.min(l, 1 - l);
+    const channel = (n) => {
+      const k = (n + h / 30) % 12;
+      return 255 * (l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1)));
+    };
+    return { r: channel(0), g: channel(8), b: channel(4) };
+  }
+  return null;
+};
+
+// #rrggbb for channels from 0 to 255, clipped to that range
+const toHex = ({ r, g, b }) =>
+  "#" + [r, g, b].map((c) => Math.round(Math.min(255, Math.max(0, c))).toString(16).padStart(2, "0")).join("");
+
+const toLinear = (c) => {
+  const v = c / 255;
+  return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+};
+
+const fromLinear = (v) => 255 * (v <= 0.0031308 ? 12.92 * v : 1.055 * Math.pow(Math.max(v, 0), 1 / 2.4) - 0.055);
+
+const rgbToOklab = ({ r, g, b }) => {
+  const [lr, lg, lb] = [r, g, b].map(toLinear);
+  const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+  const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+  const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+  return {
+    L: 0.2104542553 * l + 0.793617785 * m - 0.0040720468 * s,
+    a: 1.9779984951 * l - 2.428592205 * m + 0.4505937099 * s,
+    b: 0.0259040371 * l + 0.7827717662 * m - 0.808675766 * s,
+  };
+};
+
+const oklabToRgb = ({ L, a, b }) => {
+  const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+  const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+  const s = Math.pow(L - 0.0894841775 * a - 1.291485548 * b, 3);
+  return {
+    r: fromLinear(4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s),
+    g: fromLinear(-1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s),
+    b: fromLinear(-0.0041960863 * l - 0.7034186147 * m + 1.707614701 * s),
+  };
+};
+
+// The color a fraction t (0 to 1) of the way along a list of colors,
+// mixed in OKLab. Returns #rrggbb.
+const interpolateColors = (colors, t) => {
+  const stops = colors.map((color) => rgbToOklab(parseColor(color) || { r: 0, g: 0, b: 0 }));
+  if (stops.length === 1) return toHex(oklabToRgb(stops[0]));
+  const position = Math.min(1, Math.max(0, t)) * (stops.length - 1);
+  const k = Math.min(Math.floor(position), stops.length - 2);
+  const f = position - k;
+  const [from, to] = [stops[k], stops[k + 1]];
+  return toHex(oklabToRgb({
+    L: from.L + (to.L - from.L) * f,
+    a: from.a + (to.a - from.a) * f,
+    b: from.b + (to.b - from.b) * f,
+  }));
+};
+
+const findPalette = (name) => PALETTES.find((palette) => palette.name === name) || null;
+
+// count colors from a palette (the default one for unknown names):
+// categorical palettes repeat, the others are sampled evenly from end to
+// end, a single color taken from the middle
+const paletteColors = (name, count) => {
+  const palette = findPalette(name) || findPalette(DEFAULT_PALETTE);
+  if (palette.kind === "categorical") {
+    return Array.from({ length: count }, (_, i) => palette.colors[i % palette.colors.length]);
+  }
+  return Array.from({ length: count }, (_, i) => interpolateColors(palette.colors, count === 1 ? 0.5 : i / (count - 1)));
+};
+
+// A continuous color scale from min to max over a list of colors (stops).
+// With a midpoint, the values below it take the first half of the stops
+// and those above it the second, so the middle color always marks the
+// midpoint, even when the data is lopsided around it; the range is
+// widened to include the midpoint when needed. Returns the range and
+// position(value), from 0 to 1, and color(value), as #rrggbb.
+const createColorScale = (stops, { min, max, midpoint = null }) => {
+  const low = midpoint === null ? min : Math.min(min, midpoint);
+  const high = midpoint === null ? max : Math.max(max, midpoint);
+  const fraction = (value, from, to) => (to > from ? Math.min(1, Math.max(0, (value - from) / (to - from))) : 0.5);
+  const position = (value) => {
+    if (midpoint === null) return fraction(value, low, high);
+    if (value < midpoint) return midpoint > low ? fraction(value, low, midpoint) / 2 : 0.5;
+    return midpoint < high ? 0.5 + fraction(value, midpoint, high) / 2 : 0.5;
+  };
+  return {
+    min: low,
+    max: high,
+    midpoint,
+    position,
+    color: (value) => interpolateColors(stops, position(value)),
+  };
+};
+
+// How a color looks with a color vision deficiency, as #rrggbb. Colors
+// that cannot be read, and "none", come back unchanged.
+const simulateColor = (color, deficiency) => {
+  const matrix = DEFICIENCY_MATRICES[deficiency];
+  const rgb = parseColor(color);
+  if (!matrix || !rgb) return color;
+  const linear = [rgb.r, rgb.g, rgb.b].map(toLinear);
+  const [r, g, b] = matrix.map((row) => fromLinear(row[0] * linear[0] + row[1] * linear[1] + row[2] * linear[2]));
+  return toHex({ r, g, b });
+};
+
+const relativeLuminance = ({ r, g, b }) => {
+  const [lr, lg, lb] = [r, g, b].map(toLinear);
+  return 0.2126 * lr + 0.7152 * lg + 0.0722 * lb;
+};
+
+// The WCAG contrast ratio between two colors, from 1 (the same) to 21
+// (black on white), or null when either cannot be read
+const contrastRatio = (color1, color2) => {
+  const rgb1 = parseColor(color1);
+  const rgb2 = parseColor(color2);
+  if (!rgb1 || !rgb2) return null;
+  const [light, dark] = [relativeLuminance(rgb1), relativeLuminance(rgb2)].sort((x, y) => y - x);
+  return (light + 0.05) / (dark + 0.05);
+};
+
+// The colors, each once, with less than minimum contrast against the
+// background. Colors that cannot be read are not judged.
+const checkContrast = (colors, background, minimum = MIN_CONTRAST) =>
+  [...new Set(colors)].filter((color) => {
+    const ratio = contrastRatio(color, background);
+    return ratio !== null && ratio < minimum;
+  });
+
+module.exports = {
+  PALETTE_KINDS,
+  PALETTES,
+  DEFAULT_PALETTE,
+  DEFICIENCIES,
+  MIN_CONTRAST,
+  NAMED_COLORS,
+  parseColor,
+  toHex,
+  rgbToOklab,
+  oklabToRgb,
+  interpolateColors,
+  findPalette,
+  paletteColors,
+  createColorScale,
+  simulateColor,
+  contrastRatio,
+  checkContrast,
+};
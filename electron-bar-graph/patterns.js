@@ -0,0 +1,84 @@
+/*
+ * Electron Bar Graph - A bar graph application using Electron and JavaScript.
+ * Copyright (C) 2025
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+// Fill patterns drawn over bar colors, so bars stay apart in grayscale
+// printouts and for readers who cannot tell the colors apart.
+//
+// Each pattern is a square tile of PATTERN_SIZE pixels, repeated from the
+// chart's top left corner, described as lines and dots (PATTERN_SHAPES).
+// chart.drawChart turns the tile into a CanvasPattern and chart.chartToSVG
+// into a <pattern>, both from the same shapes, so they look the same. The
+// shapes are drawn in black or white, whichever shows better on the bar.
+
+const { contrastRatio } = require("./palettes.js");
+
+const PATTERNS = ["none", "diagonal", "crosshatch", "dots", "stripes"];
+// How the list of patterns is handed out: one per series like the colors
+// (one per bar with a single series), or to every bar in turn
+const PATTERNS_PER = ["series", "bar"];
+const PATTERN_SIZE = 8;
+const PATTERN_LINE_WIDTH = 1.5;
+
+// Diagonal lines run through the tile's corners and are continued past
+// them, so neighbouring tiles join without gaps
+const RISING = [
+  { type: "line", x1: 0, y1: 8, x2: 8, y2: 0 },
+  { type: "line", x1: -2, y1: 2, x2: 2, y2: -2 },
+  { type: "line", x1: 6, y1: 10, x2: 10, y2: 6 },
+];
+const FALLING = [
+  { type: "line", x1: 0, y1: 0, x2: 8, y2: 8 },
+  { type: "line", x1: -2, y1: 6, x2: 2, y2: 10 },
+  { type: "line", x1: 6, y1: -2, x2: 10, y2: 2 },
+];
+
+const PATTERN_SHAPES = {
+  none: [],
+  diagonal: RISING,
+  crosshatch: [...RISING, ...FALLING],
+  dots: [{ type: "dot", cx: 4, cy: 4, r: 1.5 }],
+  stripes: [{ type: "line", x1: 0, y1: 4, x2: 8, y2: 4 }],
+};
+
+// Black or white, whichever contrasts more with the fill; black for
+// fills that cannot be read
+const patternInk = (fill) => {
+  const onBlack = contrastRatio(fill, "black");
+  return onBlack === null || onBlack >= contrastRatio(fill, "white") ? "black" : "white";
+};
+
+// Read a comma-separated list of pattern names, ignoring case. Returns
+// the patterns and any names that are not patterns.
+const parsePatterns = (text) => {
+  const names = String(text ?? "").split(",").map((name) => name.trim().toLowerCase()).filter((name) => name !== "");
+  return {
+    patterns: names.filter((name) => PATTERNS.includes(name)),
+    unknown: names.filter((name) => !PATTERNS.includes(name)),
+  };
+};
+
+module.exports = {
+  PATTERNS,
+  PATTERNS_PER,
+  PATTERN_SIZE,
+  PATTERN_LINE_WIDTH,
+  PATTERN_SHAPES,
+  patternInk,
+  parsePatterns,
+};
@@ -0,0 +1,315 @@
+/*
+ * Electron Bar Graph - A bar graph application using Electron and JavaScript.
+ * Copyright (C) 2025
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+// The .bargraph project format: a versioned JSON document holding the data
+// and every setting needed to redraw and re-export a chart.
+//
+// Version history:
+//   1 - data.values and data.labels
+//   2 - data.series replaces data.values to hold several named series
+//
+// Settings added since version 2 are optional and fall back to the defaults
+// below, so files written before them still open unchanged:
+//   chart.mode - grouped, stacked or percent bars
+//   chart.orientation - vertical or horizontal bars
+//   chart.title - text above the chart
+//   chart.subtitle, chart.xAxisTitle, chart.yAxisTitle, chart.footnote -
+//     more text around the chart, see CHART_TEXT
+//   chart.gridlines - gridlines at the value axis ticks
+//   chart.scale - linear or log value axis
+//   chart.logBase - base of the log scale
+//   chart.valueLabels - where to show each bar's value, if at all
+//   chart.numberFormat - how to format those values, see format.js
+//   chart.legend - where to put the legend, if anywhere
+//   chart.tooltip - what a bar's tooltip shows, out of TOOLTIP_FIELDS; an
+//     empty list turns tooltips off
+//   chart.theme - the whole theme the chart is drawn with, see themes.js,
+//     so the project looks the same where that theme is not installed
+//   colors.mode "theme" - bar colors from the theme's palette
+//   colors.mode "palette" and colors.palette - bar colors from a palette
+//     in palettes.js, by name
+//   colors.mode "value", colors.scale and colors.midpoint - bar colors by
+//     value, from one of COLOR_SCALES and centered on the midpoint unless
+//     that is null
+//   colors.rules - color rules over any mode, first match wins, see
+//     rules.js
+//   colors.patterns - fill patterns drawn over the bar colors, out of
+//     PATTERNS, cycled per series (or per bar with a single series)
+//   colors.patternsPer - one of PATTERNS_PER; "bar" cycles the patterns
+//     over every bar, even with several series
+//   export.width, export.height - size of exported images, independent of
+//     the window
+
+const {
+  DEFAULT_WIDTH,
+  DEFAULT_HEIGHT,
+  BAR_MODES,
+  ORIENTATIONS,
+  SCALES,
+  DEFAULT_LOG_BASE,
+  VALUE_LABELS,
+  LEGEND_POSITIONS,
+  TOOLTIP_FIELDS,
+} = require("./chart.js");
+const { DEFAULT_FORMAT, validateFormat } = require("./format.js");
+const themes = require("./themes.js");
+const { PALETTES, DEFAULT_PALETTE } = require("./palettes.js");
+const { COLOR_SCALES, DEFAULT_COLOR_SCALE } = require("./colors.js");
+const { copyRule, validateRules } = require("./rules.js");
+const { PATTERNS, PATTERNS_PER } = require("./patterns.js");
+
+const PROJECT_FORMAT = "electron-bar-graph";
+const PROJECT_VERSION = 2;
+const PROJECT_EXTENSION = "bargraph";
+
+const COLOR_MODES = ["single", "gradient", "rainbow", "custom", "theme", "palette", "value"];
+// The chart settings holding text shown around the plot
+const CHART_TEXT = ["title", "subtitle", "xAxisTitle", "yAxisTitle", "footnote"];
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+// Settings used when a project leaves something out
+const DEFAULT_PROJECT = {
+  data: { labels: [], series: [] },
+  chart: {
+    mode: "grouped",
+    orientation: "vertical",
+    title: "",
+    subtitle: "",
+    xAxisTitle: "",
+    yAxisTitle: "",
+    footnote: "",
+    gridlines: false,
+    scale: "linear",
+    logBase: DEFAULT_LOG_BASE,
+    valueLabels: "none",
+    numberFormat: DEFAULT_FORMAT,
+    legend: "top",
+    tooltip: TOOLTIP_FIELDS,
+    theme: themes.DEFAULT_THEME,
+  },
+  colors: {
+    mode: "single",
+    primary: "#3498db",
+    secondary: "#e74c3c",
+    custom: "",
+    palette: DEFAULT_PALETTE,
+    scale: DEFAULT_COLOR_SCALE,
+    midpoint: null,
+    rules: [],
+    patterns: [],
+    patternsPer: "series",
+  },
+  export: { fileName: "bar-graph", quality: 0.9, width: DEFAULT_WIDTH, height: DEFAULT_HEIGHT },
+};
+
+const isObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+// Build a project document from the current chart state
+const createProject = ({ data, chart, colors, export: exportSettings }) => ({
+  format: PROJECT_FORMAT,
+  version: PROJECT_VERSION,
+  data: {
+    labels: [...data.labels],
+    series: data.series.map((s) => ({ name: s.name, values: [...s.values] })),
+  },
+  chart: {
+    ...DEFAULT_PROJECT.chart,
+    ...chart,
+    numberFormat: { ...DEFAULT_FORMAT, ...chart?.numberFormat },
+    tooltip: [...(chart?.tooltip ?? TOOLTIP_FIELDS)],
+    theme: themes.copyTheme(chart?.theme ?? themes.DEFAULT_THEME),
+  },
+  colors: {
+    ...DEFAULT_PROJECT.colors,
+    ...colors,
+    rules: (colors?.rules ?? []).map(copyRule),
+    patterns: [...(colors?.patterns ?? [])],
+  },
+  export: { ...DEFAULT_PROJECT.export, ...exportSettings },
+});
+
+const serializeProject = (project) => JSON.stringify(project, null, 2) + "\n";
+
+// Check a parsed document against the schema. Returns a list of problems;
+// an empty list means the project is valid.
+const validateProject = (doc) => {
+  const errors = [];
+  const expect = (ok, message) => {
+    if (!ok) errors.push(message);
+  };
+
+  expect(isObject(doc.data), "data must be an object");
+  if (isObject(doc.data)) {
+    const { labels, series } = doc.data;
+    expect(
+      Array.isArray(labels) && labels.every((l) => typeof l === "string"),
+      "data.labels must be an array of strings",
+    );
+    expect(Array.isArray(series) && series.length > 0, "data.series must be a non-empty array");
+    if (Array.isArray(series)) {
+      series.forEach((s, i) => {
+        const where = `data.series[${i}]`;
+        if (!isObject(s)) {
+          errors.push(`${where} must be an object`);
+          return;
+        }
+        expect(typeof s.name === "string", `${where}.name must be a string`);
+        if (!Array.isArray(s.values) || !s.values.every((v) => typeof v === "number" && isFinite(v))) {
+          errors.push(`${where}.values must be an array of numbers`);
+        } else if (Array.isArray(labels)) {
+          expect(s.values.length === labels.length, `${where}.values and data.labels must have the same length`);
+        }
+      });
+    }
+  }
+
+  if (doc.chart !== undefined) {
+    expect(isObject(doc.chart), "chart must be an object");
+    if (isObject(doc.chart)) {
+      const { mode, orientation, gridlines, scale, logBase, valueLabels, numberFormat, legend, tooltip, theme } = doc.chart;
+      expect(mode === undefined || BAR_MODES.includes(mode), `chart.mode must be one of ${BAR_MODES.join(", ")}`);
+      expect(
+        orientation === undefined || ORIENTATIONS.includes(orientation),
+        `chart.orientation must be one of ${ORIENTATIONS.join(", ")}`,
+      );
+      CHART_TEXT.forEach((field) => {
+        const value = doc.chart[field];
+        expect(value === undefined || typeof value === "string", `chart.${field} must be a string`);
+      });
+      expect(gridlines === undefined || typeof gridlines === "boolean", "chart.gridlines must be true or false");
+      expect(scale === undefined || SCALES.includes(scale), `chart.scale must be one of ${SCALES.join(", ")}`);
+      expect(
+        logBase === undefined || (typeof logBase === "number" && isFinite(logBase) && logBase > 1),
+        "chart.logBase must be a number greater than 1",
+      );
+      expect(
+        valueLabels === undefined || VALUE_LABELS.includes(valueLabels),
+        `chart.valueLabels must be one of ${VALUE_LABELS.join(", ")}`,
+      );
+      expect(
+        legend === undefined || LEGEND_POSITIONS.includes(legend),
+        `chart.legend must be one of ${LEGEND_POSITIONS.join(", ")}`,
+      );
+      expect(
+        tooltip === undefined || (Array.isArray(tooltip) && tooltip.every((field) => TOOLTIP_FIELDS.includes(field))),
+        `chart.tooltip must be a list of ${TOOLTIP_FIELDS.join(", ")}`,
+      );
+      if (theme !== undefined) errors.push(...themes.validateTheme(theme, "chart.theme"));
+      if (numberFormat !== undefined) {
+        expect(isObject(numberFormat), "chart.numberFormat must be an object");
+        if (isObject(numberFormat)) errors.push(...validateFormat(numberFormat, "chart.numberFormat"));
+      }
+    }
+  }
+
+  if (doc.colors !== undefined) {
+    expect(isObject(doc.colors), "colors must be an object");
+    if (isObject(doc.colors)) {
+      const { mode, primary, secondary, custom, palette, scale, midpoint, rules, patterns, patternsPer } = doc.colors;
+      expect(mode === undefined || COLOR_MODES.includes(mode), `colors.mode must be one of ${COLOR_MODES.join(", ")}`);
+      expect(primary === undefined || HEX_COLOR.test(primary), "colors.primary must be a #rrggbb color");
+      expect(secondary === undefined || HEX_COLOR.test(secondary), "colors.secondary must be a #rrggbb color");
+      expect(custom === undefined || typeof custom === "string", "colors.custom must be a string");
+      expect(
+        palette === undefined || PALETTES.some((p) => p.name === palette),
+        `colors.palette must be one of ${PALETTES.map((p) => p.name).join(", ")}`,
+      );
+      expect(scale === undefined || COLOR_SCALES.includes(scale), `colors.scale must be one of ${COLOR_SCALES.join(", ")}`);
+      expect(
+        midpoint === undefined || midpoint === null || (typeof midpoint === "number" && isFinite(midpoint)),
+        "colors.midpoint must be a number or null",
+      );
+      if (rules !== undefined) errors.push(...validateRules(rules, "colors.rules"));
+      expect(
+        patterns === undefined || (Array.isArray(patterns) && patterns.every((name) => PATTERNS.includes(name))),
+        `colors.patterns must be a list of ${PATTERNS.join(", ")}`,
+      );
+      expect(
+        patternsPer === undefined || PATTERNS_PER.includes(patternsPer),
+        `colors.patternsPer must be one of ${PATTERNS_PER.join(", ")}`,
+      );
+    }
+  }
+
+  if (doc.export !== undefined) {
+    expect(isObject(doc.export), "export must be an object");
+    if (isObject(doc.export)) {
+      const { fileName, quality, width, height } = doc.export;
+      expect(fileName === undefined || (typeof fileName === "string" && fileName.trim() !== ""), "export.fileName must be a non-empty string");
+      expect(quality === undefined || (typeof quality === "number" && quality > 0 && quality <= 1), "export.quality must be a number between 0 and 1");
+      expect(width === undefined || (Number.isInteger(width) && width > 0), "export.width must be a positive whole number");
+      expect(height === undefined || (Number.isInteger(height) && height > 0), "export.height must be a positive whole number");
+    }
+  }
+
+  return errors;
+};
+
+// Bring an older document up to the current version, in place
+const migrateProject = (doc) => {
+  if (doc.version < 2 && isObject(doc.data) && doc.data.series === undefined) {
+    const { values, ...rest } = doc.data;
+    doc.data = { ...rest, series: [{ name: "Series 1", values }] };
+  }
+  doc.version = PROJECT_VERSION;
+  return doc;
+};
+
+// Parse project file contents. Throws an Error naming the file when the
+// JSON is malformed, the version is unknown or the schema does not match.
+const parseProject = (text, fileName = "project") => {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`${fileName}: not a valid project file (${e.message})`);
+  }
+
+  if (!isObject(doc) || doc.format !== PROJECT_FORMAT) {
+    throw new Error(`${fileName}: not an Electron Bar Graph project`);
+  }
+  if (!Number.isInteger(doc.version) || doc.version < 1 || doc.version > PROJECT_VERSION) {
+    throw new Error(
+      `${fileName}: unsupported project version ${JSON.stringify(doc.version)} (this version reads up to ${PROJECT_VERSION})`,
+    );
+  }
+
+  const errors = validateProject(migrateProject(doc));
+  if (errors.length > 0) {
+    throw new Error(`${fileName}: invalid project: ${errors.join("; ")}`);
+  }
+
+  return createProject(doc);
+};
+
+module.exports = {
+  PROJECT_FORMAT,
+  PROJECT_VERSION,
+  PROJECT_EXTENSION,
+  COLOR_MODES,
+  CHART_TEXT,
+  HEX_COLOR,
+  DEFAULT_PROJECT,
+  createProject,
+  serializeProject,
+  validateProject,
+  migrateProject,
+  parseProject,
+};
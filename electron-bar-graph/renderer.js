@@ -17,9 +17,31 @@
  * along with this program.  If not, see <https://www.gnu.org/licenses/>.
  */
 
+const { ipcRenderer } = require("electron");
+const csv = require("./csv.js");
+const project = require("./project.js");
+const chart = require("./chart.js");
+const colors = require("./colors.js");
+const input = require("./input.js");
+const format = require("./format.js");
+const { createHistory } = require("./history.js");
+const { createRestoreGate } = require("./session.js");
+const themes = require("./themes.js");
+const palettes = require("./palettes.js");
+const rules = require("./rules.js");
+const patterns = require("./patterns.js");
+const { emacsScript } = require("./emacs.js");
+
 document.addEventListener("DOMContentLoaded", () => {
   const valuesInput = document.getElementById("valuesInput");
   const labelsInput = document.getElementById("labelsInput");
+  const seriesInput = document.getElementById("seriesInput");
+  // Text shown around the chart, one field per project.CHART_TEXT setting
+  const chartTextInputs = Object.fromEntries(
+    project.CHART_TEXT.map((field) => [field, document.getElementById(`${field}Input`)]),
+  );
+  const getChartText = () =>
+    Object.fromEntries(project.CHART_TEXT.map((field) => [field, chartTextInputs[field].value.trim()]));
   const plotButton = document.getElementById("plotButton");
   const canvas = document.getElementById("barGraphCanvas");
   const ctx = canvas.getContext("2d");
@@ -76,6 +98,28 @@ document.addEventListener("DOMContentLoaded", () => {
     emacsSection.style.display = 'block';
   }
   
+  // Chart layout controls
+  const barMode = document.getElementById("barMode");
+  const orientation = document.getElementById("orientation");
+  const gridlines = document.getElementById("gridlines");
+  const legendPosition = document.getElementById("legendPosition");
+  const valueScale = document.getElementById("valueScale");
+  const logBase = document.getElementById("logBase");
+  const logBaseLabel = document.getElementById("logBaseLabel");
+  const snapToTicks = document.getElementById("snapToTicks");
+
+  // Value label controls
+  const valueLabels = document.getElementById("valueLabels");
+  const numberDecimals = document.getElementById("numberDecimals");
+  const numberThousands = document.getElementById("numberThousands");
+  const numberNotation = document.getElementById("numberNotation");
+  const numberPrefix = document.getElementById("numberPrefix");
+  const numberSuffix = document.getElementById("numberSuffix");
+
+  // Tooltip controls, one checkbox per chart.TOOLTIP_FIELDS entry
+  const tooltipFieldInputs = [...document.querySelectorAll("#tooltipFields input")];
+  const chartTooltip = document.getElementById("chartTooltip");
+
   // Color controls
   const colorMode = document.getElementById("colorMode");
   const primaryColor = document.getElementById("primaryColor");
@@ -83,6 +127,59 @@ document.addEventListener("DOMContentLoaded", () => {
   const secondaryColorLabel = document.getElementById("secondaryColorLabel");
   const customColors = document.getElementById("customColors");
   const customColorsLabel = document.getElementById("customColorsLabel");
+  const paletteSelect = document.getElementById("paletteSelect");
+  const paletteSelectLabel = document.getElementById("paletteSelectLabel");
+  const colorVision = document.getElementById("colorVision");
+  const colorScaleSelect = document.getElementById("colorScaleSelect");
+  const colorScaleLabel = document.getElementById("colorScaleLabel");
+  const colorMidpoint = document.getElementById("colorMidpoint");
+  const colorMidpointLabel = document.getElementById("colorMidpointLabel");
+  const contrastNote = document.getElementById("contrastNote");
+  const patternsInput = document.getElementById("patternsInput");
+  const patternsPer = document.getElementById("patternsPer");
+
+  // The palette library, grouped by kind, each palette showing its colors
+  // as a tooltip
+  palettes.PALETTE_KINDS.forEach((kind) => {
+    const group = document.createElement("optgroup");
+    group.label = kind[0].toUpperCase() + kind.slice(1);
+    palettes.PALETTES.filter((palette) => palette.kind === kind).forEach((palette) => {
+      const option = document.createElement("option");
+      option.value = palette.name;
+      option.textContent = palette.name;
+      option.title = palette.colors.join(", ");
+      group.appendChild(option);
+    });
+    paletteSelect.appendChild(group);
+  });
+  paletteSelect.value = palettes.DEFAULT_PALETTE;
+
+  colors.COLOR_SCALES.forEach((scale) => {
+    const option = document.createElement("option");
+    option.value = scale;
+    option.textContent = scale === "custom" ? "Custom colors" : scale;
+    colorScaleSelect.appendChild(option);
+  });
+  colorScaleSelect.value = colors.DEFAULT_COLOR_SCALE;
+
+  // Color rules, in the order they are tried
+  let colorRules = [];
+  const colorRulesList = document.getElementById("colorRules");
+
+  // The midpoint of the value scale, or null when the field is empty
+  const getColorMidpoint = () => {
+    const midpoint = parseFloat(colorMidpoint.value);
+    return isFinite(midpoint) ? midpoint : null;
+  };
+
+  // The fill patterns, leaving out names that are not patterns
+  const getPatterns = () => patterns.parsePatterns(patternsInput.value).patterns;
+
+  // Theme controls
+  const themeSelect = document.getElementById("themeSelect");
+  const themeColorInputs = [...document.querySelectorAll("#themeControls input[type=color]")];
+  const themeFont = document.getElementById("themeFont");
+  const themePalette = document.getElementById("themePalette");
 
   const displayError = (message) => {
     errorMessageDiv.textContent = message;
@@ -112,6 +209,11 @@ document.addEventListener("DOMContentLoaded", () => {
     secondaryColorLabel.style.display = "none";
     customColors.style.display = "none";
     customColorsLabel.style.display = "none";
+    paletteSelect.style.display = "none";
+    paletteSelectLabel.style.display = "none";
+    [colorScaleSelect, colorScaleLabel, colorMidpoint, colorMidpointLabel].forEach((control) => {
+      control.style.display = "none";
+    });
     
     // Show relevant controls based on mode
     if (mode === "gradient") {
@@ -120,235 +222,512 @@ document.addEventListener("DOMContentLoaded", () => {
     } else if (mode === "custom") {
       customColors.style.display = "inline-block";
       customColorsLabel.style.display = "inline-block";
+    } else if (mode === "palette") {
+      paletteSelect.style.display = "inline-block";
+      paletteSelectLabel.style.display = "inline-block";
+    } else if (mode === "value") {
+      // The custom colors serve as the stops of a custom scale
+      const controls = [colorScaleSelect, colorScaleLabel, colorMidpoint, colorMidpointLabel];
+      if (colorScaleSelect.value === "custom") controls.push(customColors, customColorsLabel);
+      controls.forEach((control) => {
+        control.style.display = "inline-block";
+      });
     }
   };
 
-  // Generate colors based on mode
-  const generateColors = (count) => {
-    const mode = colorMode.value;
-    const primary = primaryColor.value;
-    const secondary = secondaryColor.value;
-    
-    switch (mode) {
-      case "single":
-        return Array(count).fill(primary);
-        
-      case "gradient":
-        return generateGradientColors(primary, secondary, count);
-        
-      case "rainbow":
-        return generateRainbowColors(count);
-        
-      case "custom":
-        const customColorList = customColors.value.split(",").map(c => c.trim());
-        if (customColorList.length >= count) {
-          return customColorList.slice(0, count);
-        } else {
-          // Repeat colors if not enough provided
-          const colors = [];
-          for (let i = 0; i < count; i++) {
-            colors.push(customColorList[i % customColorList.length]);
-          }
-          return colors;
-        }
-        
-      default:
-        return Array(count).fill(primary);
-    }
+  // Themes: the built-in ones, those saved or imported into the app, and
+  // the one the chart is drawn with, which may be an edited copy of either
+  let customThemes = [];
+  let currentTheme = themes.DEFAULT_THEME;
+
+  // Color inputs only take #rrggbb; a canvas context turns color names
+  // and short forms into that
+  const toHexColor = (color) => {
+    const scratch = document.createElement("canvas").getContext("2d");
+    scratch.fillStyle = color;
+    return scratch.fillStyle;
   };
 
-  const generateGradientColors = (color1, color2, steps) => {
-    const colors = [];
-    const c1 = hexToRgb(color1);
-    const c2 = hexToRgb(color2);
-    
-    for (let i = 0; i < steps; i++) {
-      const ratio = steps === 1 ? 0 : i / (steps - 1);
-      const r = Math.round(c1.r + (c2.r - c1.r) * ratio);
-      const g = Math.round(c1.g + (c2.g - c1.g) * ratio);
-      const b = Math.round(c1.b + (c2.b - c1.b) * ratio);
-      colors.push(`rgb(${r}, ${g}, ${b})`);
-    }
-    
-    return colors;
+  const fillThemeSelect = () => {
+    const choices = [...themes.BUILT_IN_THEMES, ...customThemes];
+    if (!choices.some((theme) => theme.name === currentTheme.name)) choices.push(currentTheme);
+    themeSelect.replaceChildren(...choices.map((theme) => {
+      const option = document.createElement("option");
+      option.value = theme.name;
+      option.textContent = theme.name;
+      return option;
+    }));
+    themeSelect.value = currentTheme.name;
   };
 
-  const generateRainbowColors = (count) => {
-    const colors = [];
-    for (let i = 0; i < count; i++) {
-      const hue = (i * 360) / count;
-      colors.push(`hsl(${hue}, 70%, 50%)`);
+  // Show a theme in the controls and in the window around the chart. The
+  // chart itself picks it up when it is drawn next.
+  const setTheme = (theme) => {
+    currentTheme = themes.copyTheme(theme);
+    fillThemeSelect();
+    themeColorInputs.forEach((input) => {
+      input.value = toHexColor(currentTheme[input.dataset.field]);
+    });
+    themeFont.value = currentTheme.fontFamily;
+    themePalette.value = currentTheme.palette.join(",");
+    const ui = themes.uiColors(currentTheme);
+    const rootStyle = document.documentElement.style;
+    rootStyle.setProperty("--page-background", ui.page);
+    rootStyle.setProperty("--panel-background", ui.panel);
+    rootStyle.setProperty("--text-color", ui.text);
+    rootStyle.setProperty("--heading-color", ui.heading);
+    rootStyle.setProperty("--border-color", ui.border);
+  };
+
+  // Take the theme from the controls. It is named after the theme it
+  // started from until it is saved under a name of its own, and its window
+  // colors follow the edited chart colors. Returns false, showing why,
+  // when the controls do not make a valid theme.
+  const editTheme = () => {
+    const { ui, ...base } = currentTheme;
+    const edited = {
+      ...base,
+      name: base.name.endsWith(" (edited)") ? base.name : `${base.name} (edited)`,
+      fontFamily: themeFont.value.trim(),
+      palette: themePalette.value.split(",").map((color) => color.trim()).filter((color) => color !== ""),
+    };
+    themeColorInputs.forEach((input) => {
+      edited[input.dataset.field] = input.value;
+    });
+    const errors = themes.validateTheme(edited);
+    if (errors.length > 0) {
+      displayError(`Error: ${errors.join("; ")}`);
+      return false;
     }
-    return colors;
+    setTheme(edited);
+    return true;
   };
 
-  const hexToRgb = (hex) => {
-    const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-    return result ? {
-      r: parseInt(result[1], 16),
-      g: parseInt(result[2], 16),
-      b: parseInt(result[3], 16)
-    } : null;
+  const addCustomTheme = (theme) => {
+    customThemes = [...customThemes.filter((t) => t.name !== theme.name), theme];
   };
 
+  // Colors for the current color mode, one per bar or per series
+  const generateColors = (count) =>
+    colors.generateColors(colorMode.value, count, {
+      primary: primaryColor.value,
+      secondary: secondaryColor.value,
+      custom: customColors.value,
+      themePalette: currentTheme.palette,
+      palette: paletteSelect.value,
+    });
+
+  // Read the data fields, showing any problem in the error area
   const parseInputValues = () => {
     debugLog("Parsing input values");
     displayError(""); // Clear previous errors
-    const valueText = valuesInput.value;
-    const labelText = labelsInput.value;
+    try {
+      const { labels, series } = input.parseChartInput({
+        values: valuesInput.value,
+        labels: labelsInput.value,
+        series: seriesInput.value,
+      });
+      debugLog("Parsed series:", series);
+      debugLog("Parsed labels:", labels);
+      return { labels, series, hasError: false };
+    } catch (e) {
+      displayError(e.message);
+      return { labels: [], series: [], hasError: true }; // Indicate error
+    }
+  };
 
-    let dataValues = [];
-    let labels = [];
+  // Measure text with the canvas so legends and labels are laid out with
+  // the fonts that will actually be drawn
+  const measureWith = (context) => (text, font) => {
+    context.font = font;
+    return context.measureText(text).width;
+  };
+  const measureText = measureWith(ctx);
 
-    try {
-      dataValues = valueText
-        .split(",")
-        .map((x) => parseFloat(x.trim()))
-        .filter((val) => !isNaN(val));
-      dataValues = dataValues.map((val) => Math.max(0, val));
+  // The canvas's size on screen in CSS pixels, which the chart is laid out
+  // for. The backing store is devicePixelRatio times larger so the chart
+  // stays sharp on HiDPI screens, and drawing is scaled up to match.
+  let displaySize = { width: chart.DEFAULT_WIDTH, height: chart.DEFAULT_HEIGHT };
 
-      labels = labelText.split(",").map((x) => x.trim());
+  // The size comes from the graph container, which the stylesheet fits to
+  // the window, rather than from the canvas, whose own pixel size would
+  // otherwise feed back into it
+  const graphContainer = canvas.parentElement;
+  const sizeCanvas = () => {
+    const ratio = window.devicePixelRatio || 1;
+    const style = window.getComputedStyle(graphContainer);
+    const border = canvas.offsetWidth - canvas.clientWidth;
+    const width = graphContainer.clientWidth - parseFloat(style.paddingLeft) - parseFloat(style.paddingRight) - border;
+    const height = graphContainer.clientHeight - parseFloat(style.paddingTop) - parseFloat(style.paddingBottom) - border;
+    displaySize = {
+      width: width > 0 ? width : chart.DEFAULT_WIDTH,
+      height: height > 0 ? height : chart.DEFAULT_HEIGHT,
+    };
+    canvas.width = Math.round(displaySize.width * ratio);
+    canvas.height = Math.round(displaySize.height * ratio);
+    // Resizing the canvas resets its transform
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  };
 
-      debugLog("Parsed values:", dataValues);
-      debugLog("Parsed labels:", labels);
+  // The log base field, or the default while it holds something unusable
+  const getLogBase = () => {
+    const base = parseFloat(logBase.value);
+    return base > 1 && isFinite(base) ? base : chart.DEFAULT_LOG_BASE;
+  };
 
-      if (dataValues.length !== labels.length) {
-        displayError(
-          "Error: Number of values must match the number of labels.",
-        );
-        return { dataValues: [], labels: [], hasError: true }; // Indicate error
-      }
-    } catch (e) {
-      console.error(
-        "Invalid input. Please enter comma-separated numbers and labels.",
-        e,
-      );
-      displayError("Invalid input. Please ensure all values are numbers.");
-      dataValues = [];
-      labels = [];
-      return { dataValues: [], labels: [], hasError: true }; // Indicate error
-    }
-    return { dataValues, labels, hasError: false };
+  // The base only matters on a log scale
+  const updateScaleControls = () => {
+    const display = valueScale.value === "log" ? "inline-block" : "none";
+    logBase.style.display = display;
+    logBaseLabel.style.display = display;
   };
 
-  const drawGraph = (dataValues, labels) => {
-    debugLog("Drawing graph with data:", dataValues, "labels:", labels);
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
-    ctx.fillStyle = "white";
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
+  // The value label number format; an empty or unusable decimals field
+  // means "as entered"
+  const getNumberFormat = () => {
+    const decimals = Number(numberDecimals.value);
+    const usable = numberDecimals.value.trim() !== "" && Number.isInteger(decimals) &&
+      decimals >= 0 && decimals <= format.MAX_DECIMALS;
+    return {
+      decimals: usable ? decimals : null,
+      thousands: numberThousands.checked,
+      notation: numberNotation.value,
+      prefix: numberPrefix.value,
+      suffix: numberSuffix.value,
+    };
+  };
 
-    if (dataValues.length === 0) {
-      debugLog("No data to draw");
+  const getLayoutOptions = (data, width, height, measure = measureText) => ({
+    width,
+    height,
+    ...getChartText(),
+    mode: barMode.value,
+    orientation: orientation.value,
+    gridlines: gridlines.checked,
+    scale: valueScale.value,
+    logBase: getLogBase(),
+    valueLabels: valueLabels.value,
+    numberFormat: getNumberFormat(),
+    legend: legendPosition.value,
+    theme: currentTheme,
+    colors: generateColors(chart.colorCount(data)),
+    colorScale: colors.valueColorScale(colorMode.value, {
+      scale: colorScaleSelect.value,
+      custom: customColors.value,
+      midpoint: getColorMidpoint(),
+    }),
+    rules: colorRules,
+    patterns: getPatterns(),
+    patternsPer: patternsPer.value,
+    measureText: measure,
+  });
+
+  const getTooltipFields = () =>
+    tooltipFieldInputs.filter((input) => input.checked).map((input) => input.dataset.field);
+
+  // The layout last drawn on the canvas and its data, for pointer and
+  // keyboard lookups, and the index into its bars of the highlighted bar
+  let lastLayout = null;
+  let lastData = null;
+  let activeBar = -1;
+
+  // Show the tooltip for the active bar next to the given point, or above
+  // the bar's middle when there is none (keyboard selection)
+  const showTooltip = (point) => {
+    const bar = lastLayout.bars[activeBar];
+    const lines = chart.describeBar(lastData, bar, getTooltipFields(), (value) =>
+      format.formatNumber(value, getNumberFormat()));
+    if (lines.length === 0) {
+      chartTooltip.hidden = true;
       return;
     }
+    chartTooltip.textContent = lines.join("\n");
+    chartTooltip.hidden = false;
+    const { x, y } = point || { x: bar.x + bar.width / 2, y: bar.y };
+    const container = canvas.parentElement;
+    const left = canvas.offsetLeft + x + 12;
+    const top = canvas.offsetTop + y + 12;
+    // Keep the tooltip inside the chart area
+    chartTooltip.style.left = `${Math.max(0, Math.min(left, container.clientWidth - chartTooltip.offsetWidth))}px`;
+    chartTooltip.style.top = `${Math.max(0, Math.min(top, container.clientHeight - chartTooltip.offsetHeight))}px`;
+  };
+
+  // Draw a layout in the window, in the colors someone with the color
+  // vision picked under "Preview As" would see. Exports always get the
+  // real colors.
+  const drawOnScreen = (layout) => {
+    const vision = colorVision.value;
+    const seen = (color) => palettes.simulateColor(color, vision);
+    if (vision === "none") {
+      chart.drawChart(ctx, layout);
+    } else {
+      chart.drawChart(ctx, {
+        ...layout,
+        items: layout.items.map((item) => ({
+          ...item,
+          ...(item.fill && { fill: seen(item.fill) }),
+          ...(item.stroke && { stroke: seen(item.stroke) }),
+          ...(item.stops && { stops: item.stops.map((stop) => ({ ...stop, color: seen(stop.color) })) }),
+        })),
+      });
+    }
+    return seen;
+  };
+
+  // Highlight a bar of the last layout and show its tooltip, or with -1
+  // clear both
+  const selectBar = (index, point) => {
+    if (!lastLayout) return;
+    if (index !== activeBar) {
+      activeBar = index;
+      const seen = drawOnScreen(lastLayout);
+      if (activeBar >= 0) chart.drawHighlight(ctx, lastLayout.bars[activeBar], seen(currentTheme.text));
+    }
+    if (activeBar >= 0) showTooltip(point);
+    else chartTooltip.hidden = true;
+  };
 
-    const topPadding = 30;
-    const bottomPadding = 40;
-    const sidePadding = 30;
+  // Every chart drawn is a step in the undo history. restoring is set
+  // while undo or redo puts a step back, so that is not recorded again.
+  const chartHistory = createHistory();
+  let restoring = false;
+  const undoButton = document.getElementById("undoButton");
+  const redoButton = document.getElementById("redoButton");
 
-    const graphWidth = canvas.width - 2 * sidePadding;
-    const graphHeight = canvas.height - topPadding - bottomPadding;
+  const updateHistoryButtons = () => {
+    undoButton.disabled = !chartHistory.canUndo();
+    redoButton.disabled = !chartHistory.canRedo();
+  };
+
+  // Name the bars drawn in colors that all but vanish against the
+  // background (see chart.faintBars). A note rather than an error: the
+  // chart is still drawn as asked.
+  const updateContrastNote = (layout, data) => {
+    const names = chart.faintBars(layout, currentTheme.background)
+      .map((bar) => (data.series.length > 1 ? `${bar.label} (${bar.series})` : String(bar.label)));
+    contrastNote.textContent = `Bars with less than ${palettes.MIN_CONTRAST}:1 contrast against the background: ${names.join(", ")}`;
+    contrastNote.hidden = names.length === 0;
+  };
+
+  // Nothing is drawn, recorded or autosaved until the last session has
+  // been restored (see the end of this file)
+  const restoreGate = createRestoreGate();
+
+  // stepKey names the control behind a burst of input events, so the
+  // whole burst is undone as one step
+  const drawGraph = restoreGate.guard((data, stepKey = null) => {
+    debugLog("Drawing graph with data:", data.series, "labels:", data.labels);
+    if (data.labels.length === 0) {
+      debugLog("No data to draw");
+    }
+    const layout = chart.layoutChart(data, getLayoutOptions(data, displaySize.width, displaySize.height));
+    drawOnScreen(layout);
+    lastLayout = layout;
+    lastData = data;
+    // Keep a bar chosen with the keyboard selected while the chart updates
+    const keep = document.activeElement === canvas && activeBar < layout.bars.length ? activeBar : -1;
+    activeBar = -1;
+    selectBar(keep);
+    updateContrastNote(layout, data);
+    // Values left out of the chart, e.g. zeros on a log scale, and
+    // misspelled patterns and custom colors
+    const warnings = [...layout.warnings];
+    const { unknown } = patterns.parsePatterns(patternsInput.value);
+    if (unknown.length > 0) warnings.push(`Unknown fill patterns left out: ${unknown.join(", ")}.`);
+    const usesCustom = colorMode.value === "custom" || (colorMode.value === "value" && colorScaleSelect.value === "custom");
+    const unknownColors = colors.parseCustomColors(customColors.value).unknown;
+    if (usesCustom && unknownColors.length > 0) warnings.push(colors.unknownColorsMessage(unknownColors));
+    if (warnings.length > 0) displayError(warnings.join(" "));
+    // Keep the main process's copy current for the local server
+    const state = currentProject(data);
+    ipcRenderer.send("chart-state", state);
+    if (!restoring) {
+      chartHistory.record(state, stepKey);
+      updateHistoryButtons();
+    }
+  });
 
-    const numBars = dataValues.length;
-    const barSpacing = 10;
-    let barWidth;
-    if (numBars > 0) {
-      const availableWidthForBars = graphWidth - (numBars - 1) * barSpacing;
-      barWidth = availableWidthForBars / numBars;
+  const plotGraph = () => {
+    const data = parseInputValues();
+    if (!data.hasError) {
+      drawGraph(data);
     } else {
-      barWidth = 0;
+      ctx.clearRect(0, 0, displaySize.width, displaySize.height); // Clear graph on error
+      ctx.fillStyle = currentTheme.background;
+      ctx.fillRect(0, 0, displaySize.width, displaySize.height);
+      lastLayout = null;
+      activeBar = -1;
+      chartTooltip.hidden = true;
     }
-    if (barWidth <= 0) barWidth = 1;
+  };
 
-    const maxValue = Math.max(...dataValues);
-    const scale = graphHeight / (maxValue > 0 ? maxValue : 1);
+  plotButton.addEventListener("click", plotGraph);
 
-    // Generate colors for bars
-    const barColors = generateColors(dataValues.length);
+  // Editing by dragging: grabbing a bar's end drags it to a new value,
+  // grabbing the rest of it moves its category to another place. The
+  // chart follows the pointer, but the data fields only change when the
+  // bar is let go, so each drag is a single edit. Escape cancels a drag.
+  let drag = null;
 
-    // Draw bars with custom colors
-    let xOffset = sidePadding;
-    for (let i = 0; i < dataValues.length; i++) {
-      const value = dataValues[i];
-      const barHeight = value * scale;
-      
-      // Set bar color
-      ctx.fillStyle = barColors[i];
-      ctx.fillRect(
-        xOffset,
-        canvas.height - bottomPadding - barHeight,
-        barWidth,
-        barHeight,
-      );
-
-      // Draw label for the bar
-      if (labels && labels[i] !== undefined) {
-        ctx.fillStyle = "black";
-        ctx.font = "12px Arial";
-        ctx.textAlign = "center";
-        ctx.textBaseline = "top";
-        ctx.fillText(
-          labels[i],
-          xOffset + barWidth / 2,
-          canvas.height - bottomPadding + 5,
-        );
-      }
-      xOffset += barWidth + barSpacing;
-    }
-
-    // Draw X-axis
-    ctx.strokeStyle = "black";
-    ctx.lineWidth = 2;
-    ctx.beginPath();
-    ctx.moveTo(sidePadding, canvas.height - bottomPadding);
-    ctx.lineTo(canvas.width - sidePadding, canvas.height - bottomPadding);
-    ctx.stroke();
-
-    // Draw Y-axis
-    ctx.beginPath();
-    ctx.moveTo(sidePadding, topPadding);
-    ctx.lineTo(sidePadding, canvas.height - bottomPadding);
-    ctx.stroke();
-
-    // Label for max value on Y-axis
-    ctx.fillStyle = "black";
-    ctx.font = "12px Arial";
-    ctx.textAlign = "right";
-    ctx.textBaseline = "middle";
-    ctx.fillText(maxValue.toFixed(1), sidePadding - 5, topPadding);
-    ctx.textAlign = "center";
-    ctx.textBaseline = "top";
-    ctx.fillText("0", sidePadding - 5, canvas.height - bottomPadding + 5);
-  };
-
-  plotButton.addEventListener("click", () => {
-    const { dataValues, labels, hasError } = parseInputValues();
-    if (!hasError) {
-      drawGraph(dataValues, labels);
+  // Highlight the bar under the pointer, and show the full text of a
+  // shortened category label under it
+  canvas.addEventListener("mousemove", (event) => {
+    if (!lastLayout || drag) return;
+    const x = event.offsetX;
+    const y = event.offsetY;
+    const label = lastLayout.categoryLabels.find((l) =>
+      l.truncated && x >= l.x && x <= l.x + l.width && y >= l.y && y <= l.y + l.height);
+    canvas.title = label ? label.text : "";
+    const end = chart.findBarEnd(lastLayout, x, y);
+    const bar = end >= 0 ? end : chart.findBar(lastLayout, x, y);
+    if (end >= 0) canvas.style.cursor = lastLayout.valueAxis.horizontal ? "ew-resize" : "ns-resize";
+    else canvas.style.cursor = bar >= 0 ? "grab" : "";
+    selectBar(bar, { x, y });
+  });
+  canvas.addEventListener("mouseleave", () => {
+    if (!drag) selectBar(-1);
+  });
+  canvas.addEventListener("blur", () => selectBar(-1));
+
+  const drawPreview = (data, seriesIndex, categoryIndex, point) => {
+    const layout = chart.layoutChart(data, getLayoutOptions(data, displaySize.width, displaySize.height));
+    drawOnScreen(layout);
+    lastLayout = layout;
+    lastData = data;
+    activeBar = -1;
+    selectBar(layout.bars.findIndex((b) => b.seriesIndex === seriesIndex && b.categoryIndex === categoryIndex), point);
+  };
+
+  const endDrag = (keep) => {
+    const { original, preview } = drag;
+    drag = null;
+    canvas.style.cursor = "";
+    if (keep && preview !== original) {
+      setDataInputs(preview);
+      plotGraph();
     } else {
-      ctx.clearRect(0, 0, canvas.width, canvas.height); // Clear graph on error
-      ctx.fillStyle = "white";
-      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      drawGraph(original);
     }
+  };
+
+  canvas.addEventListener("pointerdown", (event) => {
+    if (!lastLayout || event.button !== 0) return;
+    const x = event.offsetX;
+    const y = event.offsetY;
+    const end = chart.findBarEnd(lastLayout, x, y);
+    const index = end >= 0 ? end : chart.findBar(lastLayout, x, y);
+    if (index < 0) return;
+    event.preventDefault();
+    canvas.focus();
+    canvas.setPointerCapture(event.pointerId);
+    drag = {
+      kind: end >= 0 ? "value" : "move",
+      bar: lastLayout.bars[index],
+      layout: lastLayout,
+      original: lastData,
+      preview: lastData,
+    };
+    if (drag.kind === "move") canvas.style.cursor = "grabbing";
+  });
+
+  canvas.addEventListener("pointermove", (event) => {
+    if (!drag) return;
+    const x = event.offsetX;
+    const y = event.offsetY;
+    const { bar, layout, original } = drag;
+    if (drag.kind === "value") {
+      const value = chart.dragValue(layout, bar, x, y, snapToTicks.checked);
+      drag.preview = input.setBarValue(original, bar.seriesIndex, bar.categoryIndex, value);
+      drawPreview(drag.preview, bar.seriesIndex, bar.categoryIndex, { x, y });
+    } else {
+      const to = chart.categoryAt(layout, x, y);
+      drag.preview = to === bar.categoryIndex ? original : input.moveCategory(original, bar.categoryIndex, to);
+      drawPreview(drag.preview, bar.seriesIndex, to, { x, y });
+    }
+  });
+
+  canvas.addEventListener("pointerup", () => {
+    if (drag) endDrag(true);
   });
+  canvas.addEventListener("pointercancel", () => {
+    if (drag) endDrag(false);
+  });
+
+  // Step through the bars with the keyboard once the canvas has focus
+  canvas.addEventListener("keydown", (event) => {
+    if (drag) {
+      if (event.key === "Escape") endDrag(false);
+      return;
+    }
+    if (!lastLayout || lastLayout.bars.length === 0) return;
+    const last = lastLayout.bars.length - 1;
+    const moves = {
+      ArrowRight: Math.min(activeBar + 1, last),
+      ArrowDown: Math.min(activeBar + 1, last),
+      ArrowLeft: activeBar < 0 ? 0 : Math.max(activeBar - 1, 0),
+      ArrowUp: activeBar < 0 ? 0 : Math.max(activeBar - 1, 0),
+      Home: 0,
+      End: last,
+      Escape: -1,
+    };
+    if (!(event.key in moves)) return;
+    event.preventDefault();
+    selectBar(moves[event.key]);
+  });
+
+  // Export settings
+  const exportFileName = document.getElementById("exportFileName");
+  const exportQuality = document.getElementById("exportQuality");
+  const exportWidth = document.getElementById("exportWidth");
+  const exportHeight = document.getElementById("exportHeight");
+
+  const getExportSettings = () => {
+    const quality = parseFloat(exportQuality.value);
+    const width = Number(exportWidth.value);
+    const height = Number(exportHeight.value);
+    return {
+      fileName: exportFileName.value.trim() || project.DEFAULT_PROJECT.export.fileName,
+      quality: quality > 0 && quality <= 1 ? quality : project.DEFAULT_PROJECT.export.quality,
+      width: Number.isInteger(width) && width > 0 ? width : project.DEFAULT_PROJECT.export.width,
+      height: Number.isInteger(height) && height > 0 ? height : project.DEFAULT_PROJECT.export.height,
+    };
+  };
+
+  // Draw the chart at the export size on a canvas of its own, whatever
+  // size the one on screen has, and encode it
+  const renderExport = (data, mimeType, quality) => {
+    const { width, height } = getExportSettings();
+    const target = document.createElement("canvas");
+    target.width = width;
+    target.height = height;
+    const targetCtx = target.getContext("2d");
+    const layout = chart.layoutChart(data, getLayoutOptions(data, width, height, measureWith(targetCtx)));
+    if (layout.warnings.length > 0) displayError(layout.warnings.join(" "));
+    chart.drawChart(targetCtx, layout);
+    return target.toDataURL(mimeType, quality);
+  };
 
   // Export functionality
   const exportCanvas = (format) => {
+    const data = parseInputValues();
+    if (data.hasError || data.labels.length === 0) return;
+
+    const { fileName, quality } = getExportSettings();
     let dataURL;
     let filename;
     
     switch (format) {
       case 'png':
-        dataURL = canvas.toDataURL('image/png');
-        filename = 'bar-graph.png';
+        dataURL = renderExport(data, 'image/png');
+        filename = `${fileName}.png`;
         break;
       case 'jpeg':
-        dataURL = canvas.toDataURL('image/jpeg', 0.9);
-        filename = 'bar-graph.jpg';
+        dataURL = renderExport(data, 'image/jpeg', quality);
+        filename = `${fileName}.jpg`;
         break;
       case 'webp':
-        dataURL = canvas.toDataURL('image/webp', 0.9);
-        filename = 'bar-graph.webp';
+        dataURL = renderExport(data, 'image/webp', quality);
+        filename = `${fileName}.webp`;
         break;
       default:
         return;
@@ -364,66 +743,19 @@ document.addEventListener("DOMContentLoaded", () => {
   };
 
   const exportSVG = () => {
-    const { dataValues, labels } = parseInputValues();
-    if (dataValues.length === 0) return;
-
-    const svgWidth = 760;
-    const svgHeight = 400;
-    const topPadding = 30;
-    const bottomPadding = 40;
-    const sidePadding = 30;
-    const graphWidth = svgWidth - 2 * sidePadding;
-    const graphHeight = svgHeight - topPadding - bottomPadding;
-
-    const numBars = dataValues.length;
-    const barSpacing = 10;
-    const availableWidthForBars = graphWidth - (numBars - 1) * barSpacing;
-    const barWidth = availableWidthForBars / numBars;
-    const maxValue = Math.max(...dataValues);
-    const scale = graphHeight / (maxValue > 0 ? maxValue : 1);
-
-    // Generate colors for SVG export
-    const barColors = generateColors(dataValues.length);
-
-    let svgContent = `<svg width="${svgWidth}" height="${svgHeight}" xmlns="http://www.w3.org/2000/svg">`;
-    
-    // Background
-    svgContent += `<rect width="${svgWidth}" height="${svgHeight}" fill="white"/>`;
-    
-    // Bars with custom colors
-    let xOffset = sidePadding;
-    for (let i = 0; i < dataValues.length; i++) {
-      const value = dataValues[i];
-      const barHeight = value * scale;
-      const y = svgHeight - bottomPadding - barHeight;
-      
-      svgContent += `<rect x="${xOffset}" y="${y}" width="${barWidth}" height="${barHeight}" fill="${barColors[i]}"/>`;
-      
-      // Labels
-      if (labels && labels[i] !== undefined) {
-        const textX = xOffset + barWidth / 2;
-        const textY = svgHeight - bottomPadding + 20;
-        svgContent += `<text x="${textX}" y="${textY}" text-anchor="middle" font-family="Arial" font-size="12" fill="black">${labels[i]}</text>`;
-      }
-      
-      xOffset += barWidth + barSpacing;
-    }
-    
-    // Axes
-    svgContent += `<line x1="${sidePadding}" y1="${svgHeight - bottomPadding}" x2="${svgWidth - sidePadding}" y2="${svgHeight - bottomPadding}" stroke="black" stroke-width="2"/>`;
-    svgContent += `<line x1="${sidePadding}" y1="${topPadding}" x2="${sidePadding}" y2="${svgHeight - bottomPadding}" stroke="black" stroke-width="2"/>`;
-    
-    // Y-axis labels
-    svgContent += `<text x="${sidePadding - 10}" y="${topPadding}" text-anchor="end" dominant-baseline="middle" font-family="Arial" font-size="12" fill="black">${maxValue.toFixed(1)}</text>`;
-    svgContent += `<text x="${sidePadding - 10}" y="${svgHeight - bottomPadding}" text-anchor="end" dominant-baseline="middle" font-family="Arial" font-size="12" fill="black">0</text>`;
-    
-    svgContent += '</svg>';
+    const data = parseInputValues();
+    if (data.hasError || data.labels.length === 0) return;
+
+    const { width, height } = getExportSettings();
+    const layout = chart.layoutChart(data, getLayoutOptions(data, width, height));
+    if (layout.warnings.length > 0) displayError(layout.warnings.join(" "));
+    const svgContent = chart.chartToSVG(layout);
     
     // Download SVG
     const blob = new Blob([svgContent], { type: 'image/svg+xml' });
     const url = URL.createObjectURL(blob);
     const link = document.createElement('a');
-    link.download = 'bar-graph.svg';
+    link.download = `${getExportSettings().fileName}.svg`;
     link.href = url;
     document.body.appendChild(link);
     link.click();
@@ -431,20 +763,210 @@ document.addEventListener("DOMContentLoaded", () => {
     URL.revokeObjectURL(url);
   };
 
+  // Redraw with the current inputs, leaving the chart alone on errors.
+  // As an event listener, input events (typing, dragging a color picker)
+  // are recorded as one undo step per control and burst.
+  const redraw = (event) => {
+    const data = parseInputValues();
+    if (!data.hasError) drawGraph(data, event?.type === "input" ? event.target.id : null);
+  };
+
+  // The rule editor: one row per rule, reading "if <field> <operator>
+  // <value> then <color>", with optional legend text and buttons to move
+  // or remove the rule. Controls have ids by position so typing in one is
+  // a single undo step.
+  const ruleControl = (tag, attributes) => {
+    const element = document.createElement(tag);
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+    return element;
+  };
+
+  const ruleOptions = (select, values, labels = {}) => {
+    values.forEach((value) => {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = labels[value] || value;
+      select.appendChild(option);
+    });
+  };
+
+  const ruleRow = (rule, k) => {
+    const row = ruleControl("li", { class: "color-controls" });
+    const field = ruleControl("select", { id: `rule${k}Field`, "aria-label": `Rule ${k + 1} tests` });
+    ruleOptions(field, rules.RULE_FIELDS, { value: "Value", label: "Label", series: "Series" });
+    field.value = rule.field;
+    const operator = ruleControl("select", { id: `rule${k}Operator`, "aria-label": `Rule ${k + 1} comparison` });
+    ruleOptions(operator, rules.RULE_OPERATORS[rule.field], { "=": "is", "!=": "is not" });
+    operator.value = rule.operator;
+    const value = ruleControl("input", {
+      id: `rule${k}Value`,
+      type: rule.field === "value" ? "number" : "text",
+      class: "rule-value",
+      "aria-label": `Rule ${k + 1} value`,
+    });
+    value.value = String(rule.value);
+    const color = ruleControl("input", { id: `rule${k}Color`, type: "color", "aria-label": `Rule ${k + 1} color` });
+    color.value = rule.color;
+    const name = ruleControl("input", {
+      id: `rule${k}Name`,
+      type: "text",
+      class: "rule-name",
+      placeholder: "Legend text (optional)",
+      "aria-label": `Rule ${k + 1} legend text`,
+    });
+    name.value = rule.name;
+    const up = ruleControl("button", { "aria-label": `Move rule ${k + 1} up`, title: "Try this rule earlier" });
+    up.textContent = "↑";
+    up.disabled = k === 0;
+    const down = ruleControl("button", { "aria-label": `Move rule ${k + 1} down`, title: "Try this rule later" });
+    down.textContent = "↓";
+    down.disabled = k === colorRules.length - 1;
+    const remove = ruleControl("button", { "aria-label": `Remove rule ${k + 1}`, title: "Remove this rule" });
+    remove.textContent = "✕";
+
+    // Switching between the value and a text field keeps what can be kept
+    field.addEventListener("change", () => {
+      const next = field.value;
+      const operators = rules.RULE_OPERATORS[next];
+      colorRules[k] = {
+        ...rule,
+        field: next,
+        operator: operators.includes(rule.operator) ? rule.operator : operators[0],
+        value: next === "value" ? (Number(rule.value) || 0) : String(rule.value),
+      };
+      showColorRules();
+      redraw();
+    });
+    operator.addEventListener("change", () => {
+      rule.operator = operator.value;
+      redraw();
+    });
+    value.addEventListener("input", (event) => {
+      if (rule.field === "value") {
+        // Keep the last number while the field holds something else,
+        // such as a lone minus sign being typed
+        const number = parseFloat(value.value);
+        if (!isFinite(number)) return;
+        rule.value = number;
+      } else {
+        rule.value = value.value;
+      }
+      redraw(event);
+    });
+    color.addEventListener("input", (event) => {
+      rule.color = color.value;
+      redraw(event);
+    });
+    name.addEventListener("input", (event) => {
+      rule.name = name.value;
+      redraw(event);
+    });
+    const move = (to) => {
+      colorRules.splice(to, 0, ...colorRules.splice(k, 1));
+      showColorRules();
+      redraw();
+    };
+    up.addEventListener("click", () => move(k - 1));
+    down.addEventListener("click", () => move(k + 1));
+    remove.addEventListener("click", () => {
+      colorRules.splice(k, 1);
+      showColorRules();
+      redraw();
+    });
+
+    const text = (content) => {
+      const span = document.createElement("span");
+      span.textContent = content;
+      return span;
+    };
+    row.append(text("If"), field, operator, value, text("then"), color, name, up, down, remove);
+    return row;
+  };
+
+  const showColorRules = () => {
+    colorRulesList.replaceChildren(...colorRules.map(ruleRow));
+  };
+
+  // Lay the chart out again for a new window or container size, or a new
+  // pixel ratio when the window moves to another screen, once resizing
+  // settles down
+  const RESIZE_DEBOUNCE_MS = 100;
+  let resizeTimer = null;
+  const scheduleResize = () => {
+    clearTimeout(resizeTimer);
+    resizeTimer = setTimeout(() => {
+      sizeCanvas();
+      redraw();
+    }, RESIZE_DEBOUNCE_MS);
+  };
+  window.addEventListener("resize", scheduleResize);
+  if (typeof ResizeObserver !== "undefined") {
+    new ResizeObserver(scheduleResize).observe(graphContainer);
+  }
+  const watchPixelRatio = () => {
+    if (!window.matchMedia) return;
+    window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`)
+      .addEventListener("change", () => {
+        scheduleResize();
+        watchPixelRatio();
+      }, { once: true });
+  };
+  watchPixelRatio();
+
   // Event listeners
-  colorMode.addEventListener('change', updateColorControls);
-  primaryColor.addEventListener('change', () => {
-    const { dataValues, labels, hasError } = parseInputValues();
-    if (!hasError) drawGraph(dataValues, labels);
+  barMode.addEventListener('change', redraw);
+  orientation.addEventListener('change', redraw);
+  gridlines.addEventListener('change', redraw);
+  legendPosition.addEventListener('change', redraw);
+  valueScale.addEventListener('change', () => {
+    updateScaleControls();
+    redraw();
+  });
+  logBase.addEventListener('change', redraw);
+  Object.values(chartTextInputs).forEach((field) => field.addEventListener('input', redraw));
+  [valueLabels, numberDecimals, numberThousands, numberNotation, numberPrefix, numberSuffix]
+    .forEach((control) => control.addEventListener('change', redraw));
+  tooltipFieldInputs.forEach((input) => input.addEventListener('change', () => {
+    if (activeBar >= 0) showTooltip();
+  }));
+  paletteSelect.addEventListener('change', redraw);
+  document.getElementById("addColorRule").addEventListener('click', () => {
+    colorRules.push(rules.copyRule(rules.DEFAULT_RULE));
+    showColorRules();
+    redraw();
+  });
+  colorScaleSelect.addEventListener('change', () => {
+    updateColorControls();
+    redraw();
   });
-  secondaryColor.addEventListener('change', () => {
-    const { dataValues, labels, hasError } = parseInputValues();
-    if (!hasError) drawGraph(dataValues, labels);
+  colorMidpoint.addEventListener('input', redraw);
+  patternsInput.addEventListener('input', redraw);
+  patternsPer.addEventListener('change', redraw);
+  // Only changes how the window shows the chart, so it is not an undo step
+  colorVision.addEventListener('change', () => {
+    if (!lastLayout) return;
+    const seen = drawOnScreen(lastLayout);
+    if (activeBar >= 0) chart.drawHighlight(ctx, lastLayout.bars[activeBar], seen(currentTheme.text));
   });
-  customColors.addEventListener('input', () => {
-    const { dataValues, labels, hasError } = parseInputValues();
-    if (!hasError) drawGraph(dataValues, labels);
+  colorMode.addEventListener('change', () => {
+    updateColorControls();
+    redraw();
   });
+  [primaryColor, secondaryColor].forEach((picker) => {
+    picker.addEventListener('input', redraw);
+    picker.addEventListener('change', redraw);
+  });
+  customColors.addEventListener('input', redraw);
+  themeSelect.addEventListener('change', () => {
+    setTheme(themes.findTheme(themeSelect.value, customThemes) || currentTheme);
+    redraw();
+  });
+  themeColorInputs.forEach((input) => input.addEventListener('input', (event) => {
+    if (editTheme()) redraw(event);
+  }));
+  [themeFont, themePalette].forEach((control) => control.addEventListener('change', () => {
+    if (editTheme()) redraw();
+  }));
 
   // Export button event listeners
   document.getElementById('exportPNG').addEventListener('click', () => exportCanvas('png'));
@@ -452,6 +974,429 @@ document.addEventListener("DOMContentLoaded", () => {
   document.getElementById('exportWEBP').addEventListener('click', () => exportCanvas('webp'));
   document.getElementById('exportSVG').addEventListener('click', exportSVG);
 
+  // Fill the data fields from a { labels, series } object
+  const setDataInputs = ({ labels, series }) => {
+    valuesInput.value = series.map((s) => s.values.join(",")).join(";");
+    labelsInput.value = csv.joinList(labels);
+    seriesInput.value = series.length > 1 ? csv.joinList(series.map((s) => s.name)) : "";
+  };
+
+  // Project files
+  const projectName = document.getElementById("projectName");
+  let currentProjectPath = null;
+
+  const setProjectPath = (filePath) => {
+    currentProjectPath = filePath;
+    const name = filePath ? require("path").basename(filePath) : "";
+    projectName.textContent = name;
+    document.title = name ? `${name} - Electron Bar Graph` : "Electron Bar Graph";
+  };
+
+  // Everything needed to redraw and re-export a chart of this data with
+  // the current settings
+  const currentProject = ({ labels, series }) =>
+    project.createProject({
+      data: { labels, series },
+      chart: {
+        mode: barMode.value,
+        orientation: orientation.value,
+        ...getChartText(),
+        gridlines: gridlines.checked,
+        scale: valueScale.value,
+        logBase: getLogBase(),
+        valueLabels: valueLabels.value,
+        numberFormat: getNumberFormat(),
+        legend: legendPosition.value,
+        tooltip: getTooltipFields(),
+        theme: currentTheme,
+      },
+      colors: {
+        mode: colorMode.value,
+        primary: primaryColor.value,
+        secondary: secondaryColor.value,
+        custom: customColors.value,
+        palette: paletteSelect.value,
+        scale: colorScaleSelect.value,
+        midpoint: getColorMidpoint(),
+        rules: colorRules.map(rules.copyRule),
+        patterns: getPatterns(),
+        patternsPer: patternsPer.value,
+      },
+      export: getExportSettings(),
+    });
+
+  // The current chart as a project, or null when the inputs are invalid
+  const getProjectState = () => {
+    const data = parseInputValues();
+    return data.hasError ? null : currentProject(data);
+  };
+
+  // Push a loaded project back into the controls and redraw
+  const applyProject = (doc) => {
+    setDataInputs(doc.data);
+    barMode.value = doc.chart.mode;
+    orientation.value = doc.chart.orientation;
+    project.CHART_TEXT.forEach((field) => {
+      chartTextInputs[field].value = doc.chart[field];
+    });
+    gridlines.checked = doc.chart.gridlines;
+    valueScale.value = doc.chart.scale;
+    logBase.value = String(doc.chart.logBase);
+    updateScaleControls();
+    valueLabels.value = doc.chart.valueLabels;
+    legendPosition.value = doc.chart.legend;
+    numberDecimals.value = doc.chart.numberFormat.decimals === null ? "" : String(doc.chart.numberFormat.decimals);
+    numberThousands.checked = doc.chart.numberFormat.thousands;
+    numberNotation.value = doc.chart.numberFormat.notation;
+    numberPrefix.value = doc.chart.numberFormat.prefix;
+    numberSuffix.value = doc.chart.numberFormat.suffix;
+    tooltipFieldInputs.forEach((input) => {
+      input.checked = doc.chart.tooltip.includes(input.dataset.field);
+    });
+    setTheme(doc.chart.theme);
+    colorMode.value = doc.colors.mode;
+    primaryColor.value = doc.colors.primary;
+    secondaryColor.value = doc.colors.secondary;
+    customColors.value = doc.colors.custom;
+    paletteSelect.value = doc.colors.palette;
+    colorScaleSelect.value = doc.colors.scale;
+    colorMidpoint.value = doc.colors.midpoint === null ? "" : String(doc.colors.midpoint);
+    colorRules = doc.colors.rules.map(rules.copyRule);
+    showColorRules();
+    patternsInput.value = doc.colors.patterns.join(", ");
+    patternsPer.value = doc.colors.patternsPer;
+    exportFileName.value = doc.export.fileName;
+    exportQuality.value = String(doc.export.quality);
+    exportWidth.value = String(doc.export.width);
+    exportHeight.value = String(doc.export.height);
+    updateColorControls();
+    plotGraph();
+  };
+
+  // Undo and redo put a recorded step back into the controls
+  const restoreStep = (state) => {
+    if (!state) return;
+    restoring = true;
+    try {
+      applyProject(state);
+    } finally {
+      restoring = false;
+    }
+    updateHistoryButtons();
+  };
+  const undo = () => restoreStep(chartHistory.undo());
+  const redo = () => restoreStep(chartHistory.redo());
+
+  // Ctrl+Z and Ctrl+Shift+Z undo typing in a text field as usual while it
+  // has focus, and step through the chart history everywhere else
+  const editCommand = (command) => {
+    const focused = document.activeElement;
+    const typing = focused && (focused.tagName === "TEXTAREA" ||
+      (focused.tagName === "INPUT" && ["text", "number"].includes(focused.type)));
+    if (typing) document.execCommand(command);
+    else if (command === "undo") undo();
+    else redo();
+  };
+
+  undoButton.addEventListener("click", undo);
+  redoButton.addEventListener("click", redo);
+
+  const openProject = async () => {
+    verboseLog("Opening project");
+    const result = await ipcRenderer.invoke("open-project");
+    if (result.canceled) return;
+    if (result.error) {
+      displayError(result.error);
+      return;
+    }
+    applyProject(result.project);
+    setProjectPath(result.filePath);
+  };
+
+  const saveProject = async (saveAs = false) => {
+    const content = getProjectState();
+    if (!content) return; // parseInputValues has already shown the error
+    verboseLog("Saving project", currentProjectPath, saveAs ? "(save as)" : "");
+    const result = await ipcRenderer.invoke("save-project", {
+      filePath: currentProjectPath,
+      saveAs,
+      content,
+    });
+    if (result.canceled) return;
+    if (result.error) {
+      displayError(result.error);
+      return;
+    }
+    setProjectPath(result.filePath);
+  };
+
+  // Recent charts, newest first, kept by the main process with the session
+  const recentCharts = document.getElementById("recentCharts");
+
+  const showRecentCharts = (recent) => {
+    recentCharts.replaceChildren(recentCharts.options[0]);
+    recent.forEach((filePath) => {
+      const option = document.createElement("option");
+      option.value = filePath;
+      option.textContent = require("path").basename(filePath);
+      option.title = filePath;
+      recentCharts.appendChild(option);
+    });
+    recentCharts.disabled = recent.length === 0;
+  };
+
+  const openRecent = async (filePath) => {
+    verboseLog("Opening recent chart", filePath);
+    const result = await ipcRenderer.invoke("open-recent", filePath);
+    if (result.error) {
+      displayError(result.error);
+      return;
+    }
+    applyProject(result.project);
+    setProjectPath(result.filePath);
+  };
+
+  recentCharts.addEventListener("change", () => {
+    const filePath = recentCharts.value;
+    recentCharts.value = "";
+    if (filePath) openRecent(filePath);
+  });
+  ipcRenderer.on("recent-charts", (event, recent) => showRecentCharts(recent));
+
+  // Theme files: saving one names the theme after the file, and saved or
+  // imported themes stay in the theme list from then on
+  const saveTheme = async () => {
+    verboseLog("Saving theme", currentTheme.name);
+    const result = await ipcRenderer.invoke("save-theme", currentTheme);
+    if (result.canceled) return;
+    if (result.error) {
+      displayError(result.error);
+      return;
+    }
+    addCustomTheme(result.theme);
+    setTheme(result.theme);
+    redraw();
+  };
+
+  const importTheme = async () => {
+    verboseLog("Importing theme");
+    const result = await ipcRenderer.invoke("import-theme");
+    if (result.canceled) return;
+    if (result.error) {
+      displayError(result.error);
+      return;
+    }
+    addCustomTheme(result.theme);
+    setTheme(result.theme);
+    redraw();
+  };
+
+  document.getElementById("saveTheme").addEventListener("click", saveTheme);
+  document.getElementById("importTheme").addEventListener("click", importTheme);
+
+  document.getElementById("openProject").addEventListener("click", openProject);
+  document.getElementById("saveProject").addEventListener("click", () => saveProject(false));
+  document.getElementById("saveProjectAs").addEventListener("click", () => saveProject(true));
+
+  // Data import
+  const importColumns = document.getElementById("importColumns");
+  const importFileName = document.getElementById("importFileName");
+  const labelColumn = document.getElementById("labelColumn");
+  const valueColumn = document.getElementById("valueColumn");
+  let importedTable = null;
+
+  const fillColumnSelect = (select, headers, selected) => {
+    select.innerHTML = "";
+    headers.forEach((header, i) => {
+      const option = document.createElement("option");
+      option.value = String(i);
+      option.textContent = header || `Column ${i + 1}`;
+      select.appendChild(option);
+    });
+    select.value = String(selected);
+  };
+
+  // Show the column chooser for a freshly parsed table. Defaults to the
+  // first text column for labels and the first numeric column for values;
+  // selecting several value columns imports one series per column.
+  const showImportColumns = (table) => {
+    importedTable = table;
+    const defaults = csv.defaultColumns(table);
+
+    importFileName.textContent = `${table.fileName} (${table.rows.length} rows)`;
+    fillColumnSelect(labelColumn, table.headers, defaults.labelColumn);
+    fillColumnSelect(valueColumn, table.headers, defaults.valueColumns[0]);
+    valueColumn.size = Math.min(table.headers.length, 5);
+    importColumns.style.display = "flex";
+  };
+
+  // The dataset for the chosen columns of the imported table. Throws when
+  // no value column is chosen or a chosen cell is not a number.
+  const selectedDataset = () => {
+    const valueColumns = Array.from(valueColumn.selectedOptions, (option) =>
+      parseInt(option.value, 10),
+    );
+    if (valueColumns.length === 0) {
+      throw new Error("Select at least one value column.");
+    }
+    return csv.extractDataset(importedTable, parseInt(labelColumn.value, 10), valueColumns);
+  };
+
+  // Copy the chosen columns into the input fields and plot them the same
+  // way a manual entry would be plotted
+  const applyImport = () => {
+    if (!importedTable) return;
+    let dataset;
+    try {
+      dataset = selectedDataset();
+    } catch (error) {
+      displayError(error.message);
+      return;
+    }
+    verboseLog("Imported dataset:", dataset);
+    setDataInputs(dataset);
+    plotGraph();
+  };
+
+  const importData = async () => {
+    verboseLog("Importing data file");
+    const result = await ipcRenderer.invoke("import-data");
+    if (result.canceled) return;
+    if (result.error) {
+      displayError(result.error);
+      return;
+    }
+    displayError("");
+    showImportColumns(result.table);
+    applyImport();
+  };
+
+  document.getElementById("importData").addEventListener("click", importData);
+  document.getElementById("applyImport").addEventListener("click", applyImport);
+
+  // Watched data files. The main process pushes the file after every
+  // change; a broken write only updates the status, so the last good chart
+  // stays on screen.
+  const watchFileButton = document.getElementById("watchFile");
+  const stopWatchingButton = document.getElementById("stopWatching");
+  const watchStatus = document.getElementById("watchStatus");
+
+  const setWatchStatus = (message, isError = false) => {
+    watchStatus.textContent = message;
+    watchStatus.classList.toggle("error", isError);
+  };
+
+  const setWatching = (watching) => {
+    stopWatchingButton.style.display = watching ? "inline-block" : "none";
+    if (!watching) setWatchStatus("");
+  };
+
+  // Chart data from a watched delimited file. Keeps the chosen columns as
+  // long as the header row stays the same.
+  const watchedDataset = (table) => {
+    const sameHeaders =
+      importedTable && importedTable.headers.join("\n") === table.headers.join("\n");
+    if (sameHeaders) {
+      importedTable = table;
+      importFileName.textContent = `${table.fileName} (${table.rows.length} rows)`;
+    } else {
+      showImportColumns(table);
+    }
+    return selectedDataset();
+  };
+
+  ipcRenderer.on("watch-update", (event, update) => {
+    debugLog("Watched file update:", update);
+    const time = new Date(update.time).toLocaleTimeString();
+    let data = update.data;
+    try {
+      if (update.error) throw new Error(update.error);
+      if (update.table) data = watchedDataset(update.table);
+    } catch (error) {
+      setWatchStatus(`${error.message} (at ${time}; showing the last good data)`, true);
+      return;
+    }
+    setDataInputs(data);
+    plotGraph();
+    setWatchStatus(`Watching ${update.fileName}, updated at ${time}`);
+  });
+
+  const watchFile = async () => {
+    verboseLog("Choosing a file to watch");
+    const result = await ipcRenderer.invoke("watch-file");
+    if (result.canceled) return;
+    if (result.error) {
+      displayError(result.error);
+      return;
+    }
+    setWatching(true);
+  };
+
+  const stopWatching = async () => {
+    await ipcRenderer.invoke("stop-watching");
+    setWatching(false);
+  };
+
+  watchFileButton.addEventListener("click", watchFile);
+  stopWatchingButton.addEventListener("click", stopWatching);
+
+  // Data pushed through the local server. The main process has already
+  // checked it against the input field rules.
+  ipcRenderer.on("remote-update", (event, update) => {
+    debugLog("Remote update:", update);
+    setDataInputs(update.data);
+    project.CHART_TEXT.forEach((field) => {
+      if (update[field] !== undefined) chartTextInputs[field].value = update[field];
+    });
+    if (update.colors) {
+      const { mode, primary, secondary, custom, palette, scale, midpoint, rules: pushedRules, patterns: pushedPatterns, patternsPer: pushedPatternsPer } = update.colors;
+      if (mode !== undefined) colorMode.value = mode;
+      if (primary !== undefined) primaryColor.value = primary;
+      if (secondary !== undefined) secondaryColor.value = secondary;
+      if (custom !== undefined) customColors.value = custom;
+      if (palette !== undefined) paletteSelect.value = palette;
+      if (scale !== undefined) colorScaleSelect.value = scale;
+      if (midpoint !== undefined) colorMidpoint.value = midpoint === null ? "" : String(midpoint);
+      if (pushedRules !== undefined) {
+        colorRules = pushedRules.map(rules.copyRule);
+        showColorRules();
+      }
+      if (pushedPatterns !== undefined) patternsInput.value = pushedPatterns.join(", ");
+      if (pushedPatternsPer !== undefined) patternsPer.value = pushedPatternsPer;
+      updateColorControls();
+    }
+    plotGraph();
+  });
+
+  // Commands from the application menu
+  ipcRenderer.on("menu-command", (event, command) => {
+    debugLog("Menu command:", command);
+    switch (command) {
+      case "open-project":
+        openProject();
+        break;
+      case "save-project":
+        saveProject(false);
+        break;
+      case "save-project-as":
+        saveProject(true);
+        break;
+      case "import-data":
+        importData();
+        break;
+      case "watch-file":
+        watchFile();
+        break;
+      case "stop-watching":
+        stopWatching();
+        break;
+      case "undo":
+      case "redo":
+        editCommand(command);
+        break;
+    }
+  });
+
   // Check if Emacs is installed and available
   const checkEmacsInstallation = () => {
     return new Promise((resolve, reject) => {
@@ -500,13 +1445,13 @@ document.addEventListener("DOMContentLoaded", () => {
   // Open in Emacs functionality
   const openInEmacs = async () => {
     verboseLog("Opening in Emacs");
-    const { dataValues, labels, hasError } = parseInputValues();
+    const { labels, series, hasError } = parseInputValues();
     if (hasError) {
       displayError("Please fix input errors before opening in Emacs.");
       return;
     }
 
-    if (dataValues.length === 0) {
+    if (labels.length === 0 || series[0].values.length === 0) {
       displayError("No data to display. Please enter some values.");
       return;
     }
@@ -526,30 +1471,16 @@ document.addEventListener("DOMContentLoaded", () => {
 
     // Create a temporary file with the current data
     const data = {
-      values: dataValues,
+      series: series,
       labels: labels,
       timestamp: new Date().toISOString()
     };
 
     // Create a script that will load the bar-graph.el and create the graph
-    const emacsScript = `
-;; Load the bar graph package
-(load-file "${process.cwd()}/bar-graph.el")
-
-;; Set the data
-(setq bar-graph-data '(${dataValues.join(' ')}))
-(setq bar-graph-labels '(${labels.map(l => `"${l}"`).join(' ')}))
-
-;; Create the ASCII graph
-(bar-graph-create-ascii bar-graph-data bar-graph-labels)
-
-;; Switch to the bar graph buffer
-(switch-to-buffer "*Bar Graph*")
-(bar-graph-mode)
-
-;; Show help message
-(message "Bar Graph loaded! Use C-c C-e to export, C-c C-n for new graph")
-`;
+    const script = emacsScript(data, {
+      elFile: `${process.cwd()}/bar-graph.el`,
+      logBase: valueScale.value === "log" ? getLogBase() : null,
+    });
 
     // Write the script to a temporary file
     const fs = require('fs');
@@ -557,7 +1488,7 @@ document.addEventListener("DOMContentLoaded", () => {
     const tempScript = path.join(process.cwd(), 'temp-bar-graph.el');
     
     try {
-      fs.writeFileSync(tempScript, emacsScript);
+      fs.writeFileSync(tempScript, script);
       
       // Launch Emacs with the script
       const { spawn } = require('child_process');
@@ -590,13 +1521,44 @@ document.addEventListener("DOMContentLoaded", () => {
   // Initialize color controls
   updateColorControls();
 
-  // Initial plot on load
-  const {
-    dataValues: initialDataValues,
-    labels: initialLabels,
-    hasError: initialError,
-  } = parseInputValues();
-  if (!initialError) {
-    drawGraph(initialDataValues, initialLabels);
-  }
+  // Initial plot on load: the chart from the last session, or else the
+  // sample data in the fields. Theme files that could not be read are
+  // reported once the chart is up. A session that cannot be restored is
+  // reported too, and the sample data drawn instead.
+  sizeCanvas();
+  setTheme(currentTheme);
+  Promise.all([ipcRenderer.invoke("list-themes"), ipcRenderer.invoke("restore-session")]).then(([installed, restored]) => {
+    restoreGate.open();
+    customThemes = installed.themes;
+    fillThemeSelect();
+    showRecentCharts(restored.recent);
+    const notices = [...installed.errors];
+    if (restored.project) {
+      verboseLog("Restoring the last session", restored.filePath || "");
+      applyProject(restored.project);
+      setProjectPath(restored.filePath);
+      if (restored.recovered) {
+        notices.unshift("The app did not close normally last time; the chart it was showing has been restored.");
+      }
+    } else {
+      const initialData = parseInputValues();
+      if (!initialData.hasError) {
+        drawGraph(initialData);
+      }
+    }
+    if (notices.length > 0) displayError(notices.join(" "));
+  }).catch((error) => {
+    verboseLog("Restoring the last session failed:", error);
+    restoreGate.open();
+    setProjectPath(null);
+    fillThemeSelect();
+    [valuesInput, labelsInput, seriesInput].forEach((field) => {
+      field.value = field.defaultValue;
+    });
+    const initialData = parseInputValues();
+    if (!initialData.hasError) {
+      drawGraph(initialData);
+    }
+    displayError(`The last session could not be restored: ${error.message}`);
+  });
 });
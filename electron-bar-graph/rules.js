@@ -0,0 +1,123 @@
+/*
+ * Electron Bar Graph - A bar graph application using Electron and JavaScript.
+ * Copyright (C) 2025
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+// Conditional color rules: an ordered list laid over the color mode, for
+// dashboards where a bar's color should say something about it, such as
+// "below 90 is red" or "our own bar is purple". The first rule a bar
+// matches gives it its color; bars no rule matches keep the color mode's.
+//
+// A rule holds:
+//   field - what to test: the bar's "value", its category "label" or its
+//     "series" name
+//   operator - one of RULE_OPERATORS[field]; "contains" ignores case
+//   value - a number for the value field, text for the others
+//   color - #rrggbb
+//   name - legend text for the bars the rule colors; when empty the
+//     legend describes the rule instead
+
+const RULE_FIELDS = ["value", "label", "series"];
+const RULE_OPERATORS = {
+  value: ["<", "<=", ">", ">=", "=", "!="],
+  label: ["=", "!=", "contains"],
+  series: ["=", "!=", "contains"],
+};
+const FIELD_NAMES = { value: "Value", label: "Label", series: "Series" };
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+// A new rule, as the rule editor adds it
+const DEFAULT_RULE = { field: "value", operator: "<", value: 0, color: "#e74c3c", name: "" };
+
+const isObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+// Whether a bar ({ value, label, series }) matches a rule
+const matchRule = (rule, bar) => {
+  if (rule.field === "value") {
+    const v = bar.value;
+    switch (rule.operator) {
+      case "<": return v < rule.value;
+      case "<=": return v <= rule.value;
+      case ">": return v > rule.value;
+      case ">=": return v >= rule.value;
+      case "=": return v === rule.value;
+      case "!=": return v !== rule.value;
+      default: return false;
+    }
+  }
+  const text = String(bar[rule.field] ?? "");
+  switch (rule.operator) {
+    case "=": return text === rule.value;
+    case "!=": return text !== rule.value;
+    case "contains": return text.toLowerCase().includes(String(rule.value).toLowerCase());
+    default: return false;
+  }
+};
+
+// Index of the first rule the bar matches, or -1
+const findRule = (rules, bar) => rules.findIndex((rule) => matchRule(rule, bar));
+
+// Legend text for a rule: its name, or the rule spelled out, with values
+// formatted by formatValue
+const describeRule = (rule, formatValue = String) => {
+  if (rule.name) return rule.name;
+  const value = rule.field === "value" ? formatValue(rule.value) : `"${rule.value}"`;
+  return `${FIELD_NAMES[rule.field]} ${rule.operator} ${value}`;
+};
+
+// A copy of a rule's own fields
+const copyRule = ({ field, operator, value, color, name = "" }) => ({ field, operator, value, color, name });
+
+// Check a list of rules. Returns a list of problems, each starting with
+// where; an empty list means the rules are valid.
+const validateRules = (rules, where = "rules") => {
+  if (!Array.isArray(rules)) return [`${where} must be a list`];
+  const errors = [];
+  rules.forEach((rule, i) => {
+    const at = `${where}[${i}]`;
+    if (!isObject(rule)) {
+      errors.push(`${at} must be an object`);
+      return;
+    }
+    if (!RULE_FIELDS.includes(rule.field)) {
+      errors.push(`${at}.field must be one of ${RULE_FIELDS.join(", ")}`);
+      return;
+    }
+    const operators = RULE_OPERATORS[rule.field];
+    if (!operators.includes(rule.operator)) errors.push(`${at}.operator must be one of ${operators.join(", ")}`);
+    if (rule.field === "value") {
+      if (typeof rule.value !== "number" || !isFinite(rule.value)) errors.push(`${at}.value must be a number`);
+    } else if (typeof rule.value !== "string") {
+      errors.push(`${at}.value must be a string`);
+    }
+    if (typeof rule.color !== "string" || !HEX_COLOR.test(rule.color)) errors.push(`${at}.color must be a #rrggbb color`);
+    if (rule.name !== undefined && typeof rule.name !== "string") errors.push(`${at}.name must be a string`);
+  });
+  return errors;
+};
+
+module.exports = {
+  RULE_FIELDS,
+  RULE_OPERATORS,
+  DEFAULT_RULE,
+  matchRule,
+  findRule,
+  describeRule,
+  copyRule,
+  validateRules,
+};
@@ -0,0 +1,363 @@
+/*
+ * Electron Bar Graph - A bar graph application using Electron and JavaScript.
+ * Copyright (C) 2025
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+// Opt-in local server for pushing chart data into the running app. It
+// listens on 127.0.0.1 only and every request must carry the token, either
+// as "Authorization: Bearer <token>" or as ?token=<token>.
+//
+//   GET  /chart  the current chart, as a project document
+//   POST /chart  replace the data (and optionally colors and chart text)
+//   GET  /ws     WebSocket: send the same JSON as POST /chart, receive
+//                { type: "result", ... } replies and { type: "state", ... }
+//                whenever the chart changes
+//
+// Payloads are checked with the rules of the input fields, so a push is
+// accepted exactly when typing the same data into the window would be.
+
+const crypto = require("crypto");
+const http = require("http");
+const { URL } = require("url");
+const csv = require("./csv.js");
+const input = require("./input.js");
+const project = require("./project.js");
+
+const DEFAULT_PORT = 7878;
+const TOKEN_VARIABLE = "BAR_GRAPH_TOKEN";
+const MAX_BODY = 1024 * 1024;
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+const isObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+// Read --listen or --listen=PORT from the command line. Returns null when
+// the server is not wanted. The token comes from the BAR_GRAPH_TOKEN
+// environment variable (so it stays out of process listings) or is made
+// up on the spot.
+const serverOptions = (args, env = process.env) => {
+  const flag = args.find((arg) => arg === "--listen" || arg.startsWith("--listen="));
+  if (!flag) return null;
+
+  let port = DEFAULT_PORT;
+  if (flag.includes("=")) {
+    const value = flag.slice(flag.indexOf("=") + 1);
+    port = Number(value);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+      throw new Error(`--listen: "${value}" is not a port number`);
+    }
+  }
+
+  const token = env[TOKEN_VARIABLE];
+  if (token !== undefined && token.length < 16) {
+    throw new Error(`${TOKEN_VARIABLE} must be at least 16 characters long`);
+  }
+  return token !== undefined
+    ? { port, token, generatedToken: false }
+    : { port, token: crypto.randomBytes(16).toString("hex"), generatedToken: true };
+};
+
+// Turn a pushed payload into an update for the window. Values, labels and
+// series may be given as field text ("10,20;30,40") or as arrays. Throws an
+// Error with the message the window would show for the same input.
+const parseChartPayload = (payload) => {
+  if (!isObject(payload)) throw new Error("expected a JSON object");
+
+  const asField = (name, join) => {
+    const value = payload[name];
+    if (value === undefined) return "";
+    if (typeof value === "string") return value;
+    if (Array.isArray(value)) return join(value);
+    throw new Error(`${name} must be a string or an array`);
+  };
+  const data = input.parseChartInput({
+    values: asField("values", (values) =>
+      values.every(Array.isArray)
+        ? values.map((group) => group.join(",")).join(";")
+        : values.join(","),
+    ),
+    labels: asField("labels", (labels) => csv.joinList(labels.map(String))),
+    series: asField("series", (names) => csv.joinList(names.map(String))),
+  });
+
+  const update = { data };
+  if (payload.colors !== undefined) {
+    const errors = project.validateProject({ data, colors: payload.colors });
+    if (errors.length > 0) throw new Error(errors.join("; "));
+    const { mode, primary, secondary, custom, palette, scale, midpoint, rules, patterns, patternsPer } = payload.colors;
+    update.colors = { mode, primary, secondary, custom, palette, scale, midpoint, rules, patterns, patternsPer };
+  }
+  project.CHART_TEXT.forEach((field) => {
+    if (payload[field] === undefined) return;
+    if (typeof payload[field] !== "string") throw new Error(`${field} must be a string`);
+    update[field] = payload[field];
+  });
+  return update;
+};
+
+// WebSocket framing (RFC 6455), enough for JSON text messages
+
+const encodeFrame = (opcode, payload) => {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.alloc(2);
+    header[1] = payload.length;
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  header[0] = 0x80 | opcode; // always a final frame
+  return Buffer.concat([header, payload]);
+};
+
+// Split the complete frames off the front of a buffer, unmasking their
+// payloads. Whatever is left is the start of a frame still arriving.
+const decodeFrames = (buffer) => {
+  const frames = [];
+  let offset = 0;
+  while (buffer.length - offset >= 2) {
+    const first = buffer[offset];
+    const second = buffer[offset + 1];
+    let length = second & 0x7f;
+    let position = offset + 2;
+    if (length === 126) {
+      if (buffer.length < position + 2) break;
+      length = buffer.readUInt16BE(position);
+      position += 2;
+    } else if (length === 127) {
+      if (buffer.length < position + 8) break;
+      length = Number(buffer.readBigUInt64BE(position));
+      position += 8;
+    }
+    const masked = (second & 0x80) !== 0;
+    if (buffer.length < position + (masked ? 4 : 0) + length) break;
+
+    let payload;
+    if (masked) {
+      const mask = buffer.subarray(position, position + 4);
+      position += 4;
+      payload = Buffer.from(buffer.subarray(position, position + length));
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+    } else {
+      payload = Buffer.from(buffer.subarray(position, position + length));
+    }
+    frames.push({ fin: (first & 0x80) !== 0, opcode: first & 0x0f, masked, payload });
+    offset = position + length;
+  }
+  return { frames, rest: buffer.subarray(offset) };
+};
+
+// Create the server. onPush(update) hands a checked update to the window
+// and returns false when there is no window to take it; getState()
+// returns the current chart, or null before the first one is drawn.
+const createChartServer = ({ token, onPush, getState }) => {
+  const clients = new Set();
+  const expected = Buffer.from(token);
+
+  const authorized = (req, url) => {
+    const header = req.headers.authorization || "";
+    const given = header.startsWith("Bearer ") ? header.slice(7) : url.searchParams.get("token") || "";
+    const buffer = Buffer.from(given);
+    return buffer.length === expected.length && crypto.timingSafeEqual(buffer, expected);
+  };
+
+  const push = (payload) => {
+    const update = parseChartPayload(payload);
+    if (!onPush(update)) throw new Error("the chart window is not open");
+    return update;
+  };
+
+  const reply = (res, status, body, headers = {}) => {
+    res.writeHead(status, { "Content-Type": "application/json", ...headers });
+    res.end(JSON.stringify(body) + "\n");
+  };
+
+  // Read a request body. Anything over MAX_BODY is drained and refused.
+  const readBody = (req) =>
+    new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      req.on("data", (chunk) => {
+        size += chunk.length;
+        if (size <= MAX_BODY) chunks.push(chunk);
+      });
+      req.on("end", () => {
+        if (size > MAX_BODY) reject(new Error("request body is too large"));
+        else resolve(Buffer.concat(chunks).toString("utf8"));
+      });
+      req.on("error", reject);
+    });
+
+  const handleRequest = async (req, res) => {
+    const url = new URL(req.url, "http://127.0.0.1");
+    if (!authorized(req, url)) return reply(res, 401, { error: "missing or wrong token" });
+    if (url.pathname !== "/chart") return reply(res, 404, { error: `no such endpoint ${url.pathname}` });
+
+    if (req.method === "GET") {
+      const state = getState();
+      return state
+        ? reply(res, 200, state)
+        : reply(res, 503, { error: "no chart has been drawn yet" });
+    }
+    if (req.method !== "POST") {
+      return reply(res, 405, { error: `${req.method} is not supported` }, { Allow: "GET, POST" });
+    }
+
+    let body;
+    try {
+      body = await readBody(req);
+    } catch (error) {
+      return reply(res, 413, { error: error.message });
+    }
+    let payload;
+    try {
+      payload = JSON.parse(body);
+    } catch (error) {
+      return reply(res, 400, { error: `request body is not valid JSON (${error.message})` });
+    }
+    try {
+      return reply(res, 200, { ok: true, data: push(payload).data });
+    } catch (error) {
+      return reply(res, 400, { error: error.message });
+    }
+  };
+
+  // Accept a WebSocket connection on an upgraded socket
+  const acceptClient = (socket) => {
+    const send = (message) => socket.write(encodeFrame(0x1, Buffer.from(JSON.stringify(message))));
+    const close = (code = 1000) => {
+      const payload = Buffer.alloc(2);
+      payload.writeUInt16BE(code, 0);
+      socket.end(encodeFrame(0x8, payload));
+      clients.delete(client);
+    };
+    const client = { send, close };
+
+    const receive = (text) => {
+      try {
+        send({ type: "result", ok: true, data: push(JSON.parse(text)).data });
+      } catch (error) {
+        const message = error instanceof SyntaxError ? `message is not valid JSON (${error.message})` : error.message;
+        send({ type: "result", ok: false, error: message });
+      }
+    };
+
+    let buffer = Buffer.alloc(0);
+    let fragments = [];
+    let fragmentSize = 0;
+    socket.on("data", (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      if (buffer.length > MAX_BODY + 14) return close(1009);
+      const { frames, rest } = decodeFrames(buffer);
+      buffer = rest;
+      for (const frame of frames) {
+        if (!frame.masked) return close(1002); // clients must mask
+        switch (frame.opcode) {
+          case 0x0: // continuation
+          case 0x1: // text
+            fragments.push(frame.payload);
+            fragmentSize += frame.payload.length;
+            if (fragmentSize > MAX_BODY) return close(1009);
+            if (frame.fin) {
+              const text = Buffer.concat(fragments).toString("utf8");
+              fragments = [];
+              fragmentSize = 0;
+              receive(text);
+            }
+            break;
+          case 0x8: // close
+            return close();
+          case 0x9: // ping
+            socket.write(encodeFrame(0xa, frame.payload));
+            break;
+          case 0xa: // pong
+            break;
+          default: // binary and reserved opcodes
+            return close(1003);
+        }
+      }
+    });
+    socket.on("close", () => clients.delete(client));
+    socket.on("error", () => clients.delete(client));
+
+    clients.add(client);
+    const state = getState();
+    if (state) send({ type: "state", chart: state });
+  };
+
+  const server = http.createServer((req, res) => {
+    handleRequest(req, res).catch((error) => reply(res, 500, { error: error.message }));
+  });
+
+  server.on("upgrade", (req, socket) => {
+    // A client that resets the connection mid-handshake would otherwise
+    // raise an unhandled 'error' and take the main process down with it
+    socket.on("error", () => socket.destroy());
+    const url = new URL(req.url, "http://127.0.0.1");
+    const key = req.headers["sec-websocket-key"];
+    const refuse = (status) => socket.end(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\nConnection: close\r\n\r\n`);
+    if (!authorized(req, url)) return refuse(401);
+    if (url.pathname !== "/ws") return refuse(404);
+    if ((req.headers.upgrade || "").toLowerCase() !== "websocket" || !key) return refuse(400);
+
+    const accept = crypto.createHash("sha1").update(key + WS_GUID).digest("base64");
+    socket.write(
+      "HTTP/1.1 101 Switching Protocols\r\n" +
+        "Upgrade: websocket\r\n" +
+        "Connection: Upgrade\r\n" +
+        `Sec-WebSocket-Accept: ${accept}\r\n\r\n`,
+    );
+    acceptClient(socket);
+  });
+
+  return {
+    // Start listening on localhost. Resolves with the port in use, which
+    // matters when port 0 asks for any free one.
+    listen: (port = DEFAULT_PORT) =>
+      new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(port, "127.0.0.1", () => {
+          server.off("error", reject);
+          resolve(server.address().port);
+        });
+      }),
+    close: () =>
+      new Promise((resolve) => {
+        clients.forEach((client) => client.close(1001));
+        server.close(() => resolve());
+      }),
+    // Tell WebSocket clients about a new chart state
+    broadcastState: (state) => {
+      clients.forEach((client) => client.send({ type: "state", chart: state }));
+    },
+  };
+};
+
+module.exports = {
+  DEFAULT_PORT,
+  TOKEN_VARIABLE,
+  serverOptions,
+  parseChartPayload,
+  encodeFrame,
+  decodeFrames,
+  createChartServer,
+};
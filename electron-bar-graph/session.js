@@ -0,0 +1,131 @@
+/*
+ * Electron Bar Graph - A bar graph application using Electron and JavaScript.
+ * Copyright (C) 2025
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+// The last session, kept in session.json in the userData directory so the
+// app starts where it left off: the chart as a project document and the
+// project file it came from, the window's size and position, the project
+// files opened or saved most recently and whether the app was still
+// running, which means it did not close normally.
+
+const project = require("./project.js");
+
+const SESSION_FILE = "session.json";
+const RECENT_LIMIT = 10;
+
+const EMPTY_SESSION = {
+  chart: null,
+  filePath: null,
+  window: null,
+  recent: [],
+  running: false,
+};
+
+const isObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const isWindowBounds = (bounds) =>
+  isObject(bounds) &&
+  ["x", "y", "width", "height"].every((key) => typeof bounds[key] === "number" && isFinite(bounds[key])) &&
+  bounds.width > 0 &&
+  bounds.height > 0;
+
+// Read session file contents. Whatever is unreadable is left out, part by
+// part, instead of failing: a damaged session must never keep the app from
+// starting.
+const parseSession = (text) => {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (e) {
+    return { ...EMPTY_SESSION };
+  }
+  if (!isObject(doc)) return { ...EMPTY_SESSION };
+
+  let chart = null;
+  if (doc.chart !== null && doc.chart !== undefined) {
+    try {
+      chart = project.parseProject(JSON.stringify(doc.chart), SESSION_FILE);
+    } catch (e) {
+      chart = null;
+    }
+  }
+  return {
+    chart,
+    filePath: chart && typeof doc.filePath === "string" ? doc.filePath : null,
+    window: isWindowBounds(doc.window)
+      ? {
+          x: doc.window.x,
+          y: doc.window.y,
+          width: doc.window.width,
+          height: doc.window.height,
+          maximized: doc.window.maximized === true,
+        }
+      : null,
+    recent: Array.isArray(doc.recent)
+      ? doc.recent.filter((p) => typeof p === "string" && p !== "").slice(0, RECENT_LIMIT)
+      : [],
+    running: doc.running === true,
+  };
+};
+
+const serializeSession = (session) => JSON.stringify(session, null, 2) + "\n";
+
+// Put a project file at the top of the recent list
+const addRecent = (recent, filePath) =>
+  [filePath, ...recent.filter((p) => p !== filePath)].slice(0, RECENT_LIMIT);
+
+// The saved window bounds, as long as enough of the window would still be
+// on one of the displays (given by their work areas) to grab it, e.g.
+// after a monitor was unplugged. Otherwise null.
+const restoreBounds = (bounds, workAreas, minVisible = 50) => {
+  if (!isWindowBounds(bounds)) return null;
+  const visible = workAreas.some((area) => {
+    const overlapX = Math.min(bounds.x + bounds.width, area.x + area.width) - Math.max(bounds.x, area.x);
+    const overlapY = Math.min(bounds.y + bounds.height, area.y + area.height) - Math.max(bounds.y, area.y);
+    return overlapX >= minVisible && overlapY >= minVisible;
+  });
+  return visible ? { x: bounds.x, y: bounds.y, width: bounds.width, height: bounds.height } : null;
+};
+
+// Holds the window's drawing back while the session is restored. Until
+// open() is called, functions passed through guard() do nothing: drawing
+// the sample data still in the fields, e.g. on the first resize, would
+// record it in the undo history and autosave it over the session being
+// restored. The restore draws the chart itself once it opens the gate.
+const createRestoreGate = () => {
+  let isOpen = false;
+  return {
+    open: () => {
+      isOpen = true;
+    },
+    isOpen: () => isOpen,
+    guard: (fn) => (...args) => (isOpen ? fn(...args) : undefined),
+  };
+};
+
+module.exports = {
+  SESSION_FILE,
+  RECENT_LIMIT,
+  EMPTY_SESSION,
+  parseSession,
+  serializeSession,
+  addRecent,
+  restoreBounds,
+  createRestoreGate,
+};
@@ -5,8 +5,13 @@
  */
 
 import { describe, it, expect, beforeEach, jest } from 'bun:test';
+import { spawnSync } from 'child_process';
+import path from 'path';
 import { mockFS, mockPath } from './test-utils.js';
 
+const elFile = path.join(import.meta.dir, '..', 'bar-graph.el');
+const hasEmacs = spawnSync('emacs', ['--version']).status === 0;
+
 describe('bar-graph.el Integration', () => {
   let barGraphEl;
 
@@ -62,10 +67,6 @@ describe('bar-graph.el Integration', () => {
           return { valid: false, error: 'All data values must be numbers' };
         }
 
-        if (data.some(val => val < 0)) {
-          return { valid: false, error: 'All data values must be non-negative' };
-        }
-
         if (labels && labels.length !== data.length) {
           return { valid: false, error: 'Labels array length must match data array length' };
         }
@@ -211,11 +212,10 @@ describe('bar-graph.el Integration', () => {
       expect(result.error).toBe('All data values must be numbers');
     });
 
-    it('should reject negative values', () => {
+    it('should accept negative values', () => {
       const result = barGraphEl.validateData([10, -5, 30]);
 
-      expect(result.valid).toBe(false);
-      expect(result.error).toBe('All data values must be non-negative');
+      expect(result.valid).toBe(true);
     });
 
     it('should reject mismatched labels length', () => {
@@ -246,6 +246,50 @@ describe('bar-graph.el Integration', () => {
     });
   });
 
+  // Runs the real bar-graph-normalize-data in a batch Emacs, so these
+  // only run where Emacs is installed
+  describe.skipIf(!hasEmacs)('Normalization', () => {
+    const normalizeData = (data, height = 20, logBase = null) => {
+      const form = `(princ (mapconcat #'number-to-string
+                          (let ((bar-graph-height ${height}) (bar-graph-log-base ${logBase ?? 'nil'}))
+                            (bar-graph-normalize-data '(${data.join(' ')})))
+                          ","))`;
+      const result = spawnSync('emacs', ['--batch', '-l', elFile, '--eval', form], { encoding: 'utf8' });
+      return result.stdout.split(',').map(Number);
+    };
+
+    it('should scale positive data to the graph height', () => {
+      expect(normalizeData([10, 20, 40])).toEqual([5, 10, 20]);
+    });
+
+    it('should keep negative values negative', () => {
+      expect(normalizeData([-10, 30])).toEqual([-5, 15]);
+    });
+
+    it('should scale all-negative data from zero', () => {
+      expect(normalizeData([-5, -20])).toEqual([-5, -20]);
+    });
+
+    it('should leave all-zero data unchanged', () => {
+      expect(normalizeData([0, 0])).toEqual([0, 0]);
+    });
+
+    it('should place values by their logarithm on a log scale', () => {
+      const normalized = normalizeData([10, 100, 1000], 30, 10);
+
+      expect(normalized[0]).toBeCloseTo(10);
+      expect(normalized[1]).toBeCloseTo(20);
+      expect(normalized[2]).toBeCloseTo(30);
+    });
+
+    it('should drop zero and negative values on a log scale', () => {
+      const normalized = normalizeData([0, -4, 8], 20, 2);
+
+      expect(normalized.slice(0, 2)).toEqual([0, 0]);
+      expect(normalized[2]).toBeCloseTo(20);
+    });
+  });
+
   describe('Emacs Lisp Code Generation', () => {
     it('should generate valid Emacs Lisp code', () => {
       const data = [10, 20, 30];
@@ -279,12 +323,12 @@ describe('bar-graph.el Integration', () => {
     });
 
     it('should throw error for invalid data', () => {
-      const data = [10, -5, 30]; // Negative value
+      const data = [10, NaN, 30]; // Not a number
       const labels = ['A', 'B', 'C'];
 
       expect(() => {
         barGraphEl.generateEmacsLispCode(data, labels);
-      }).toThrow('All data values must be non-negative');
+      }).toThrow('All data values must be numbers');
     });
 
     it('should include comments in generated code', () => {
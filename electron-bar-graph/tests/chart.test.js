@@ -0,0 +1,940 @@
+/*
+ * Electron Bar Graph - Chart Layout Tests
+ * Copyright (C) 2025
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { describe, it, expect, beforeEach, jest } from 'bun:test';
+import { createMockDOM } from './test-utils.js';
+import chart from '../chart.js';
+import themes from '../themes.js';
+import palettes from '../palettes.js';
+import project from '../project.js';
+
+const single = (values, labels = values.map((_, i) => `L${i}`)) => ({
+  labels,
+  series: [{ name: 'Series 1', values }]
+});
+
+const grouped = {
+  labels: ['North', 'South'],
+  series: [
+    { name: '2024', values: [10, 20] },
+    { name: '2025', values: [15, 40] }
+  ]
+};
+
+describe('Chart Layout', () => {
+  describe('getValueRange', () => {
+    it('should always include zero', () => {
+      expect(chart.getValueRange([10, 40])).toMatchObject({ minValue: 0, maxValue: 40, zeroFraction: 1 });
+      expect(chart.getValueRange([-10, -40])).toMatchObject({ minValue: -40, maxValue: 0, zeroFraction: 0 });
+    });
+
+    it('should place the baseline by the share of the range above zero', () => {
+      expect(chart.getValueRange([30, -10]).zeroFraction).toBe(0.75);
+    });
+
+    it('should keep a usable span when every value is zero', () => {
+      expect(chart.getValueRange([0, 0])).toMatchObject({ span: 1, zeroFraction: 1 });
+    });
+  });
+
+  describe('layoutChart', () => {
+    it('should only draw the background without data', () => {
+      const layout = chart.layoutChart({ labels: [], series: [] });
+
+      expect(layout.items).toEqual([{ type: 'rect', x: 0, y: 0, width: 760, height: 400, fill: 'white' }]);
+      expect(layout.bars).toEqual([]);
+    });
+
+    it('should lay out one bar per label for a single series', () => {
+      const layout = chart.layoutChart(single([10, 20]), { colors: ['#111111', '#222222'] });
+
+      expect(layout.bars).toHaveLength(2);
+      expect(layout.bars[0]).toMatchObject({ x: 30, width: 345, fill: '#111111' });
+      expect(layout.bars[1]).toMatchObject({ x: 385, y: 30, height: 330, fill: '#222222' });
+    });
+
+    it('should hang negative bars below the zero line', () => {
+      const layout = chart.layoutChart(single([30, -10]));
+
+      expect(layout.bars[0]).toMatchObject({ y: 30, height: 247.5 });
+      expect(layout.bars[1]).toMatchObject({ y: 277.5, height: 82.5 });
+      expect(layout.items).toContainEqual(expect.objectContaining({ type: 'line', y1: 277.5, y2: 277.5 }));
+    });
+
+    it('should cluster series within each category', () => {
+      const layout = chart.layoutChart(grouped, { colors: ['#aa0000', '#00aa00'] });
+
+      expect(layout.bars).toHaveLength(4);
+      const [a, b, c] = layout.bars;
+      expect(a).toMatchObject({ categoryIndex: 0, seriesIndex: 0, x: 30, fill: '#aa0000' });
+      expect(b).toMatchObject({ categoryIndex: 0, seriesIndex: 1, x: 30 + a.width, fill: '#00aa00' });
+      expect(c.x).toBeCloseTo(30 + 2 * a.width + 10);
+    });
+
+    it('should scale every series against the largest value', () => {
+      const layout = chart.layoutChart(grouped);
+
+      expect(layout.bars[3].height).toBe(330);
+      expect(layout.bars[0].height).toBe(82.5);
+    });
+
+    it('should add a legend only for several series', () => {
+      const legendText = (layout) => layout.items.filter(i => i.type === 'text' && i.align === 'left').map(i => i.text);
+
+      expect(legendText(chart.layoutChart(grouped))).toEqual(['2024', '2025']);
+      expect(legendText(chart.layoutChart(single([1, 2])))).toEqual([]);
+    });
+
+    it('should center the title above the plot', () => {
+      const layout = chart.layoutChart(single([1]), { title: 'Sales' });
+
+      expect(layout.items[1]).toMatchObject({ type: 'text', text: 'Sales', x: 380, y: 15, align: 'center', weight: 'bold', size: 16 });
+    });
+
+    it('should label round ticks along the value axis', () => {
+      const ticks = chart.layoutChart(single([30, -10], ['A', 'B'])).items
+        .filter(i => i.type === 'text' && i.align === 'right')
+        .map(i => [i.text, i.y]);
+
+      expect(ticks).toEqual([['-10', 360], ['0', 277.5], ['10', 195], ['20', 112.5], ['30', 30]]);
+    });
+
+    it('should extend the axis to a round maximum', () => {
+      const layout = chart.layoutChart(single([10, 23]));
+
+      // Ticks of 5 up to 25, so the 23 bar stops short of the top
+      expect(layout.bars[1].height).toBeCloseTo(330 * 23 / 25);
+      expect(layout.items).toContainEqual(expect.objectContaining({ type: 'text', text: '25', y: 30 }));
+    });
+
+    it('should draw gridlines under the bars only when asked', () => {
+      const gridlines = (layout) => layout.items.filter(i => i.type === 'line' && i.lineWidth === 1);
+      const layout = chart.layoutChart(single([10, 20]), { gridlines: true });
+
+      expect(gridlines(chart.layoutChart(single([10, 20])))).toEqual([]);
+      expect(gridlines(layout).map(l => l.y1)).toEqual([360, 277.5, 195, 112.5, 30]);
+      const firstBar = layout.items.findIndex(i => i.type === 'rect' && i.fill !== 'white');
+      expect(layout.items.indexOf(gridlines(layout)[0])).toBeLessThan(firstBar);
+    });
+
+    it('should leave bar color contrast out of the warnings', () => {
+      const layout = chart.layoutChart(single([10, 20, 30]), { colors: ['#ffffff', '#0072b2', '#f0e442'] });
+
+      expect(layout.warnings).toEqual([]);
+    });
+
+    it('should find the bars drawn too close to the background', () => {
+      const okabeIto = palettes.findPalette('Okabe-Ito').colors;
+      const highContrast = themes.findTheme('High Contrast');
+      const drawn = chart.layoutChart(single([1, 2, 3, 4, 5, 6, 7, 8]), { colors: okabeIto, theme: highContrast });
+      const dark = themes.findTheme('Dark');
+      const byValue = chart.layoutChart(single([1, 5, 9]), { colorScale: { stops: palettes.findPalette('Viridis').colors }, theme: dark });
+      const ruled = chart.layoutChart(single([1, 2]), { colors: ['#3498db', '#3498db'], rules: [{ field: 'value', operator: '>', value: 1, color: '#f0f0f0' }] });
+
+      expect(chart.faintBars(drawn, highContrast.background).map(bar => bar.label)).toEqual(['L7']);
+      expect(chart.faintBars(byValue, dark.background).map(bar => bar.fill)).toEqual(['#440154']);
+      expect(chart.faintBars(ruled, 'white').map(bar => bar.label)).toEqual(['L1']);
+    });
+
+    it('should find no faint bars with the default colors and theme', () => {
+      const { colors, chart: settings } = project.DEFAULT_PROJECT;
+      const layout = chart.layoutChart(grouped, { colors: [colors.primary, colors.primary], theme: settings.theme });
+
+      expect(chart.faintBars(layout, settings.theme.background)).toEqual([]);
+    });
+
+    it('should draw in the colors and font of the theme', () => {
+      const theme = { ...themes.DEFAULT_THEME, background: '#101010', text: '#eeeeee', axis: '#cccccc', gridlines: '#333333', fontFamily: 'Verdana' };
+      const layout = chart.layoutChart(single([10, 20]), { theme, gridlines: true, subtitle: 'Note' });
+      const texts = layout.items.filter(i => i.type === 'text');
+
+      expect(layout.items[0]).toMatchObject({ type: 'rect', fill: '#101010' });
+      expect(texts.find(i => i.text === '20')).toMatchObject({ fill: '#eeeeee' });
+      expect(texts.every(i => i.family === 'Verdana')).toBe(true);
+      expect(layout.items.filter(i => i.type === 'line').map(l => l.stroke)).toContain('#333333');
+      expect(layout.items.filter(i => i.type === 'line').map(l => l.stroke)).toContain('#cccccc');
+    });
+  });
+
+  describe('niceTicks', () => {
+    it('should step by 1, 2 or 5 times a power of ten', () => {
+      expect(chart.niceTicks(0, 20).ticks).toEqual([0, 5, 10, 15, 20]);
+      expect(chart.niceTicks(0, 60).step).toBe(20);
+      expect(chart.niceTicks(0, 1234, 12).step).toBe(200);
+      expect(chart.niceTicks(0, 0.37).ticks).toEqual([0, 0.1, 0.2, 0.3, 0.4]);
+    });
+
+    it('should push the bounds out to whole steps', () => {
+      expect(chart.niceTicks(-3.2, 7)).toMatchObject({ min: -5, max: 10, step: 5 });
+    });
+
+    it('should give an empty range some height', () => {
+      expect(chart.niceTicks(0, 0)).toMatchObject({ min: 0, max: 1 });
+    });
+  });
+
+  describe('Stacked modes', () => {
+    const texts = (layout) => layout.items.filter(i => i.type === 'text').map(i => i.text);
+
+    it('should stack segments on the running total', () => {
+      expect(chart.stackSegments(grouped, 'stacked')).toEqual([
+        [{ start: 0, end: 10 }, { start: 10, end: 25 }],
+        [{ start: 0, end: 20 }, { start: 20, end: 60 }]
+      ]);
+    });
+
+    it('should stack negative values below zero separately', () => {
+      const data = { labels: ['A'], series: [{ name: 'a', values: [5] }, { name: 'b', values: [-3] }, { name: 'c', values: [4] }] };
+
+      expect(chart.stackSegments(data, 'stacked')).toEqual([
+        [{ start: 0, end: 5 }, { start: 0, end: -3 }, { start: 5, end: 9 }]
+      ]);
+    });
+
+    it('should scale stacks against the largest total', () => {
+      const layout = chart.layoutChart(grouped, { mode: 'stacked', colors: ['#aa0000', '#00aa00'] });
+      const [a, b, , d] = layout.bars;
+
+      expect(a).toMatchObject({ x: 30, width: 345, y: 305, height: 55, fill: '#aa0000' });
+      expect(b).toMatchObject({ x: 30, width: 345, y: 222.5, height: 82.5, fill: '#00aa00' });
+      expect(d).toMatchObject({ y: 30, height: 220 });
+      expect(texts(layout)).toContain('60');
+    });
+
+    it('should fill every percent stack to 100%', () => {
+      const layout = chart.layoutChart(grouped, { mode: 'percent' });
+
+      expect(layout.bars.map(b => b.share)).toEqual([0.4, 0.6, 1 / 3, 2 / 3]);
+      expect(layout.bars[1].y).toBeCloseTo(30);
+      expect(layout.bars[3].y).toBeCloseTo(30);
+      expect(layout.bars[0].value).toBe(10);
+      expect(texts(layout)).toEqual(expect.arrayContaining(['0%', '20%', '40%', '60%', '80%', '100%']));
+    });
+
+    it('should leave empty categories flat in percent mode', () => {
+      const data = { labels: ['A', 'B'], series: [{ name: 'a', values: [0, 1] }, { name: 'b', values: [0, 1] }] };
+
+      expect(chart.stackSegments(data, 'percent')[0]).toEqual([{ start: 0, end: 0, share: 0 }, { start: 0, end: 0, share: 0 }]);
+    });
+
+    it('should fall back to grouped bars for unknown modes', () => {
+      expect(chart.layoutChart(grouped, { mode: 'spiral' }).bars).toEqual(chart.layoutChart(grouped).bars);
+    });
+  });
+
+  describe('Horizontal orientation', () => {
+    const measureText = (text) => text.length * 10;
+
+    it('should run categories down the left and values to the right', () => {
+      const layout = chart.layoutChart(single([10, 20], ['A', 'Longer']), { orientation: 'horizontal', measureText });
+      const [a, b] = layout.bars;
+
+      // Longest label is 60 wide, so the plot starts at 30 + 60 + 5
+      expect(a).toMatchObject({ x: 95, y: 30, height: 160, width: 317.5 });
+      expect(b).toMatchObject({ x: 95, y: 200, height: 160, width: 635 });
+      expect(layout.items).toContainEqual(expect.objectContaining({ type: 'text', text: 'Longer', x: 90, y: 280, align: 'right' }));
+      expect(layout.items).toContainEqual(expect.objectContaining({ type: 'text', text: '20', x: 730, y: 365 }));
+    });
+
+    it('should extend negative bars left of the zero line', () => {
+      const layout = chart.layoutChart(single([30, -10], ['A', 'B']), { orientation: 'horizontal', measureText });
+      const [a, b] = layout.bars;
+
+      expect(b.x + b.width).toBe(a.x);
+      expect(b.x).toBe(45);
+      expect(layout.items).toContainEqual(expect.objectContaining({ type: 'line', x1: a.x, x2: a.x }));
+    });
+
+    it('should stack segments side by side', () => {
+      const layout = chart.layoutChart(grouped, { orientation: 'horizontal', mode: 'stacked' });
+      const [a, b] = layout.bars;
+
+      expect(b.x).toBeCloseTo(a.x + a.width);
+      expect(b.y).toBe(a.y);
+    });
+
+    it('should keep long labels from squeezing out the plot', () => {
+      const layout = chart.layoutChart(single([1], ['x'.repeat(200)]), { orientation: 'horizontal', measureText });
+
+      expect(layout.bars[0].x).toBeCloseTo(760 / 3 + 35);
+    });
+  });
+
+  describe('Log scale', () => {
+    const tickLabels = (layout) => layout.items.filter(i => i.type === 'text' && i.align === 'right').map(i => i.text);
+
+    it('should put a tick at every power of the base', () => {
+      expect(chart.logTicks(3, 4500)).toMatchObject({ min: 0, max: 4, ticks: [0, 1, 2, 3, 4], values: [1, 10, 100, 1000, 10000] });
+      expect(chart.logTicks(0.05, 2)).toMatchObject({ ticks: [-2, -1, 0, 1], values: [0.01, 0.1, 1, 10] });
+      expect(chart.logTicks(5, 40, 2).values).toEqual([4, 8, 16, 32, 64]);
+    });
+
+    it('should label every few powers when there are too many', () => {
+      expect(chart.logTicks(2, 1e9, 10, 6)).toMatchObject({ step: 2, values: [1, 100, 1e4, 1e6, 1e8, 1e10] });
+    });
+
+    it('should start a power below an exact power of the base', () => {
+      expect(chart.logTicks(100, 100)).toMatchObject({ min: 1, max: 2 });
+      expect(chart.logTicks(100, 1000).values).toEqual([10, 100, 1000]);
+    });
+
+    it('should space bars by orders of magnitude', () => {
+      const layout = chart.layoutChart(single([10, 100, 1000]), { scale: 'log' });
+      const [a, b, c] = layout.bars;
+
+      // Ticks at 1, 10, 100 and 1000 over a 330 pixel plot
+      expect(tickLabels(layout)).toEqual(['1', '10', '100', '1000']);
+      expect(a).toMatchObject({ y: 250, height: 110 });
+      expect(b).toMatchObject({ y: 140, height: 220 });
+      expect(c).toMatchObject({ y: 30, height: 330 });
+    });
+
+    it('should honour another base', () => {
+      const layout = chart.layoutChart(single([2, 8]), { scale: 'log', logBase: 2 });
+
+      expect(tickLabels(layout)).toEqual(['1', '2', '4', '8']);
+      expect(layout.bars[1].height).toBe(330);
+    });
+
+    it('should leave out zero and negative values with a warning', () => {
+      const layout = chart.layoutChart(single([0, 50, -5], ['A', 'B', 'C']), { scale: 'log' });
+
+      expect(layout.bars.map(b => b.label)).toEqual(['B']);
+      expect(layout.warnings).toEqual([
+        'Zero and negative values cannot be shown on a log scale and were left out: A, C'
+      ]);
+      expect(chart.layoutChart(single([0, 50]), { scale: 'linear' }).warnings).toEqual([]);
+    });
+
+    it('should name the series of a left-out value', () => {
+      const data = { labels: ['North'], series: [{ name: '2024', values: [10] }, { name: '2025', values: [0] }] };
+
+      expect(chart.layoutChart(data, { scale: 'log' }).warnings[0]).toEndWith('left out: North (2025)');
+    });
+
+    it('should grow horizontal bars from the lowest tick', () => {
+      const layout = chart.layoutChart(single([10, 1000], ['A', 'B']), { scale: 'log', orientation: 'horizontal', measureText: () => 10 });
+
+      expect(layout.bars[0].x).toBe(45);
+      expect(layout.bars[0].width).toBeCloseTo(685 / 3);
+      expect(layout.bars[1]).toMatchObject({ x: 45, width: 685 });
+    });
+
+    it('should carry the scale into SVG export', () => {
+      const svg = chart.chartToSVG(chart.layoutChart(single([10, 1000]), { scale: 'log', gridlines: true }));
+
+      expect(svg).toContain('>100</text>');
+      expect(svg).toContain('<line x1="30" y1="140" x2="730" y2="140" stroke="#e0e0e0" stroke-width="1"/>');
+    });
+  });
+
+  describe('Chart text', () => {
+    const textItem = (layout, value) => layout.items.find(i => i.type === 'text' && i.text === value);
+    const allText = { title: 'Sales', subtitle: 'By region', xAxisTitle: 'Region', yAxisTitle: 'Units', footnote: 'Source: ledger' };
+
+    it('should stack the subtitle under the title and move the plot down', () => {
+      const layout = chart.layoutChart(single([10, 20]), { title: 'Sales', subtitle: 'By region' });
+
+      expect(textItem(layout, 'By region')).toMatchObject({ x: 380, y: 40, align: 'center', size: 13 });
+      // Title 30 and subtitle 20 above the usual 30 pixels over the plot
+      expect(layout.bars[1]).toMatchObject({ y: 80, height: 280 });
+    });
+
+    it('should keep the legend between the titles and the plot', () => {
+      const layout = chart.layoutChart(grouped, { title: 'Sales' });
+
+      expect(textItem(layout, '2024').y).toBe(45);
+    });
+
+    it('should put the footnote and X-axis title under the plot', () => {
+      const layout = chart.layoutChart(single([10, 20]), { xAxisTitle: 'Region', footnote: 'Source: ledger' });
+
+      expect(textItem(layout, 'Source: ledger')).toMatchObject({ x: 30, y: 390, align: 'left', size: 11 });
+      expect(textItem(layout, 'Region')).toMatchObject({ x: 380, y: 370, align: 'center' });
+      expect(layout.bars[1]).toMatchObject({ y: 30, height: 290 });
+    });
+
+    it('should turn the Y-axis title up the left side', () => {
+      const layout = chart.layoutChart(single([10, 20]), { yAxisTitle: 'Units' });
+
+      expect(textItem(layout, 'Units')).toMatchObject({ x: 10, y: 195, rotation: -90 });
+      expect(layout.bars[0].x).toBe(50);
+    });
+
+    it('should show the texts without any data', () => {
+      const layout = chart.layoutChart({ labels: [], series: [] }, allText);
+
+      expect(layout.items.map(i => i.text).filter(Boolean)).toEqual(['Sales', 'By region', 'Source: ledger']);
+    });
+
+    it('should rotate text in SVG and on the canvas', () => {
+      const layout = chart.layoutChart(single([10, 20]), allText);
+      const { mockContext } = createMockDOM();
+
+      expect(chart.chartToSVG(layout)).toContain('transform="rotate(-90 10 200)" fill="black">Units</text>');
+      chart.drawChart(mockContext, layout);
+      expect(mockContext.translate).toHaveBeenCalledWith(10, 200);
+      expect(mockContext.rotate).toHaveBeenCalledWith(-Math.PI / 2);
+      expect(mockContext.fillText).toHaveBeenCalledWith('Units', 0, 0);
+    });
+  });
+
+  describe('Value labels', () => {
+    const measureText = (text) => text.length * 6;
+    // Value labels come after the tick labels, which may read the same
+    const valueText = (layout, value) => layout.items.findLast(i => i.type === 'text' && i.text === value);
+
+    it('should leave them off unless asked', () => {
+      const layout = chart.layoutChart(single([10, 20]));
+
+      expect(layout.items.filter(i => i.text === '20')).toHaveLength(1); // the tick label
+    });
+
+    it('should center labels inside the bars', () => {
+      const layout = chart.layoutChart(single([10, 20]), { valueLabels: 'inside', colors: ['#000080', '#ffff00'], measureText });
+      const [a, b] = layout.bars;
+
+      expect(valueText(layout, '10')).toMatchObject({ x: a.x + a.width / 2, y: a.y + a.height / 2, align: 'center', fill: 'white' });
+      expect(valueText(layout, '20')).toMatchObject({ y: b.y + b.height / 2, fill: 'black' });
+    });
+
+    it('should put labels above or at the end of vertical bars', () => {
+      const above = chart.layoutChart(single([30, -10]), { valueLabels: 'above', measureText });
+      const end = chart.layoutChart(single([30, -10]), { valueLabels: 'end', measureText });
+
+      expect(valueText(above, '30')).toMatchObject({ y: 42, baseline: 'bottom' });
+      expect(valueText(above, '-10')).toMatchObject({ y: 348, baseline: 'top' });
+      expect(valueText(end, '30')).toMatchObject({ y: 48, baseline: 'top' });
+      expect(valueText(end, '-10')).toMatchObject({ y: 342, baseline: 'bottom' });
+    });
+
+    it('should keep labels past the tallest bar clear of the legend and title', () => {
+      const data = {
+        labels: ['North', 'South'],
+        series: [{ name: '2024', values: [10, 20] }, { name: '2025', values: [15, 40] }]
+      };
+      ['above', 'end', 'inside'].forEach((valueLabels) => {
+        // Bars 2px wide are too narrow for any label inside them
+        const layout = chart.layoutChart(data, { title: 'Sales', valueLabels, width: 60, measureText });
+        const label = valueText(layout, '40');
+        const legend = layout.items.filter(i => i.type === 'text' && i.align === 'left');
+
+        expect(label.baseline).toBe('bottom');
+        expect(legend).toHaveLength(2);
+        legend.forEach((entry) => expect(label.y - label.size).toBeGreaterThanOrEqual(entry.y + entry.size / 2));
+        expect(label.y - label.size).toBeGreaterThanOrEqual(30); // the title's band
+      });
+    });
+
+    it('should keep labels past a negative bar clear of the category labels', () => {
+      ['vertical', 'horizontal'].forEach((orientation) => {
+        const layout = chart.layoutChart(single([25, -40], ['Gain', 'Loss']), { valueLabels: 'above', orientation, measureText });
+        const label = valueText(layout, '-40');
+        const [gain, loss] = layout.categoryLabels;
+
+        if (orientation === 'vertical') {
+          expect(label.y + label.size).toBeLessThanOrEqual(Math.min(gain.y, loss.y));
+        } else {
+          // Right-aligned just left of the bar's end
+          expect(label.x - 6 * 3).toBeGreaterThanOrEqual(loss.x + loss.width);
+        }
+      });
+    });
+
+    it('should move labels out of bars too short to hold them', () => {
+      const layout = chart.layoutChart(single([1, 100]), { valueLabels: 'inside', measureText });
+
+      expect(valueText(layout, '1')).toMatchObject({ baseline: 'bottom', y: layout.bars[0].y - 3, fill: 'black' });
+    });
+
+    it('should make room right of horizontal bars for labels past their ends', () => {
+      const layout = chart.layoutChart(single([10, 2000], ['A', 'B']), {
+        orientation: 'horizontal', valueLabels: 'above', numberFormat: { thousands: true }, measureText
+      });
+      const bar = layout.bars[1];
+
+      // "2,000" is 30 wide, plus 4 of spacing
+      expect(bar.x + bar.width).toBe(760 - 30 - 34);
+      expect(valueText(layout, '2,000')).toMatchObject({ x: bar.x + bar.width + 4, align: 'left' });
+    });
+
+    it('should format the labels in SVG too', () => {
+      const layout = chart.layoutChart(single([1500, 2500000]), {
+        valueLabels: 'end', numberFormat: { notation: 'si', prefix: '$' }, measureText
+      });
+
+      expect(chart.chartToSVG(layout)).toContain('>$2.5M</text>');
+      expect(chart.chartToSVG(layout)).toContain('>$1.5k</text>');
+    });
+  });
+
+  describe('Legend', () => {
+    const measureText = (text) => text.length * 6;
+    const legendText = (layout) => layout.items.filter(i => i.type === 'text' && i.align === 'left');
+    const many = {
+      labels: ['A'],
+      series: ['Alpha', 'Bravo', 'Charlie', 'Delta', 'Echo', 'Foxtrot', 'Golf', 'Hotel', 'India', 'Juliett', 'Kilo', 'Lima']
+        .map(name => ({ name, values: [1] }))
+    };
+
+    it('should name the categories behind each color of a single series', () => {
+      const data = single([1, 2, 3, 4], ['A', 'B', 'C', 'D']);
+
+      expect(chart.legendEntries(data, ['#ff0000', '#00ff00', '#ff0000', '#00ff00'])).toEqual([
+        { name: 'A, C', fill: '#ff0000' },
+        { name: 'B, D', fill: '#00ff00' }
+      ]);
+      expect(chart.legendEntries(data, ['#3498db', '#3498db', '#3498db', '#3498db'])).toEqual([]);
+    });
+
+    it('should show color groups for rainbow colored bars', () => {
+      const layout = chart.layoutChart(single([1, 2], ['A', 'B']), { colors: ['#ff0000', '#0000ff'] });
+
+      expect(legendText(layout).map(i => i.text)).toEqual(['A', 'B']);
+    });
+
+    it('should wrap onto more rows and push the plot down', () => {
+      const layout = chart.layoutChart(many, { measureText });
+      const rows = [...new Set(legendText(layout).map(i => i.y))];
+
+      expect(rows).toEqual([15, 33]);
+      expect(layout.bars[0].y).toBe(48);
+    });
+
+    it('should stack entries in a column on the right', () => {
+      const layout = chart.layoutChart(grouped, { legend: 'right', measureText });
+      const [first, second] = legendText(layout);
+
+      // Entries are 10 + 5 + 24 wide, plus 10 of spacing from the plot
+      expect(first).toMatchObject({ x: 760 - 30 - 39 + 15, y: 39 });
+      expect(second).toMatchObject({ x: first.x, y: 57 });
+      expect(layout.bars[3].x + layout.bars[3].width).toBe(760 - 30 - 49);
+    });
+
+    it('should center rows under the plot', () => {
+      const layout = chart.layoutChart(grouped, { legend: 'bottom', measureText, footnote: 'Source' });
+      const [first] = legendText(layout).filter(i => i.text === '2024');
+
+      // Two 39 wide entries with a 15 gap: 93 wide, below the plot and above the footnote
+      expect(first).toMatchObject({ x: (760 - 93) / 2 + 15, y: 400 - 20 - 9 });
+      expect(layout.bars[1].y + layout.bars[1].height).toBe(400 - 20 - 18 - 40);
+    });
+
+    it('should box the legend inside the plot', () => {
+      const layout = chart.layoutChart(grouped, { legend: 'inside', measureText });
+      const box = layout.items.find(i => i.type === 'rect' && i.fill === 'white' && i.x > 0);
+
+      expect(box).toMatchObject({ x: 730 - 93 - 15, y: 35, width: 103, height: 28 });
+      expect(layout.items.indexOf(box)).toBeGreaterThan(layout.items.findIndex(i => i.fill === undefined));
+    });
+
+    it('should leave the legend out when asked', () => {
+      expect(legendText(chart.layoutChart(grouped, { legend: 'none' }))).toEqual([]);
+    });
+
+    it('should appear in SVG export', () => {
+      const svg = chart.chartToSVG(chart.layoutChart(grouped, { legend: 'bottom', colors: ['#aa0000', '#00aa00'] }));
+
+      expect(svg).toContain('fill="#00aa00"/><text');
+      expect(svg).toContain('>2025</text>');
+    });
+  });
+
+  describe('Color rules', () => {
+    const sla = [
+      { field: 'label', operator: '=', value: 'Us', color: '#8e44ad', name: '' },
+      { field: 'value', operator: '<', value: 90, color: '#e74c3c', name: 'Breached' },
+      { field: 'value', operator: '>=', value: 99, color: '#27ae60', name: 'Met' }
+    ];
+    const legendNames = (layout) => layout.items.filter(i => i.type === 'text' && i.y < 30).map(i => i.text);
+
+    it('should override the color mode for the bars they match', () => {
+      const layout = chart.layoutChart(single([85, 95, 99.5, 80], ['A', 'B', 'C', 'Us']), { colors: Array(4).fill('#3498db'), rules: sla });
+
+      expect(layout.bars.map(b => b.fill)).toEqual(['#e74c3c', '#3498db', '#27ae60', '#8e44ad']);
+    });
+
+    it('should add a legend entry for each rule in use', () => {
+      const layout = chart.layoutChart(single([85, 95]), { colors: ['#3498db', '#3498db'], rules: sla });
+
+      expect(legendNames(layout)).toEqual(['Breached']);
+    });
+
+    it('should list rules after the series and the color bar', () => {
+      expect(legendNames(chart.layoutChart(grouped, { rules: sla }))).toEqual(['2024', '2025', 'Breached']);
+      const layout = chart.layoutChart(single([85, 95]), { rules: sla, colorScale: { stops: ['#000000', '#ffffff'] } });
+
+      expect(layout.items.filter(i => i.type === 'text').map(i => i.text)).toContain('Breached');
+      expect(layout.items.some(i => i.type === 'gradient')).toBe(true);
+    });
+  });
+
+  describe('Colors by value', () => {
+    const stops = ['#000000', '#ffffff'];
+    const texts = (layout) => layout.items.filter(i => i.type === 'text').map(i => i.text);
+
+    it('should color each bar by its value across every series', () => {
+      const layout = chart.layoutChart(grouped, { colorScale: { stops }, colors: ['#aa0000', '#00aa00'] });
+
+      expect(layout.bars.map(b => b.fill)).toEqual(['#000000', '#0f0f0f', '#363636', '#ffffff']);
+    });
+
+    it('should center a diverging scale on the midpoint', () => {
+      const layout = chart.layoutChart(single([-5, 0, 20]), { colorScale: { stops: ['#0000ff', '#ffffff', '#ff0000'], midpoint: 0 } });
+
+      expect(layout.bars.map(b => b.fill)).toEqual(['#0000ff', '#ffffff', '#ff0000']);
+    });
+
+    it('should replace the legend with a labelled color bar', () => {
+      const layout = chart.layoutChart(single([-5, 0, 20]), { colorScale: { stops, midpoint: 0 } });
+      const [gradient] = layout.items.filter(i => i.type === 'gradient');
+
+      expect(gradient).toMatchObject({ x: 570, width: 160, height: 10 });
+      expect(gradient.stops[0]).toEqual({ offset: 0, color: '#000000' });
+      expect(gradient.stops).toContainEqual({ offset: 0.2, color: '#636363' });
+      expect(gradient.stops.at(-1)).toEqual({ offset: 1, color: '#ffffff' });
+      expect(texts(layout).slice(-3)).toEqual(['-5', '20', '0']);
+    });
+
+    it('should leave the color bar out with the legend', () => {
+      const layout = chart.layoutChart(single([1, 2]), { colorScale: { stops }, legend: 'none' });
+
+      expect(layout.items.some(i => i.type === 'gradient')).toBe(false);
+    });
+
+    it('should draw the same gradient on the canvas and in SVG', () => {
+      const { mockContext } = createMockDOM();
+      const gradient = { addColorStop: jest.fn() };
+      mockContext.createLinearGradient = jest.fn(() => gradient);
+      const layout = chart.layoutChart(single([1, 2]), { colorScale: { stops } });
+
+      chart.drawChart(mockContext, layout);
+      const svg = chart.chartToSVG(layout);
+
+      expect(mockContext.createLinearGradient).toHaveBeenCalledWith(570, 0, 730, 0);
+      expect(gradient.addColorStop).toHaveBeenCalledTimes(17);
+      expect(gradient.addColorStop).toHaveBeenCalledWith(0.5, '#636363');
+      expect(svg).toContain('<stop offset="0.5" stop-color="#636363"/>');
+      expect(svg).toContain('fill="url(#gradient1)"/>');
+    });
+  });
+
+  describe('Pattern fills', () => {
+    it('should give each series its pattern, cycling through the list', () => {
+      const three = { labels: ['A'], series: ['x', 'y', 'z'].map(name => ({ name, values: [1] })) };
+      const layout = chart.layoutChart(three, { patterns: ['diagonal', 'dots'] });
+
+      expect(layout.bars.map(b => b.pattern)).toEqual(['diagonal', 'dots', 'diagonal']);
+    });
+
+    it('should give each bar its pattern with a single series', () => {
+      const layout = chart.layoutChart(single([1, 2, 3]), { patterns: ['stripes', 'none'] });
+
+      expect(layout.bars.map(b => b.pattern)).toEqual(['stripes', undefined, 'stripes']);
+    });
+
+    it('should give every bar the next pattern per bar, with several series', () => {
+      const options = { patterns: ['diagonal', 'dots', 'stripes'], patternsPer: 'bar' };
+      const swatches = (layout) => layout.items.filter(i => i.type === 'rect' && i.width === 10);
+
+      ['grouped', 'stacked'].forEach((mode) => {
+        const layout = chart.layoutChart(grouped, { ...options, mode });
+
+        // North 2024, North 2025, South 2024, South 2025
+        expect(layout.bars.map(b => b.pattern)).toEqual(['diagonal', 'dots', 'stripes', 'diagonal']);
+        // The series' swatches cannot stand for patterns that vary within a series
+        expect(swatches(layout).map(s => s.pattern)).toEqual([undefined, undefined]);
+      });
+      expect(chart.layoutChart(single([1, 2, 3]), options).bars.map(b => b.pattern))
+        .toEqual(['diagonal', 'dots', 'stripes']);
+    });
+
+    it('should show the patterns in the legend', () => {
+      const swatches = (layout) => layout.items.filter(i => i.type === 'rect' && i.width === 10);
+
+      expect(swatches(chart.layoutChart(grouped, { patterns: ['crosshatch', 'dots'] })).map(s => s.pattern))
+        .toEqual(['crosshatch', 'dots']);
+      // With a single series, bars of the same color are told apart by pattern
+      const layout = chart.layoutChart(single([1, 2, 3]), { colors: Array(3).fill('#3498db'), patterns: ['stripes', 'none'] });
+      expect(swatches(layout).map(s => s.pattern)).toEqual(['stripes', undefined]);
+      expect(layout.items.filter(i => i.type === 'text').map(i => i.text)).toContain('L0, L2');
+    });
+
+    it('should draw patterns in ink that shows on the bar', () => {
+      const { mockContext } = createMockDOM();
+      const tileContext = { beginPath: jest.fn(), moveTo: jest.fn(), lineTo: jest.fn(), stroke: jest.fn(), arc: jest.fn(), fill: jest.fn() };
+      const tile = { getContext: () => tileContext };
+      mockContext.canvas = { ownerDocument: { createElement: () => tile } };
+      const layout = chart.layoutChart(grouped, { colors: ['#08306b', '#ffff99'], patterns: ['diagonal', 'dots'] });
+
+      chart.drawChart(mockContext, layout);
+
+      // One tile per pattern and ink, shared by the bars and the legend
+      expect(mockContext.createPattern).toHaveBeenCalledTimes(2);
+      expect(mockContext.createPattern).toHaveBeenCalledWith(tile, 'repeat');
+      expect(tileContext.arc).toHaveBeenCalledWith(4, 4, 1.5, 0, 2 * Math.PI);
+      expect(tileContext.fillStyle).toBe('black');
+    });
+
+    it('should define each SVG pattern once', () => {
+      const layout = chart.layoutChart(grouped, { colors: ['#08306b', '#ffff99'], patterns: ['diagonal', 'dots'] });
+      const svg = chart.chartToSVG(layout);
+
+      expect(svg.match(/<pattern id=/g).length).toBe(2);
+      expect(svg).toContain('<pattern id="pattern-diagonal-white" width="8" height="8" patternUnits="userSpaceOnUse">');
+      expect(svg).toContain('<circle cx="4" cy="4" r="1.5" fill="black"/>');
+      expect(svg.match(/fill="url\(#pattern-dots-black\)"/g).length).toBe(3);
+    });
+
+    it('should draw per-bar patterns on the canvas and in SVG', () => {
+      const { mockContext } = createMockDOM();
+      const tileContext = { beginPath: jest.fn(), moveTo: jest.fn(), lineTo: jest.fn(), stroke: jest.fn(), arc: jest.fn(), fill: jest.fn() };
+      mockContext.canvas = { ownerDocument: { createElement: () => ({ getContext: () => tileContext }) } };
+      const layout = chart.layoutChart(grouped, {
+        colors: ['#ffff99', '#ffff99'], patterns: ['diagonal', 'dots', 'stripes', 'none'], patternsPer: 'bar'
+      });
+
+      chart.drawChart(mockContext, layout);
+      const svg = chart.chartToSVG(layout);
+
+      expect(mockContext.createPattern).toHaveBeenCalledTimes(3);
+      expect(svg.match(/<pattern id=/g).length).toBe(3);
+      ['diagonal', 'dots', 'stripes'].forEach((name) => {
+        expect(svg.match(new RegExp(`fill="url\\(#pattern-${name}-black\\)"`, 'g')).length).toBe(1);
+      });
+    });
+  });
+
+  describe('Category labels', () => {
+    const measureText = (text) => text.length * 6;
+    const labelItems = (layout) => layout.items.filter(i => i.type === 'text' && i.baseline === 'top' || i.rotation === -45 || i.rotation === -90);
+    const many = (count, name = (i) => `Category ${i}`) =>
+      single(Array.from({ length: count }, (_, i) => i + 1), Array.from({ length: count }, (_, i) => name(i)));
+
+    it('should leave labels that fit as they are', () => {
+      const layout = chart.layoutChart(single([1, 2], ['North', 'South']), { measureText });
+
+      expect(labelItems(layout).map(i => i.text)).toEqual(['North', 'South']);
+      expect(layout.categoryLabels[0]).toMatchObject({ index: 0, text: 'North', truncated: false, y: 365, height: 14 });
+    });
+
+    it('should wrap labels onto two lines before turning them', () => {
+      // 8 groups of 77.5 pixels; "Category 1 total" is 96 wide
+      const layout = chart.layoutChart(many(8, (i) => `Category ${i} total`), { measureText });
+      const first = labelItems(layout).filter(i => i.x === layout.categoryLabels[0].x + layout.categoryLabels[0].width / 2);
+
+      // Two lines need 28 + 15 pixels under the plot instead of 40
+      expect(first.map(i => [i.text, i.y])).toEqual([['Category 0', 362], ['total', 376]]);
+      expect(layout.items.some(i => i.rotation)).toBe(false);
+    });
+
+    it('should turn long labels 45 degrees and make room below the plot', () => {
+      const layout = chart.layoutChart(many(20), { measureText });
+      const turned = layout.items.filter(i => i.rotation === -45);
+
+      expect(turned).toHaveLength(20);
+      expect(turned[0]).toMatchObject({ align: 'right', baseline: 'middle', y: layout.bars[0].y + layout.bars[0].height + 8 });
+      // "Category 10" is 66 wide: (66 + 14) * 0.707 below the axis, plus 15
+      expect(layout.bars[0].y + layout.bars[0].height).toBeCloseTo(400 - (80 * Math.SQRT1_2 + 15));
+    });
+
+    it('should turn labels upright when the groups are narrow', () => {
+      const layout = chart.layoutChart(many(40), { measureText });
+
+      expect(layout.items.filter(i => i.rotation === -90)).toHaveLength(40);
+    });
+
+    it('should show every Nth label when even upright ones collide', () => {
+      const layout = chart.layoutChart(many(80), { measureText });
+
+      // 700 pixels over 80 groups is 8.75 a label, so every second one
+      expect(layout.categoryLabels.map(l => l.index).slice(0, 3)).toEqual([0, 2, 4]);
+      expect(layout.categoryLabels).toHaveLength(40);
+    });
+
+    it('should cut very long labels short and keep the full text as a tooltip', () => {
+      const name = 'An extraordinarily long category name that goes on and on';
+      const layout = chart.layoutChart(many(30, () => name), { measureText });
+      const [first] = layout.items.filter(i => i.rotation);
+
+      expect(first.text.endsWith('…')).toBe(true);
+      expect(first.tooltip).toBe(name);
+      expect(layout.categoryLabels[0]).toMatchObject({ truncated: true, text: name });
+      expect(chart.chartToSVG(layout)).toContain(`<title>${name}</title>`);
+    });
+
+    it('should cut horizontal labels to a third of the width', () => {
+      const layout = chart.layoutChart(single([1], ['x'.repeat(200)]), { orientation: 'horizontal', measureText });
+      const [label] = layout.categoryLabels;
+
+      expect(label.truncated).toBe(true);
+      expect(label.width).toBeLessThanOrEqual(760 / 3);
+    });
+
+    it('should thin out crowded horizontal labels', () => {
+      const layout = chart.layoutChart(many(40), { orientation: 'horizontal', measureText });
+
+      expect(layout.categoryLabels.map(l => l.index).slice(0, 3)).toEqual([0, 2, 4]);
+    });
+  });
+
+  describe('Bar hit-testing', () => {
+    it('should find the bar under a point', () => {
+      const layout = chart.layoutChart(grouped);
+      const [bar] = layout.bars.filter(b => b.label === 'South' && b.series === '2025');
+
+      expect(chart.findBar(layout, bar.x + bar.width / 2, bar.y + 1)).toBe(layout.bars.indexOf(bar));
+      expect(chart.findBar(layout, 5, 5)).toBe(-1);
+    });
+
+    it('should widen bars too thin to point at', () => {
+      const layout = { bars: [{ x: 100, y: 50, width: 0.5, height: 100 }] };
+
+      expect(chart.findBar(layout, 101.5, 60)).toBe(0);
+      expect(chart.findBar(layout, 104, 60)).toBe(-1);
+    });
+
+    it('should describe a bar by label, series, value, share and rank', () => {
+      const layout = chart.layoutChart(grouped);
+      const bar = layout.bars.find(b => b.label === 'North' && b.series === '2025');
+
+      expect(chart.describeBar(grouped, bar)).toEqual([
+        'North', 'Series: 2025', 'Value: 15', 'Share: 27.3% of 2025', 'Rank: 2 of 2'
+      ]);
+    });
+
+    it('should show only the fields asked for, in their usual order', () => {
+      const data = single([30, 10, 60]);
+      const bar = chart.layoutChart(data).bars[0];
+
+      expect(chart.describeBar(data, bar, ['rank', 'label', 'series'])).toEqual(['L0', 'Rank: 2 of 3']);
+      expect(chart.describeBar(data, bar, ['value'], v => `$${v}`)).toEqual(['Value: $30']);
+      expect(chart.describeBar(data, bar, [])).toEqual([]);
+    });
+
+    it('should leave out the share when the series adds up to zero', () => {
+      const data = single([5, -5]);
+      const bar = chart.layoutChart(data).bars[0];
+
+      expect(chart.describeBar(data, bar, ['percent', 'rank'])).toEqual(['Rank: 1 of 2']);
+    });
+  });
+
+  describe('Dragging bars', () => {
+    // The point on the value axis at a value, for vertical linear charts
+    const at = (layout, value) => layout.valueAxis.zero - value * layout.valueAxis.scale;
+
+    it('should find the bar whose end is under the pointer', () => {
+      const layout = chart.layoutChart(single([10, 20]));
+      const bar = layout.bars[0];
+
+      expect(chart.findBarEnd(layout, bar.x + 5, bar.y + 3)).toBe(0);
+      expect(chart.findBarEnd(layout, bar.x + 5, bar.y + 20)).toBe(-1);
+    });
+
+    it('should find the right-hand ends of horizontal bars', () => {
+      const layout = chart.layoutChart(single([10, 20]), { orientation: 'horizontal' });
+      const bar = layout.bars[1];
+
+      expect(chart.findBarEnd(layout, bar.x + bar.width - 2, bar.y + 5)).toBe(1);
+    });
+
+    it('should not drag 100% stacked bars', () => {
+      const layout = chart.layoutChart(grouped, { mode: 'percent' });
+      const bar = layout.bars[0];
+
+      expect(chart.findBarEnd(layout, bar.x + 1, bar.y)).toBe(-1);
+      expect(chart.dragValue(layout, bar, bar.x, bar.y)).toBeNull();
+    });
+
+    it('should turn the pointer position into a value', () => {
+      const layout = chart.layoutChart(single([10, 20]));
+      const bar = layout.bars[0];
+
+      expect(chart.dragValue(layout, bar, 0, at(layout, 13.337))).toBe(13.35);
+      expect(chart.dragValue(layout, bar, 0, at(layout, 13.337), true)).toBe(15);
+      expect(chart.dragValue(layout, bar, 0, at(layout, -2.01))).toBe(-2);
+    });
+
+    it('should keep a stacked segment\'s start', () => {
+      const data = { labels: ['A'], series: [{ name: 'a', values: [10] }, { name: 'b', values: [5] }] };
+      const layout = chart.layoutChart(data, { mode: 'stacked' });
+
+      expect(chart.dragValue(layout, layout.bars[1], 0, at(layout, 12))).toBe(2);
+    });
+
+    it('should keep values positive on a log scale and snap to the power below', () => {
+      const layout = chart.layoutChart(single([340]), { scale: 'log' });
+      const { zero, scale, baseline } = layout.valueAxis;
+      const y = zero - (Math.log10(345) - baseline) * scale;
+
+      expect(chart.dragValue(layout, layout.bars[0], 0, y)).toBe(345);
+      expect(chart.dragValue(layout, layout.bars[0], 0, y, true)).toBe(300);
+      expect(chart.dragValue(layout, layout.bars[0], 0, 1000)).toBe(100);
+    });
+
+    it('should find the category slot along the category axis', () => {
+      const layout = chart.layoutChart(single([10, 20]));
+
+      expect(chart.categoryAt(layout, 10, 0)).toBe(0);
+      expect(chart.categoryAt(layout, 500, 0)).toBe(1);
+      expect(chart.categoryAt(layout, 9999, 0)).toBe(1);
+      expect(chart.categoryAt(chart.layoutChart(single([])), 10, 0)).toBe(-1);
+    });
+  });
+
+  describe('colorCount', () => {
+    it('should ask for one color per bar or per series', () => {
+      expect(chart.colorCount(single([1, 2, 3]))).toBe(3);
+      expect(chart.colorCount(grouped)).toBe(2);
+    });
+  });
+
+  describe('chartToSVG', () => {
+    it('should produce an SVG document with every item', () => {
+      const svg = chart.chartToSVG(chart.layoutChart(single([10, 20], ['A', 'B'])));
+
+      expect(svg.startsWith('<svg width="760" height="400" xmlns="http://www.w3.org/2000/svg">')).toBe(true);
+      expect(svg.endsWith('</svg>')).toBe(true);
+      expect(svg).toContain('<line x1="30" y1="360" x2="730" y2="360" stroke="black" stroke-width="2"/>');
+      expect(svg).toContain('text-anchor="middle" dominant-baseline="hanging" font-family="Arial" font-size="12" fill="black">A</text>');
+    });
+
+    it('should escape label text', () => {
+      const svg = chart.chartToSVG(chart.layoutChart(single([1], ['R&D <core>'])));
+
+      expect(svg).toContain('>R&amp;D &lt;core&gt;</text>');
+    });
+  });
+
+  describe('drawChart', () => {
+    let mockContext;
+
+    beforeEach(() => {
+      ({ mockContext } = createMockDOM());
+    });
+
+    it('should replay the layout onto a canvas context', () => {
+      const layout = chart.layoutChart(single([10, 20], ['A', 'B']));
+
+      chart.drawChart(mockContext, layout);
+
+      expect(mockContext.clearRect).toHaveBeenCalledWith(0, 0, 760, 400);
+      expect(mockContext.fillRect).toHaveBeenCalledWith(0, 0, 760, 400);
+      expect(mockContext.fillRect).toHaveBeenCalledTimes(3);
+      expect(mockContext.fillText).toHaveBeenCalledWith('A', 202.5, 365);
+      expect(mockContext.stroke).toHaveBeenCalledTimes(2);
+    });
+
+    it('should outline a highlighted bar', () => {
+      chart.drawHighlight(mockContext, { x: 10, y: 20, width: 30, height: 40 });
+
+      expect(mockContext.fillRect).toHaveBeenCalledWith(10, 20, 30, 40);
+      expect(mockContext.strokeRect).toHaveBeenCalledWith(10, 20, 30, 40);
+      expect(mockContext.restore).toHaveBeenCalled();
+    });
+  });
+});
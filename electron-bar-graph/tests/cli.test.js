@@ -0,0 +1,213 @@
+/*
+ * Electron Bar Graph - Command-Line Rendering Tests
+ * Copyright (C) 2025
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'bun:test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import cli from '../cli.js';
+import project from '../project.js';
+import themes from '../themes.js';
+
+describe('Command Line', () => {
+  describe('isHeadless', () => {
+    it('should only switch to headless mode for chart options', () => {
+      expect(cli.isHeadless(['.', '--out', 'chart.svg'])).toBe(true);
+      expect(cli.isHeadless(['--values=1,2'])).toBe(true);
+      expect(cli.isHeadless(['--help'])).toBe(true);
+      expect(cli.isHeadless(['.', '--no-sandbox'])).toBe(false);
+      expect(cli.isHeadless([])).toBe(false);
+    });
+  });
+
+  describe('parseArgs', () => {
+    const base = ['--values', '1,2', '--labels', 'A,B'];
+
+    it('should read both option styles', () => {
+      const options = cli.parseArgs(['.', '--values=1,2', '--labels', 'A,B', '--out', 'chart.svg', '--width=300']);
+
+      expect(options).toMatchObject({ values: '1,2', labels: 'A,B', out: 'chart.svg', format: 'svg', width: 300 });
+    });
+
+    it('should take the format from the output file name', () => {
+      expect(cli.parseArgs([...base, '--out', 'chart.PNG']).format).toBe('png');
+      expect(cli.parseArgs([...base, '--out', 'chart.jpg']).format).toBe('jpeg');
+      expect(cli.parseArgs([...base, '--out', 'chart', '--format', 'webp']).format).toBe('webp');
+    });
+
+    it('should warn about options it does not know', () => {
+      expect(cli.parseArgs([...base, '--out', 'c.svg', '--no-sandbox']).warnings).toEqual(['ignoring unknown option --no-sandbox']);
+    });
+
+    it('should ask for an output file and exactly one data source', () => {
+      expect(() => cli.parseArgs(base)).toThrow('--out is required');
+      expect(() => cli.parseArgs(['--out', 'c.svg'])).toThrow('--values or --data is required');
+      expect(() => cli.parseArgs([...base, '--data', 'd.csv', '--out', 'c.svg'])).toThrow('give either --values or --data, not both');
+      expect(() => cli.parseArgs([...base, '--out'])).toThrow('--out needs a value');
+    });
+
+    it('should reject bad settings', () => {
+      const parse = (...extra) => () => cli.parseArgs([...base, '--out', 'c.svg', ...extra]);
+
+      expect(() => cli.parseArgs([...base, '--out', 'chart.gif'])).toThrow('cannot tell the format from "chart.gif"');
+      expect(parse('--format', 'gif')).toThrow('--format: "gif" is not one of svg, png, jpeg, webp');
+      expect(parse('--width', '-5')).toThrow('--width: "-5" is not a positive whole number');
+      expect(parse('--quality', '3')).toThrow('--quality: "3" is not a number between 0 and 1');
+      expect(parse('--mode', 'pie')).toThrow('--mode: "pie" is not one of grouped, stacked, percent');
+      expect(parse('--primary-color', 'red')).toThrow('--primary-color: "red" is not a #rrggbb color');
+      expect(parse('--gridlines', 'maybe')).toThrow('--gridlines: "maybe" is not one of on, off');
+      expect(parse('--scale', 'sqrt')).toThrow('--scale: "sqrt" is not one of linear, log');
+      expect(parse('--log-base', '1')).toThrow('--log-base: "1" is not a number greater than 1');
+      expect(parse('--legend', 'left')).toThrow('--legend: "left" is not one of none, top, right, bottom, inside');
+      expect(parse('--value-labels', 'below')).toThrow('--value-labels: "below" is not one of none, inside, end, above');
+      expect(parse('--number-decimals', '2.5')).toThrow('--number-decimals: "2.5" is not a whole number from 0 to 10');
+      expect(parse('--palette', 'Plaid')).toThrow('--palette: "Plaid" is not one of Okabe-Ito, Tol Bright');
+      expect(parse('--color-scale', 'Okabe-Ito')).toThrow('--color-scale: "Okabe-Ito" is not one of custom, Viridis');
+      expect(parse('--color-midpoint', 'zero')).toThrow('--color-midpoint: "zero" is not a number');
+      expect(parse('--custom-colors', '#112233, navy, nope, #12'))
+        .toThrow('--custom-colors: Unknown custom colors: nope, #12. Use colors such as #336699 or navy.');
+      expect(parse('--patterns-per', 'category')).toThrow('--patterns-per: "category" is not one of series, bar');
+      expect(parse('--patterns', 'dots,plaid')).toThrow('--patterns: "plaid" is not one of none, diagonal, crosshatch, dots, stripes');
+    });
+
+    it('should stop at --help', () => {
+      expect(cli.parseArgs(['--help']).help).toBe(true);
+    });
+  });
+
+  describe('loadJob', () => {
+    let dir;
+
+    beforeAll(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bar-graph-cli-'));
+      fs.writeFileSync(path.join(dir, 'sales.csv'), 'Region,2024,2025\nNorth,10,15\nSouth,20,x\n');
+      fs.writeFileSync(path.join(dir, 'feed.json'), JSON.stringify({ labels: ['A', 'B'], values: [1, 2] }));
+      fs.writeFileSync(path.join(dir, 'chart.bargraph'), project.serializeProject(project.createProject({
+        data: { labels: ['A'], series: [{ name: 'S', values: [5] }] },
+        chart: { mode: 'stacked' },
+        colors: { mode: 'rainbow' },
+        export: { width: 1200, height: 630 }
+      })));
+      fs.writeFileSync(path.join(dir, 'brand.bargraph-theme'), themes.serializeTheme({
+        ...themes.DEFAULT_THEME, name: 'Brand', fontFamily: 'Georgia'
+      }));
+    });
+
+    afterAll(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const load = (...args) => cli.loadJob(cli.parseArgs([...args, '--out', 'out.svg']));
+
+    it('should parse inline values like the input fields', () => {
+      const job = load('--values', '1,2;3,4', '--labels', 'A,B', '--series', '2024,2025');
+
+      expect(job.data.series).toEqual([{ name: '2024', values: [1, 2] }, { name: '2025', values: [3, 4] }]);
+      expect(job).toMatchObject({ width: 760, height: 400, chart: { mode: 'grouped' }, colors: { mode: 'single' } });
+    });
+
+    it('should report bad inline data with the window\'s message', () => {
+      expect(() => load('--values', '1,2,3', '--labels', 'A,B')).toThrow('Error: Number of values must match the number of labels.');
+    });
+
+    it('should read chosen columns from a CSV file', () => {
+      const job = load('--data', path.join(dir, 'sales.csv'), '--value-columns', '2024');
+
+      expect(job.data).toEqual({ labels: ['North', 'South'], series: [{ name: '2024', values: [10, 20] }] });
+    });
+
+    it('should read JSON data files', () => {
+      expect(load('--data', path.join(dir, 'feed.json')).data.series).toEqual([{ name: 'Series 1', values: [1, 2] }]);
+    });
+
+    it('should report bad cells and columns with the file name', () => {
+      expect(() => load('--data', path.join(dir, 'sales.csv'), '--value-columns', '3'))
+        .toThrow('sales.csv: row 3, column 3 ("2025"): "x" is not a number');
+      expect(() => load('--data', path.join(dir, 'sales.csv'), '--value-columns', 'Total'))
+        .toThrow('sales.csv: no column "Total"');
+      expect(() => load('--data', path.join(dir, 'missing.csv'))).toThrow('missing.csv: ENOENT');
+    });
+
+    it('should use project settings unless overridden', () => {
+      const job = load('--data', path.join(dir, 'chart.bargraph'), '--color-mode', 'single', '--gridlines', 'on');
+
+      expect(job.data.labels).toEqual(['A']);
+      expect(job.chart.mode).toBe('stacked');
+      expect(job.colors.mode).toBe('single');
+      expect(job.chart.gridlines).toBe(true);
+      expect(job).toMatchObject({ width: 1200, height: 630 });
+      expect(load('--data', path.join(dir, 'chart.bargraph'), '--width', '800').width).toBe(800);
+    });
+
+    it('should take the chart text from the command line', () => {
+      const job = load('--values', '1', '--labels', 'A', '--title', 'Sales', '--y-title', 'Units', '--footnote', 'Source: ledger');
+
+      expect(job.chart).toMatchObject({ title: 'Sales', subtitle: '', yAxisTitle: 'Units', footnote: 'Source: ledger' });
+    });
+
+    it('should build the value label format from options and the project', () => {
+      const job = load('--values', '1', '--labels', 'A', '--value-labels', 'end', '--number-decimals', '2', '--number-prefix', '$');
+
+      expect(job.chart.valueLabels).toBe('end');
+      expect(job.chart.numberFormat).toEqual({ decimals: 2, thousands: false, notation: 'plain', prefix: '$', suffix: '' });
+    });
+
+    it('should pick a log scale and base', () => {
+      expect(load('--values', '1,10', '--labels', 'A,B', '--scale', 'log', '--log-base', '2').chart).toMatchObject({ scale: 'log', logBase: 2 });
+      expect(load('--values', '1,10', '--labels', 'A,B').chart).toMatchObject({ scale: 'linear', logBase: 10 });
+    });
+
+    it('should pick a palette from the library', () => {
+      const job = load('--values', '1', '--labels', 'A', '--color-mode', 'palette', '--palette', 'Viridis');
+
+      expect(job.colors).toMatchObject({ mode: 'palette', palette: 'Viridis' });
+      expect(load('--values', '1', '--labels', 'A').colors.palette).toBe('Okabe-Ito');
+    });
+
+    it('should color bars by value around a midpoint', () => {
+      const job = load('--values', '-1,2', '--labels', 'A,B', '--color-mode', 'value', '--color-scale', 'Blue-Red', '--color-midpoint', '0');
+
+      expect(job.colors).toMatchObject({ mode: 'value', scale: 'Blue-Red', midpoint: 0 });
+      expect(job.chart.scale).toBe('linear');
+    });
+
+    it('should read fill patterns', () => {
+      expect(load('--values', '1', '--labels', 'A', '--patterns', 'Diagonal, none').colors.patterns).toEqual(['diagonal', 'none']);
+      expect(load('--values', '1', '--labels', 'A').colors.patterns).toEqual([]);
+      expect(load('--values', '1', '--labels', 'A', '--patterns-per', 'bar').colors.patternsPer).toBe('bar');
+      expect(load('--values', '1', '--labels', 'A').colors.patternsPer).toBe('series');
+    });
+
+    it('should pick a built-in theme by name or read a theme file', () => {
+      expect(load('--values', '1', '--labels', 'A').chart.theme.name).toBe('Light');
+      expect(load('--values', '1', '--labels', 'A', '--theme', 'Dark').chart.theme.background).toBe('#1e1f24');
+      expect(load('--values', '1', '--labels', 'A', '--theme', path.join(dir, 'brand.bargraph-theme')).chart.theme)
+        .toMatchObject({ name: 'Brand', fontFamily: 'Georgia' });
+      expect(() => load('--values', '1', '--labels', 'A', '--theme', 'Drak'))
+        .toThrow('--theme: "Drak" is neither a built-in theme (Light, Dark, High Contrast) nor a theme file');
+      try {
+        load('--values', '1', '--labels', 'A', '--theme', 'Drak');
+      } catch (error) {
+        expect(error.exitCode).toBe(cli.EXIT_USAGE);
+      }
+    });
+
+    it('should take relative paths from the caller\'s directory', () => {
+      const options = cli.parseArgs(['--data', 'sales.csv', '--out', 'charts/out.svg', '--theme', 'brand.bargraph-theme']);
+      const job = cli.loadJob(options, dir);
+
+      expect(job.data.labels).toEqual(['North', 'South']);
+      expect(job.out).toBe(path.join(dir, 'charts', 'out.svg'));
+      expect(job.chart.theme.name).toBe('Brand');
+      expect(cli.loadJob(cli.parseArgs(['--values', '1', '--labels', 'A', '--out', '/tmp/a.svg']), dir).out).toBe('/tmp/a.svg');
+    });
+
+    it('should read the caller\'s directory from the launcher', () => {
+      expect(cli.callerDirectory({ [cli.CWD_VARIABLE]: dir })).toBe(dir);
+      expect(cli.callerDirectory({})).toBe(process.cwd());
+    });
+  });
+});
@@ -0,0 +1,55 @@
+/*
+ * Electron Bar Graph - Color Scheme Tests
+ * Copyright (C) 2025
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { describe, it, expect } from 'bun:test';
+import colors from '../colors.js';
+
+describe('Color Schemes', () => {
+  const settings = { primary: '#ff0000', secondary: '#0000ff', custom: '#111111, #222222' };
+
+  it('should repeat the primary color in single mode', () => {
+    expect(colors.generateColors('single', 2, settings)).toEqual(['#ff0000', '#ff0000']);
+  });
+
+  it('should blend from the primary to the secondary color', () => {
+    expect(colors.generateColors('gradient', 3, settings)).toEqual(['rgb(255, 0, 0)', 'rgb(128, 0, 128)', 'rgb(0, 0, 255)']);
+  });
+
+  it('should cycle through custom colors', () => {
+    expect(colors.generateColors('custom', 3, settings)).toEqual(['#111111', '#222222', '#111111']);
+  });
+
+  it('should leave out custom entries that are not colors', () => {
+    expect(colors.parseCustomColors('#111111, nope, navy, , #12')).toEqual({ colors: ['#111111', 'navy'], unknown: ['nope', '#12'] });
+    expect(colors.generateColors('custom', 2, { ...settings, custom: 'nope, #111111' })).toEqual(['#111111', '#111111']);
+    expect(colors.generateColors('custom', 1, { ...settings, custom: 'nope' })).toEqual(['#ff0000']);
+    expect(colors.unknownColorsMessage(['nope'])).toBe('Unknown custom colors: nope. Use colors such as #336699 or navy.');
+  });
+
+  it('should cycle through the theme palette', () => {
+    expect(colors.generateColors('theme', 3, { ...settings, themePalette: ['#aaaaaa', '#bbbbbb'] }))
+      .toEqual(['#aaaaaa', '#bbbbbb', '#aaaaaa']);
+    expect(colors.generateColors('theme', 1, settings)).toEqual(['#ff0000']);
+  });
+
+  it('should take colors from the named palette', () => {
+    expect(colors.generateColors('palette', 2, { ...settings, palette: 'Tol Bright' })).toEqual(['#4477aa', '#ee6677']);
+    expect(colors.generateColors('palette', 3, { ...settings, palette: 'Viridis' })).toEqual(['#440154', '#21918c', '#fde725']);
+  });
+
+  it('should build a value scale from a palette or the custom colors', () => {
+    expect(colors.valueColorScale('value', { scale: 'Blues', midpoint: null }))
+      .toEqual({ stops: ['#c6dbef', '#6baed6', '#2171b5', '#08306b'], midpoint: null });
+    expect(colors.valueColorScale('value', { ...settings, scale: 'custom', midpoint: 0 }))
+      .toEqual({ stops: ['#111111', '#222222'], midpoint: 0 });
+    expect(colors.valueColorScale('value', { scale: 'custom', custom: '' }).stops).toHaveLength(5);
+    expect(colors.valueColorScale('single', settings)).toBeNull();
+  });
+
+  it('should space rainbow hues evenly', () => {
+    expect(colors.generateColors('rainbow', 2, settings)).toEqual(['hsl(0, 70%, 50%)', 'hsl(180, 70%, 50%)']);
+  });
+});
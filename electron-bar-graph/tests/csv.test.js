@@ -0,0 +1,145 @@
+/*
+ * Electron Bar Graph - CSV/TSV Import Tests
+ * Copyright (C) 2025
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { describe, it, expect } from 'bun:test';
+import csv from '../csv.js';
+
+describe('CSV Import', () => {
+  describe('parseDelimited', () => {
+    it('should split simple records', () => {
+      const records = csv.parseDelimited('a,b\n1,2\n');
+
+      expect(records.map(r => r.fields)).toEqual([['a', 'b'], ['1', '2']]);
+    });
+
+    it('should handle quoted fields with delimiters, quotes and line breaks', () => {
+      const records = csv.parseDelimited('name,note\r\n"Smith, J","said ""hi""\nthen left"\r\nB,x\r\n');
+
+      expect(records[1].fields).toEqual(['Smith, J', 'said "hi"\nthen left']);
+      expect(records[2].fields).toEqual(['B', 'x']);
+      expect(records[2].row).toBe(4);
+    });
+
+    it('should skip blank lines and a byte order mark', () => {
+      const records = csv.parseDelimited('\uFEFFa,b\n\n1,2');
+
+      expect(records.map(r => r.fields)).toEqual([['a', 'b'], ['1', '2']]);
+      expect(records[1].row).toBe(3);
+    });
+
+    it('should report unterminated quotes with row and column', () => {
+      expect(() => csv.parseDelimited('a,b\n1,"open\n', ',', 'data.csv'))
+        .toThrow('data.csv: row 2, column 2: unterminated quoted field');
+    });
+
+    it('should reject text after a closing quote', () => {
+      expect(() => csv.parseDelimited('"a"b,c', ',', 'data.csv'))
+        .toThrow('data.csv: row 1, column 1: unexpected character after closing quote');
+    });
+
+    it('should split on tabs', () => {
+      const records = csv.parseDelimited('a\tb,c\n1\t2', '\t');
+
+      expect(records[0].fields).toEqual(['a', 'b,c']);
+    });
+  });
+
+  describe('detectDelimiter', () => {
+    it('should use the file extension', () => {
+      expect(csv.detectDelimiter('sales.tsv', 'a,b')).toBe('\t');
+      expect(csv.detectDelimiter('sales.csv', 'a\tb')).toBe(',');
+    });
+
+    it('should sniff tabs for unknown extensions', () => {
+      expect(csv.detectDelimiter('sales.txt', 'a\tb\n1\t2')).toBe('\t');
+      expect(csv.detectDelimiter('sales.txt', 'a,b\n1,2')).toBe(',');
+    });
+  });
+
+  describe('parseTable', () => {
+    it('should return headers and rows', () => {
+      const table = csv.parseTable('Region,Sales\nNorth,10\nSouth,20\n', { fileName: 'sales.csv' });
+
+      expect(table.headers).toEqual(['Region', 'Sales']);
+      expect(table.rows).toHaveLength(2);
+      expect(table.fileName).toBe('sales.csv');
+    });
+
+    it('should reject rows with the wrong number of fields', () => {
+      expect(() => csv.parseTable('a,b\n1,2\n3\n', { fileName: 'x.csv' }))
+        .toThrow('x.csv: row 3: expected 2 fields but found 1');
+    });
+
+    it('should reject empty files and header-only files', () => {
+      expect(() => csv.parseTable('', { fileName: 'x.csv' })).toThrow('x.csv: file is empty');
+      expect(() => csv.parseTable('a,b\n', { fileName: 'x.csv' })).toThrow('x.csv: no data rows after the header');
+    });
+  });
+
+  describe('extractDataset', () => {
+    const table = csv.parseTable('Region,Sales,Notes\nNorth,10,ok\n"South, East",20.5,ok\n', { fileName: 'sales.csv' });
+
+    it('should pick label and value columns', () => {
+      expect(csv.extractDataset(table, 0, [1])).toEqual({
+        labels: ['North', 'South, East'],
+        series: [{ name: 'Sales', values: [10, 20.5] }]
+      });
+    });
+
+    it('should import one series per value column', () => {
+      const wide = csv.parseTable('Region,2024,2025\nNorth,10,12\nSouth,20,18\n', { fileName: 'wide.csv' });
+
+      expect(csv.extractDataset(wide, 0, [1, 2]).series).toEqual([
+        { name: '2024', values: [10, 20] },
+        { name: '2025', values: [12, 18] }
+      ]);
+    });
+
+    it('should name the file, row and column of a non-numeric cell', () => {
+      expect(() => csv.extractDataset(table, 0, [1, 2]))
+        .toThrow('sales.csv: row 2, column 3 ("Notes"): "ok" is not a number');
+    });
+
+    it('should detect numeric columns', () => {
+      expect(csv.isNumericColumn(table, 0)).toBe(false);
+      expect(csv.isNumericColumn(table, 1)).toBe(true);
+    });
+
+    it('should not take infinite values for numbers', () => {
+      const infinite = csv.parseTable('Region,Sales\nNorth,Infinity\nSouth,1e400\n', { fileName: 'inf.csv' });
+
+      expect(csv.isNumericColumn(infinite, 1)).toBe(false);
+      expect(() => csv.extractDataset(infinite, 0, [1]))
+        .toThrow('inf.csv: row 2, column 2 ("Sales"): "Infinity" is not a number');
+    });
+
+    it('should default to the first text and first numeric columns', () => {
+      const numbersFirst = csv.parseTable('Year,Region,Sales\n2024,North,10\n', { fileName: 'n.csv' });
+
+      expect(csv.defaultColumns(table)).toEqual({ labelColumn: 0, valueColumns: [1] });
+      expect(csv.defaultColumns(numbersFirst)).toEqual({ labelColumn: 1, valueColumns: [0] });
+    });
+  });
+
+  describe('Input field lists', () => {
+    it('should round-trip labels containing commas and quotes', () => {
+      const labels = ['A', 'B, C', 'say "hi"'];
+      const line = csv.joinList(labels);
+
+      expect(line).toBe('A,"B, C","say ""hi"""');
+      expect(csv.splitList(line)).toEqual(labels);
+    });
+
+    it('should split plain input like String.split', () => {
+      expect(csv.splitList('A, B ,C')).toEqual(['A', 'B', 'C']);
+      expect(csv.splitList('')).toEqual(['']);
+    });
+
+    it('should allow spaces before an opening quote', () => {
+      expect(csv.splitList('A, "B, C"')).toEqual(['A', 'B, C']);
+    });
+  });
+});
@@ -6,6 +6,7 @@
 
 import { describe, it, expect, beforeEach, jest } from 'bun:test';
 import { createMockDOM, mockFS, mockPath, mockChildProcess, waitFor } from './test-utils.js';
+import emacs from '../emacs.js';
 
 describe('Emacs Integration', () => {
   let dom, document;
@@ -363,6 +364,31 @@ describe('Emacs Integration', () => {
       expect(script).toContain('(load-file "/mock/cwd/bar-graph.el")');
     });
 
+    it('should send several series as grouped data', () => {
+      const grouped = emacs.dataForms(['North', 'South'], [
+        { name: '2024', values: [10, -5] },
+        { name: 'Say "hi"', values: [12, 7] }
+      ]);
+
+      expect(grouped).toContain('(setq bar-graph-series \'(("2024" 10 -5) ("Say \\"hi\\"" 12 7)))');
+      expect(grouped).toContain('(bar-graph-create-grouped-ascii bar-graph-series bar-graph-labels)');
+
+      const single = emacs.dataForms(['A', 'B'], [{ name: 'Series 1', values: [1, 2] }]);
+
+      expect(single).toContain('(setq bar-graph-data \'(1 2))');
+      expect(single).toContain('(bar-graph-create-ascii bar-graph-data bar-graph-labels)');
+    });
+
+    it('should build the whole script the window runs', () => {
+      const data = { labels: ['X', 'Y'], series: [{ name: 'Series 1', values: [1, 100] }] };
+      const script = emacs.emacsScript(data, { elFile: 'C:\\app\\bar-graph.el', logBase: 10 });
+
+      expect(script).toContain('(load-file "C:\\\\app\\\\bar-graph.el")');
+      expect(script).toContain('(setq bar-graph-log-base 10)');
+      expect(script).toContain('(setq bar-graph-labels \'("X" "Y"))');
+      expect(emacs.emacsScript(data, { elFile: '/app/bar-graph.el' })).toContain('(setq bar-graph-log-base nil)');
+    });
+
     it('should handle special characters in labels', () => {
       const labels = ['Test "Quote"', "Test 'Apostrophe'", 'Test\\Backslash'];
       
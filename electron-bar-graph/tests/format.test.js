@@ -0,0 +1,73 @@
+/*
+ * Electron Bar Graph - Number Format Tests
+ * Copyright (C) 2025
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { describe, it, expect } from 'bun:test';
+import format from '../format.js';
+
+describe('Number Formatting', () => {
+  describe('formatNumber', () => {
+    it('should show values as they are by default', () => {
+      expect(format.formatNumber(12.5)).toBe('12.5');
+      expect(format.formatNumber(0.1 + 0.2)).toBe('0.3');
+      expect(format.formatNumber(-7)).toBe('-7');
+    });
+
+    it('should round to a fixed number of decimals', () => {
+      expect(format.formatNumber(3.14159, { decimals: 2 })).toBe('3.14');
+      expect(format.formatNumber(3, { decimals: 1 })).toBe('3.0');
+    });
+
+    it('should group thousands', () => {
+      expect(format.formatNumber(1234567.891, { thousands: true, decimals: 2 })).toBe('1,234,567.89');
+      expect(format.formatNumber(999, { thousands: true })).toBe('999');
+    });
+
+    it('should shorten large values with SI suffixes', () => {
+      expect(format.formatNumber(1234, { notation: 'si' })).toBe('1.2k');
+      expect(format.formatNumber(3400000, { notation: 'si' })).toBe('3.4M');
+      expect(format.formatNumber(2e9, { notation: 'si', decimals: 2 })).toBe('2.00G');
+      expect(format.formatNumber(950, { notation: 'si' })).toBe('950');
+    });
+
+    it('should move to the next suffix when rounding reaches it', () => {
+      expect(format.formatNumber(999999, { notation: 'si' })).toBe('1M');
+      expect(format.formatNumber(-999.96, { notation: 'si' })).toBe('-1k');
+      expect(format.formatNumber(999.94, { notation: 'si' })).toBe('999.9');
+      expect(format.formatNumber(999499, { notation: 'si', decimals: 0 })).toBe('999k');
+      expect(format.formatNumber(999500, { notation: 'si', decimals: 0 })).toBe('1M');
+    });
+
+    it('should show fractions as percentages', () => {
+      expect(format.formatNumber(0.256, { notation: 'percent' })).toBe('25.6%');
+      expect(format.formatNumber(1 / 3, { notation: 'percent', decimals: 0 })).toBe('33%');
+    });
+
+    it('should wrap the number in a prefix and suffix', () => {
+      expect(format.formatNumber(1200, { prefix: '$', thousands: true })).toBe('$1,200');
+      expect(format.formatNumber(-1200, { prefix: '$', thousands: true })).toBe('-$1,200');
+      expect(format.formatNumber(5, { suffix: ' €' })).toBe('5 €');
+    });
+
+    it('should not show a sign on values that round to zero', () => {
+      expect(format.formatNumber(-0.04, { decimals: 1 })).toBe('0.0');
+    });
+  });
+
+  describe('validateFormat', () => {
+    it('should accept the defaults', () => {
+      expect(format.validateFormat(format.DEFAULT_FORMAT, 'numberFormat')).toEqual([]);
+    });
+
+    it('should list every bad setting', () => {
+      expect(format.validateFormat({ decimals: 1.5, thousands: 'yes', notation: 'roman', prefix: 1 }, 'numberFormat')).toEqual([
+        'numberFormat.decimals must be null or a whole number from 0 to 10',
+        'numberFormat.thousands must be true or false',
+        'numberFormat.notation must be one of plain, si, percent',
+        'numberFormat.prefix must be a string'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,118 @@
+/*
+ * Electron Bar Graph - Undo History Tests
+ * Copyright (C) 2025
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { describe, it, expect } from 'bun:test';
+import { createHistory } from '../history.js';
+
+// A history with a clock the tests move by hand
+const manualHistory = (options = {}) => {
+  let time = 0;
+  const history = createHistory({ ...options, now: () => time });
+  return { history, tick: (ms) => { time += ms; } };
+};
+
+describe('Undo History', () => {
+  it('should start with nothing to undo or redo', () => {
+    const history = createHistory();
+
+    expect(history.canUndo()).toBe(false);
+    expect(history.canRedo()).toBe(false);
+    expect(history.undo()).toBeNull();
+    expect(history.redo()).toBeNull();
+  });
+
+  it('should step back and forward through recorded states', () => {
+    const history = createHistory();
+    history.record({ title: 'a' });
+    history.record({ title: 'b' });
+    history.record({ title: 'c' });
+
+    expect(history.undo()).toEqual({ title: 'b' });
+    expect(history.undo()).toEqual({ title: 'a' });
+    expect(history.canUndo()).toBe(false);
+    expect(history.redo()).toEqual({ title: 'b' });
+    expect(history.canRedo()).toBe(true);
+  });
+
+  it('should hand back copies that later edits cannot change', () => {
+    const history = createHistory();
+    const state = { data: { values: [1] } };
+    history.record(state);
+    history.record({ data: { values: [2] } });
+    state.data.values.push(99);
+
+    expect(history.undo()).toEqual({ data: { values: [1] } });
+  });
+
+  it('should ignore a state equal to the current one', () => {
+    const history = createHistory();
+
+    expect(history.record({ title: 'a' })).toBe(true);
+    expect(history.record({ title: 'a' })).toBe(false);
+    expect(history.canUndo()).toBe(false);
+  });
+
+  it('should drop the redo steps when a new edit is made', () => {
+    const history = createHistory();
+    history.record({ title: 'a' });
+    history.record({ title: 'b' });
+    history.undo();
+    history.record({ title: 'c' });
+
+    expect(history.canRedo()).toBe(false);
+    expect(history.undo()).toEqual({ title: 'a' });
+  });
+
+  it('should merge a burst of edits with the same key', () => {
+    const { history, tick } = manualHistory({ coalesceMs: 1000 });
+    history.record({ title: '' });
+    history.record({ title: 'S' }, 'titleInput');
+    tick(300);
+    history.record({ title: 'Sa' }, 'titleInput');
+    tick(300);
+    history.record({ title: 'Sal' }, 'titleInput');
+
+    expect(history.undo()).toEqual({ title: '' });
+    expect(history.canUndo()).toBe(false);
+  });
+
+  it('should start a new step after a pause, another key or no key', () => {
+    const { history, tick } = manualHistory({ coalesceMs: 1000 });
+    history.record({ title: '', color: '#000000' });
+    history.record({ title: 'S', color: '#000000' }, 'titleInput');
+    tick(1500);
+    history.record({ title: 'Sa', color: '#000000' }, 'titleInput');
+    history.record({ title: 'Sa', color: '#111111' }, 'primaryColor');
+    history.record({ title: 'Sa', color: '#222222' });
+    history.record({ title: 'Sa', color: '#333333' });
+
+    expect(history.undo()).toEqual({ title: 'Sa', color: '#222222' });
+    expect(history.undo()).toEqual({ title: 'Sa', color: '#111111' });
+    expect(history.undo()).toEqual({ title: 'Sa', color: '#000000' });
+    expect(history.undo()).toEqual({ title: 'S', color: '#000000' });
+  });
+
+  it('should not merge into a step that was undone to', () => {
+    const { history } = manualHistory();
+    history.record({ title: '' });
+    history.record({ title: 'A' }, 'titleInput');
+    history.record({ title: 'AB' }, 'titleInput');
+    history.undo();
+    history.record({ title: 'X' }, 'titleInput');
+
+    expect(history.undo()).toEqual({ title: '' });
+    expect(history.redo()).toEqual({ title: 'X' });
+  });
+
+  it('should keep only the latest steps', () => {
+    const history = createHistory({ limit: 3 });
+    [1, 2, 3, 4].forEach((n) => history.record({ n }));
+
+    expect(history.undo()).toEqual({ n: 3 });
+    expect(history.undo()).toEqual({ n: 2 });
+    expect(history.undo()).toBeNull();
+  });
+});
@@ -0,0 +1,99 @@
+/*
+ * Electron Bar Graph - Data Input Tests
+ * Copyright (C) 2025
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { describe, it, expect } from 'bun:test';
+import input from '../input.js';
+
+describe('Data Input', () => {
+  describe('parseChartInput', () => {
+    it('should parse one series per semicolon-separated group', () => {
+      const data = input.parseChartInput({ values: '1,2;3,4', labels: 'A,"B, C"', series: '2024' });
+
+      expect(data.labels).toEqual(['A', 'B, C']);
+      expect(data.series).toEqual([{ name: '2024', values: [1, 2] }, { name: 'Series 2', values: [3, 4] }]);
+    });
+
+    it('should skip entries that are not numbers', () => {
+      expect(input.parseChartInput({ values: '1,abc,2', labels: 'A,B' }).series[0].values).toEqual([1, 2]);
+    });
+
+    it('should reject infinite values', () => {
+      expect(() => input.parseChartInput({ values: '1,Infinity', labels: 'A,B' })).toThrow('Error: Values must be finite numbers.');
+      expect(() => input.parseChartInput({ values: '1;-1e400', labels: 'A' })).toThrow('Error: Values must be finite numbers.');
+    });
+
+    it('should name the series whose length does not match', () => {
+      expect(() => input.parseChartInput({ values: '1,2', labels: 'A' }))
+        .toThrow('Error: Number of values must match the number of labels.');
+      expect(() => input.parseChartInput({ values: '1;2,3', labels: 'A', series: 'x,y' }))
+        .toThrow('Error: Series "y" has 2 values but there are 1 labels.');
+    });
+
+    it('should say where the quoting went wrong', () => {
+      expect(() => input.parseChartInput({ values: '1', labels: '"A' }))
+        .toThrow('Error: Labels: row 1, column 1: unterminated quoted field.');
+      expect(() => input.parseChartInput({ values: '1,2', labels: 'A,B', series: '"x"y' }))
+        .toThrow('Error: Series names: row 1, column 1: unexpected character after closing quote.');
+    });
+  });
+
+  describe('Editing on the chart', () => {
+    const data = {
+      labels: ['A', 'B', 'C'],
+      series: [
+        { name: '2024', values: [1, 2, 3] },
+        { name: '2025', values: [4, 5, 6] }
+      ]
+    };
+
+    it('should change one bar\'s value', () => {
+      const edited = input.setBarValue(data, 1, 2, 7.5);
+
+      expect(edited.series[1].values).toEqual([4, 5, 7.5]);
+      expect(edited.series[0].values).toEqual([1, 2, 3]);
+      expect(data.series[1].values).toEqual([4, 5, 6]);
+    });
+
+    it('should move a category with its values in every series', () => {
+      expect(input.moveCategory(data, 0, 2)).toEqual({
+        labels: ['B', 'C', 'A'],
+        series: [
+          { name: '2024', values: [2, 3, 1] },
+          { name: '2025', values: [5, 6, 4] }
+        ]
+      });
+      expect(input.moveCategory(data, 2, 0).labels).toEqual(['C', 'A', 'B']);
+      expect(data.labels).toEqual(['A', 'B', 'C']);
+    });
+  });
+
+  describe('parseDataJSON', () => {
+    it('should read labels with several series', () => {
+      const text = JSON.stringify({ labels: ['A', 'B'], series: [{ name: 'x', values: [1, 2] }] });
+
+      expect(input.parseDataJSON(text)).toEqual({ labels: ['A', 'B'], series: [{ name: 'x', values: [1, 2] }] });
+    });
+
+    it('should read a single list of values as one series', () => {
+      const text = JSON.stringify({ labels: ['A'], values: [3] });
+
+      expect(input.parseDataJSON(text).series).toEqual([{ name: 'Series 1', values: [3] }]);
+    });
+
+    it('should take the data out of a project file', () => {
+      const text = JSON.stringify({ format: 'electron-bar-graph', version: 1, data: { labels: ['A'], values: [4] } });
+
+      expect(input.parseDataJSON(text, 'chart.json').series[0].values).toEqual([4]);
+    });
+
+    it('should name the file in errors', () => {
+      expect(() => input.parseDataJSON('{"labels": [', 'feed.json')).toThrow('feed.json: not valid JSON');
+      expect(() => input.parseDataJSON('[1, 2]', 'feed.json')).toThrow('feed.json: expected an object with labels and series');
+      expect(() => input.parseDataJSON('{"labels": ["A"], "values": ["x"]}', 'feed.json'))
+        .toThrow('feed.json: invalid data: data.series[0].values must be an array of numbers');
+    });
+  });
+});
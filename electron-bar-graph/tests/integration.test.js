@@ -103,7 +103,6 @@ describe('Integration Tests', () => {
             .split(',')
             .map((x) => parseFloat(x.trim()))
             .filter((val) => !isNaN(val));
-          dataValues = dataValues.map((val) => Math.max(0, val));
 
           labels = labelText.split(',').map((x) => x.trim());
 
@@ -0,0 +1,162 @@
+/*
+ * Electron Bar Graph - Palette Tests
+ * Copyright (C) 2025
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { describe, it, expect } from 'bun:test';
+import palettes from '../palettes.js';
+import themes from '../themes.js';
+
+describe('Palettes', () => {
+  describe('parseColor', () => {
+    it('should read hex colors in both lengths', () => {
+      expect(palettes.parseColor('#3498db')).toEqual({ r: 52, g: 152, b: 219 });
+      expect(palettes.parseColor('#FFF')).toEqual({ r: 255, g: 255, b: 255 });
+    });
+
+    it('should read rgb(), hsl() and basic color names', () => {
+      expect(palettes.parseColor('rgb(128, 0, 128)')).toEqual({ r: 128, g: 0, b: 128 });
+      expect(palettes.toHex(palettes.parseColor('hsl(240, 100%, 50%)'))).toBe('#0000ff');
+      expect(palettes.parseColor('navy')).toEqual({ r: 0, g: 0, b: 128 });
+    });
+
+    it('should return null for anything else', () => {
+      expect(palettes.parseColor('see-through')).toBeNull();
+      expect(palettes.parseColor(undefined)).toBeNull();
+    });
+  });
+
+  describe('OKLab', () => {
+    it('should convert there and back', () => {
+      ['#3498db', '#000000', '#ffffff', '#f0e442'].forEach((color) => {
+        expect(palettes.toHex(palettes.oklabToRgb(palettes.rgbToOklab(palettes.parseColor(color))))).toBe(color);
+      });
+    });
+
+    it('should give white full lightness and no color', () => {
+      const white = palettes.rgbToOklab({ r: 255, g: 255, b: 255 });
+
+      expect(white.L).toBeCloseTo(1, 4);
+      expect(white.a).toBeCloseTo(0, 4);
+      expect(white.b).toBeCloseTo(0, 4);
+    });
+
+    it('should mix in OKLab rather than sRGB', () => {
+      const middle = palettes.interpolateColors(['#000000', '#ffffff'], 0.5);
+
+      // Half way in perceived lightness, not half the channel value
+      expect(palettes.rgbToOklab(palettes.parseColor(middle)).L).toBeCloseTo(0.5, 2);
+      expect(middle).not.toBe('#808080');
+      expect(palettes.interpolateColors(['#ff0000', '#0000ff'], 0)).toBe('#ff0000');
+      expect(palettes.interpolateColors(['#ff0000', '#0000ff'], 1)).toBe('#0000ff');
+    });
+  });
+
+  describe('paletteColors', () => {
+    it('should repeat categorical palettes', () => {
+      const colors = palettes.paletteColors('Okabe-Ito', 10);
+
+      expect(colors[0]).toBe('#e69f00');
+      expect(colors[8]).toBe(colors[0]);
+    });
+
+    it('should sample sequential and diverging palettes end to end', () => {
+      expect(palettes.paletteColors('Blues', 2)).toEqual(['#c6dbef', '#08306b']);
+      expect(palettes.paletteColors('Blue-Red', 3)).toEqual(['#2166ac', '#f7f7f7', '#b2182b']);
+      expect(palettes.paletteColors('Blue-Red', 1)).toEqual(['#f7f7f7']);
+    });
+
+    it('should fall back to the default palette', () => {
+      expect(palettes.paletteColors('Plaid', 1)).toEqual(palettes.paletteColors(palettes.DEFAULT_PALETTE, 1));
+    });
+
+    it('should only list palettes of known kinds', () => {
+      palettes.PALETTES.forEach((palette) => {
+        expect(palettes.PALETTE_KINDS).toContain(palette.kind);
+        expect(palette.colors.every((color) => palettes.parseColor(color))).toBe(true);
+      });
+    });
+  });
+
+  describe('createColorScale', () => {
+    const stops = ['#0000ff', '#ffffff', '#ff0000'];
+
+    it('should spread the stops from the lowest to the highest value', () => {
+      const scale = palettes.createColorScale(stops, { min: 10, max: 30 });
+
+      expect(scale.color(10)).toBe('#0000ff');
+      expect(scale.color(20)).toBe('#ffffff');
+      expect(scale.color(30)).toBe('#ff0000');
+      expect(scale.position(40)).toBe(1);
+    });
+
+    it('should give each side of the midpoint half the scale', () => {
+      const scale = palettes.createColorScale(stops, { min: -10, max: 40, midpoint: 0 });
+
+      expect(scale.color(0)).toBe('#ffffff');
+      expect(scale.position(-5)).toBe(0.25);
+      expect(scale.position(20)).toBe(0.75);
+    });
+
+    it('should widen the range to take in the midpoint', () => {
+      const scale = palettes.createColorScale(stops, { min: 10, max: 30, midpoint: 0 });
+
+      expect(scale.min).toBe(0);
+      expect(scale.color(10)).not.toBe('#0000ff');
+    });
+
+    it('should use the middle color when every value is the same', () => {
+      expect(palettes.createColorScale(stops, { min: 5, max: 5 }).color(5)).toBe('#ffffff');
+    });
+  });
+
+  describe('simulateColor', () => {
+    it('should leave colors unchanged for typical vision', () => {
+      expect(palettes.simulateColor('#e69f00', 'none')).toBe('#e69f00');
+      expect(palettes.simulateColor('see-through', 'protanopia')).toBe('see-through');
+    });
+
+    it('should keep grays gray', () => {
+      palettes.DEFICIENCIES.filter((d) => d !== 'none').forEach((deficiency) => {
+        expect(palettes.simulateColor('white', deficiency)).toBe('#ffffff');
+      });
+    });
+
+    it('should make red and green hard to tell apart without red cones', () => {
+      const red = palettes.simulateColor('#ff0000', 'protanopia');
+      const green = palettes.simulateColor('#00aa00', 'protanopia');
+
+      expect(palettes.contrastRatio(red, green)).toBeLessThan(palettes.contrastRatio('#ff0000', '#00aa00') + 1);
+      expect(palettes.parseColor(red).r).toBeLessThan(128);
+    });
+
+    it('should reduce colors to their lightness without any cones', () => {
+      const { r, g, b } = palettes.parseColor(palettes.simulateColor('#3498db', 'achromatopsia'));
+
+      expect(r).toBe(g);
+      expect(g).toBe(b);
+    });
+  });
+
+  describe('Contrast', () => {
+    it('should measure the WCAG contrast ratio', () => {
+      expect(palettes.contrastRatio('black', 'white')).toBeCloseTo(21);
+      expect(palettes.contrastRatio('#777777', '#777777')).toBe(1);
+      expect(palettes.contrastRatio('#777777', 'see-through')).toBeNull();
+    });
+
+    it('should list each color under 3:1 against the background once', () => {
+      expect(palettes.checkContrast(['#f7f7f7', '#0072b2', '#f7f7f7', '#e8e8e8'], 'white')).toEqual(['#f7f7f7', '#e8e8e8']);
+      expect(palettes.checkContrast(['#f0e442', '#202020'], '#1e1f24')).toEqual(['#202020']);
+    });
+
+    it('should flag shipped palette colors that vanish into a built-in theme', () => {
+      const background = (name) => themes.findTheme(name).background;
+
+      expect(palettes.checkContrast(palettes.findPalette('Okabe-Ito').colors, background('High Contrast'))).toEqual(['#000000']);
+      expect(palettes.checkContrast(palettes.findPalette('Viridis').colors, background('Dark'))).toContain('#440154');
+      expect(palettes.checkContrast(palettes.findPalette('Cividis').colors, background('Dark'))).toContain('#00224e');
+    });
+  });
+});
@@ -0,0 +1,54 @@
+/*
+ * Electron Bar Graph - Pattern Fill Tests
+ * Copyright (C) 2025
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { describe, it, expect } from 'bun:test';
+import patterns from '../patterns.js';
+
+describe('Pattern Fills', () => {
+  describe('parsePatterns', () => {
+    it('should read a comma-separated list, ignoring case and spaces', () => {
+      expect(patterns.parsePatterns(' Diagonal, dots ,NONE')).toEqual({ patterns: ['diagonal', 'dots', 'none'], unknown: [] });
+      expect(patterns.parsePatterns('')).toEqual({ patterns: [], unknown: [] });
+    });
+
+    it('should set aside names that are not patterns', () => {
+      expect(patterns.parsePatterns('stripes, plaid,, dots')).toEqual({ patterns: ['stripes', 'dots'], unknown: ['plaid'] });
+    });
+  });
+
+  describe('patternInk', () => {
+    it('should pick black or white, whichever shows better', () => {
+      expect(patterns.patternInk('#ffff99')).toBe('black');
+      expect(patterns.patternInk('#08306b')).toBe('white');
+      expect(patterns.patternInk('navy')).toBe('white');
+    });
+
+    it('should fall back to black for colors it cannot read', () => {
+      expect(patterns.patternInk('not a color')).toBe('black');
+    });
+  });
+
+  describe('PATTERN_SHAPES', () => {
+    it('should describe every pattern', () => {
+      expect(Object.keys(patterns.PATTERN_SHAPES)).toEqual(patterns.PATTERNS);
+      expect(patterns.PATTERN_SHAPES.none).toEqual([]);
+    });
+
+    it('should build the crosshatch from both diagonals', () => {
+      const { diagonal, crosshatch } = patterns.PATTERN_SHAPES;
+
+      expect(crosshatch.slice(0, diagonal.length)).toEqual(diagonal);
+      expect(crosshatch.length).toBe(2 * diagonal.length);
+    });
+
+    it('should keep dots inside the tile', () => {
+      patterns.PATTERN_SHAPES.dots.forEach(({ cx, cy, r }) => {
+        expect(cx - r).toBeGreaterThanOrEqual(0);
+        expect(cy + r).toBeLessThanOrEqual(patterns.PATTERN_SIZE);
+      });
+    });
+  });
+});
@@ -0,0 +1,234 @@
+/*
+ * Electron Bar Graph - Project File Tests
+ * Copyright (C) 2025
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { describe, it, expect } from 'bun:test';
+import project from '../project.js';
+import themes from '../themes.js';
+
+describe('Project Files', () => {
+  const state = {
+    data: {
+      labels: ['A', 'B, C', 'D'],
+      series: [
+        { name: '2024', values: [10, 20.5, 30] },
+        { name: '2025', values: [-4, 22, 31] }
+      ]
+    },
+    chart: {
+      mode: 'stacked',
+      orientation: 'horizontal',
+      title: 'Quarterly sales',
+      subtitle: 'All regions',
+      xAxisTitle: 'Region',
+      yAxisTitle: 'Revenue (kUSD)',
+      footnote: 'Source: ledger',
+      gridlines: true,
+      scale: 'log',
+      logBase: 2,
+      valueLabels: 'above',
+      numberFormat: { decimals: 1, thousands: true, notation: 'si', prefix: '$', suffix: '' },
+      legend: 'right',
+      tooltip: ['label', 'value'],
+      theme: themes.findTheme('Dark')
+    },
+    colors: { mode: 'gradient', primary: '#112233', secondary: '#445566', custom: '', palette: 'Cividis', scale: 'Blue-Red', midpoint: 0,
+      rules: [{ field: 'value', operator: '<', value: 90, color: '#e74c3c', name: 'Breached' }], patterns: ['diagonal', 'none', 'dots'], patternsPer: 'bar' },
+    export: { fileName: 'quarterly', quality: 0.8, width: 1200, height: 630 }
+  };
+
+  describe('createProject', () => {
+    it('should stamp the format and version', () => {
+      const doc = project.createProject(state);
+
+      expect(doc.format).toBe('electron-bar-graph');
+      expect(doc.version).toBe(project.PROJECT_VERSION);
+    });
+
+    it('should fill in a partial number format', () => {
+      const doc = project.createProject({ data: state.data, chart: { numberFormat: { prefix: '€' } } });
+
+      expect(doc.chart.numberFormat).toEqual({ decimals: null, thousands: false, notation: 'plain', prefix: '€', suffix: '' });
+    });
+
+    it('should fill in missing settings with defaults', () => {
+      const doc = project.createProject({ data: { labels: ['A'], series: [{ name: 'Series 1', values: [1] }] } });
+
+      expect(doc.chart).toEqual(project.DEFAULT_PROJECT.chart);
+      expect(doc.colors).toEqual(project.DEFAULT_PROJECT.colors);
+      expect(doc.export).toEqual(project.DEFAULT_PROJECT.export);
+    });
+  });
+
+  describe('Round trip', () => {
+    it('should read back exactly what was saved', () => {
+      const doc = project.createProject(state);
+      const text = project.serializeProject(doc);
+
+      expect(project.parseProject(text, 'chart.bargraph')).toEqual(doc);
+    });
+
+    it('should write readable JSON ending with a newline', () => {
+      const text = project.serializeProject(project.createProject(state));
+
+      expect(text.endsWith('}\n')).toBe(true);
+      expect(text).toContain(`\n  "version": ${project.PROJECT_VERSION},`);
+    });
+  });
+
+  describe('Older versions', () => {
+    it('should read version 1 files as a single series', () => {
+      const text = JSON.stringify({
+        format: 'electron-bar-graph',
+        version: 1,
+        data: { values: [1, 2], labels: ['A', 'B'] }
+      });
+
+      const doc = project.parseProject(text);
+
+      expect(doc.version).toBe(project.PROJECT_VERSION);
+      expect(doc.data).toEqual({ labels: ['A', 'B'], series: [{ name: 'Series 1', values: [1, 2] }] });
+    });
+  });
+
+  describe('parseProject errors', () => {
+    const docWith = (changes) => JSON.stringify({ ...project.createProject(state), ...changes });
+
+    it('should reject malformed JSON', () => {
+      expect(() => project.parseProject('{', 'chart.bargraph')).toThrow('chart.bargraph: not a valid project file');
+    });
+
+    it('should reject documents of another format', () => {
+      expect(() => project.parseProject('{"data": {}}', 'chart.bargraph'))
+        .toThrow('chart.bargraph: not an Electron Bar Graph project');
+    });
+
+    it('should reject unknown versions', () => {
+      expect(() => project.parseProject(docWith({ version: 99 }), 'chart.bargraph'))
+        .toThrow('chart.bargraph: unsupported project version 99');
+      expect(() => project.parseProject(docWith({ version: '1' }), 'chart.bargraph'))
+        .toThrow('unsupported project version "1"');
+    });
+
+    it('should list schema problems', () => {
+      const text = docWith({
+        data: { labels: ['A', 'B'], series: [{ name: 'S', values: [1, 'two'] }] },
+        colors: { mode: 'plaid', primary: 'blue' }
+      });
+
+      expect(() => project.parseProject(text, 'chart.bargraph')).toThrow(
+        'chart.bargraph: invalid project: data.series[0].values must be an array of numbers; ' +
+        'colors.mode must be one of single, gradient, rainbow, custom, theme, palette, value; ' +
+        'colors.primary must be a #rrggbb color'
+      );
+    });
+
+    it('should require values and labels of the same length', () => {
+      const text = docWith({ data: { labels: ['A'], series: [{ name: 'S', values: [1, 2] }] } });
+
+      expect(() => project.parseProject(text)).toThrow('data.series[0].values and data.labels must have the same length');
+    });
+
+    it('should require at least one series', () => {
+      const text = docWith({ data: { labels: [], series: [] } });
+
+      expect(() => project.parseProject(text)).toThrow('data.series must be a non-empty array');
+    });
+
+    it('should reject unknown bar modes', () => {
+      const text = docWith({ chart: { mode: 'pie' } });
+
+      expect(() => project.parseProject(text)).toThrow('chart.mode must be one of grouped, stacked, percent');
+    });
+
+    it('should reject unknown orientations', () => {
+      const text = docWith({ chart: { orientation: 'diagonal' } });
+
+      expect(() => project.parseProject(text)).toThrow('chart.orientation must be one of vertical, horizontal');
+    });
+
+    it('should require chart text to be strings', () => {
+      const text = docWith({ chart: { title: 'Sales', footnote: 2025 } });
+
+      expect(() => project.parseProject(text)).toThrow('chart.footnote must be a string');
+    });
+
+    it('should check value labels and their number format', () => {
+      const text = docWith({ chart: { valueLabels: 'below', numberFormat: { decimals: -1 } } });
+
+      expect(() => project.parseProject(text)).toThrow(
+        'chart.valueLabels must be one of none, inside, end, above; ' +
+        'chart.numberFormat.decimals must be null or a whole number from 0 to 10'
+      );
+    });
+
+    it('should reject unknown legend positions', () => {
+      const text = docWith({ chart: { legend: 'left' } });
+
+      expect(() => project.parseProject(text)).toThrow('chart.legend must be one of none, top, right, bottom, inside');
+    });
+
+    it('should reject unknown tooltip fields', () => {
+      const text = docWith({ chart: { tooltip: ['label', 'median'] } });
+
+      expect(() => project.parseProject(text)).toThrow('chart.tooltip must be a list of label, series, value, percent, rank');
+    });
+
+    it('should check the chart theme', () => {
+      const text = docWith({ chart: { theme: { ...themes.DEFAULT_THEME, background: 'see-through!' } } });
+
+      expect(() => project.parseProject(text)).toThrow('chart.theme.background must be a color such as #336699 or navy');
+    });
+
+    it('should reject unknown palettes', () => {
+      const text = docWith({ colors: { mode: 'palette', palette: 'Plaid' } });
+
+      expect(() => project.parseProject(text)).toThrow('colors.palette must be one of Okabe-Ito, Tol Bright');
+    });
+
+    it('should check the value color scale and its midpoint', () => {
+      const text = docWith({ colors: { mode: 'value', scale: 'Okabe-Ito', midpoint: 'zero' } });
+
+      expect(() => project.parseProject(text)).toThrow(
+        'colors.scale must be one of custom, Viridis, Cividis, Blues, Blue-Red, Purple-Orange; ' +
+        'colors.midpoint must be a number or null'
+      );
+    });
+
+    it('should check color rules', () => {
+      const text = docWith({ colors: { rules: [{ field: 'value', operator: '<', value: '90', color: '#e74c3c' }] } });
+
+      expect(() => project.parseProject(text)).toThrow('colors.rules[0].value must be a number');
+    });
+
+    it('should reject unknown fill patterns', () => {
+      const text = docWith({ colors: { patterns: ['dots', 'plaid'] } });
+
+      expect(() => project.parseProject(text)).toThrow('colors.patterns must be a list of none, diagonal, crosshatch, dots, stripes');
+      expect(() => project.parseProject(docWith({ colors: { patternsPer: 'category' } })))
+        .toThrow('colors.patternsPer must be one of series, bar');
+    });
+
+    it('should require gridlines to be a boolean', () => {
+      const text = docWith({ chart: { gridlines: 'yes' } });
+
+      expect(() => project.parseProject(text)).toThrow('chart.gridlines must be true or false');
+    });
+
+    it('should reject unknown scales and bad log bases', () => {
+      expect(() => project.parseProject(docWith({ chart: { scale: 'sqrt' } })))
+        .toThrow('chart.scale must be one of linear, log');
+      expect(() => project.parseProject(docWith({ chart: { scale: 'log', logBase: 1 } })))
+        .toThrow('chart.logBase must be a number greater than 1');
+    });
+
+    it('should reject out-of-range export settings', () => {
+      const text = docWith({ export: { quality: 2 } });
+
+      expect(() => project.parseProject(text)).toThrow('export.quality must be a number between 0 and 1');
+      expect(() => project.parseProject(docWith({ export: { width: 0 } }))).toThrow('export.width must be a positive whole number');
+    });
+  });
+});
@@ -71,7 +71,6 @@ describe('Renderer Process', () => {
             .split(',')
             .map((x) => parseFloat(x.trim()))
             .filter((val) => !isNaN(val));
-          dataValues = dataValues.map((val) => Math.max(0, val));
 
           labels = labelText.split(',').map((x) => x.trim());
 
@@ -232,7 +231,7 @@ describe('Renderer Process', () => {
       expect(result.labels).toEqual(['A', 'B']);
     });
 
-    it('should convert negative values to zero', () => {
+    it('should keep negative values', () => {
       const valuesInput = document.getElementById('valuesInput');
       const labelsInput = document.getElementById('labelsInput');
       
@@ -242,7 +241,7 @@ describe('Renderer Process', () => {
       const result = rendererFunctions.parseInputValues();
       
       expect(result.hasError).toBe(false);
-      expect(result.dataValues).toEqual([0, 20, 0, 30]);
+      expect(result.dataValues).toEqual([-10, 20, -5, 30]);
       expect(result.labels).toEqual(['A', 'B', 'C', 'D']);
     });
   });
@@ -0,0 +1,87 @@
+/*
+ * Electron Bar Graph - Color Rule Tests
+ * Copyright (C) 2025
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { describe, it, expect } from 'bun:test';
+import rules from '../rules.js';
+
+describe('Color Rules', () => {
+  const sla = [
+    { field: 'label', operator: '=', value: 'Us', color: '#8e44ad', name: 'Our team' },
+    { field: 'value', operator: '<', value: 90, color: '#e74c3c', name: '' },
+    { field: 'value', operator: '<', value: 99, color: '#f39c12', name: '' },
+    { field: 'value', operator: '>=', value: 99, color: '#27ae60', name: '' }
+  ];
+  const bar = (value, label = 'Them', series = 'Uptime') => ({ value, label, series });
+
+  describe('findRule', () => {
+    it('should pick the first rule a bar matches', () => {
+      expect(rules.findRule(sla, bar(85))).toBe(1);
+      expect(rules.findRule(sla, bar(90))).toBe(2);
+      expect(rules.findRule(sla, bar(99))).toBe(3);
+      expect(rules.findRule(sla, bar(85, 'Us'))).toBe(0);
+    });
+
+    it('should return -1 when no rule matches', () => {
+      expect(rules.findRule([], bar(1))).toBe(-1);
+      expect(rules.findRule(sla.slice(0, 2), bar(95))).toBe(-1);
+    });
+  });
+
+  describe('matchRule', () => {
+    it('should compare values', () => {
+      const rule = (operator) => ({ field: 'value', operator, value: 10 });
+
+      expect(rules.matchRule(rule('<='), bar(10))).toBe(true);
+      expect(rules.matchRule(rule('>'), bar(10))).toBe(false);
+      expect(rules.matchRule(rule('='), bar(10))).toBe(true);
+      expect(rules.matchRule(rule('!='), bar(10))).toBe(false);
+    });
+
+    it('should compare labels and series names as text', () => {
+      expect(rules.matchRule({ field: 'label', operator: '!=', value: 'Us' }, bar(1, 'us'))).toBe(true);
+      expect(rules.matchRule({ field: 'series', operator: 'contains', value: 'TIME' }, bar(1))).toBe(true);
+      expect(rules.matchRule({ field: 'series', operator: '=', value: 'Up' }, bar(1))).toBe(false);
+    });
+  });
+
+  describe('describeRule', () => {
+    it('should use the legend text, or spell the rule out', () => {
+      expect(rules.describeRule(sla[0])).toBe('Our team');
+      expect(rules.describeRule(sla[1], (v) => `${v}%`)).toBe('Value < 90%');
+      expect(rules.describeRule({ ...sla[0], name: '' })).toBe('Label = "Us"');
+    });
+  });
+
+  describe('validateRules', () => {
+    it('should accept well-formed rules', () => {
+      expect(rules.validateRules(sla)).toEqual([]);
+      expect(rules.validateRules([rules.DEFAULT_RULE])).toEqual([]);
+    });
+
+    it('should list every problem with where it is', () => {
+      const errors = rules.validateRules([
+        { field: 'value', operator: 'contains', value: '90', color: 'red' },
+        { field: 'label', operator: '=', value: 5, color: '#000000', name: 3 },
+        { field: 'size', operator: '<', value: 1, color: '#000000' },
+        'red'
+      ], 'colors.rules');
+
+      expect(errors).toEqual([
+        'colors.rules[0].operator must be one of <, <=, >, >=, =, !=',
+        'colors.rules[0].value must be a number',
+        'colors.rules[0].color must be a #rrggbb color',
+        'colors.rules[1].value must be a string',
+        'colors.rules[1].name must be a string',
+        'colors.rules[2].field must be one of value, label, series',
+        'colors.rules[3] must be an object'
+      ]);
+    });
+
+    it('should require a list', () => {
+      expect(rules.validateRules({})).toEqual(['rules must be a list']);
+    });
+  });
+});
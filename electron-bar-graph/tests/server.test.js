@@ -0,0 +1,223 @@
+/*
+ * Electron Bar Graph - Local Server Tests
+ * Copyright (C) 2025
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'bun:test';
+import net from 'node:net';
+import nodeProcess from 'node:process';
+import server from '../server.js';
+
+const TOKEN = 'test-token-0123456789';
+
+describe('Local Server', () => {
+  describe('serverOptions', () => {
+    it('should stay off without --listen', () => {
+      expect(server.serverOptions(['.'], {})).toBeNull();
+    });
+
+    it('should read the port and the token', () => {
+      expect(server.serverOptions(['--listen=9000'], { BAR_GRAPH_TOKEN: TOKEN }))
+        .toEqual({ port: 9000, token: TOKEN, generatedToken: false });
+    });
+
+    it('should make up a token when none is set', () => {
+      const options = server.serverOptions(['--listen'], {});
+
+      expect(options.port).toBe(server.DEFAULT_PORT);
+      expect(options.token).toMatch(/^[0-9a-f]{32}$/);
+      expect(options.generatedToken).toBe(true);
+    });
+
+    it('should reject bad ports and short tokens', () => {
+      expect(() => server.serverOptions(['--listen=http'], {})).toThrow('--listen: "http" is not a port number');
+      expect(() => server.serverOptions(['--listen'], { BAR_GRAPH_TOKEN: 'abc' }))
+        .toThrow('BAR_GRAPH_TOKEN must be at least 16 characters long');
+    });
+  });
+
+  describe('parseChartPayload', () => {
+    it('should accept field text or arrays', () => {
+      const fromText = server.parseChartPayload({ values: '1,2;3,4', labels: 'A,B' });
+      const fromArrays = server.parseChartPayload({ values: [[1, 2], [3, 4]], labels: ['A', 'B'] });
+
+      expect(fromArrays).toEqual(fromText);
+      expect(fromText.data.series).toHaveLength(2);
+    });
+
+    it('should keep labels containing commas intact', () => {
+      expect(server.parseChartPayload({ values: [1], labels: ['A, B'] }).data.labels).toEqual(['A, B']);
+    });
+
+    it('should apply the input field rules', () => {
+      expect(() => server.parseChartPayload({ values: [1, 2], labels: ['A'] }))
+        .toThrow('Error: Number of values must match the number of labels.');
+      expect(() => server.parseChartPayload([1])).toThrow('expected a JSON object');
+      expect(() => server.parseChartPayload({ values: 5 })).toThrow('values must be a string or an array');
+      expect(() => server.parseChartPayload(JSON.parse('{"values": [1, 1e400], "labels": ["A", "B"]}')))
+        .toThrow('Error: Values must be finite numbers.');
+    });
+
+    it('should check colors and title', () => {
+      const update = server.parseChartPayload({ values: [1], labels: ['A'], colors: { mode: 'rainbow' }, title: 'Build times' });
+
+      expect(update.colors.mode).toBe('rainbow');
+      expect(update.title).toBe('Build times');
+      expect(() => server.parseChartPayload({ values: [1], labels: ['A'], colors: { primary: 'red' } }))
+        .toThrow('colors.primary must be a #rrggbb color');
+      expect(() => server.parseChartPayload({ values: [1], labels: ['A'], title: 7 })).toThrow('title must be a string');
+      expect(server.parseChartPayload({ values: [1], labels: ['A'], footnote: 'Source: CI' }).footnote).toBe('Source: CI');
+    });
+  });
+
+  describe('WebSocket frames', () => {
+    const mask = (frame) => {
+      // Re-encode a server frame the way a client sends it
+      const key = Buffer.from([1, 2, 3, 4]);
+      const headerLength = frame.length - frame.subarray(2).length + (frame[1] === 126 ? 2 : 0);
+      const payload = Buffer.from(frame.subarray(headerLength));
+      for (let i = 0; i < payload.length; i++) payload[i] ^= key[i % 4];
+      const header = Buffer.from(frame.subarray(0, headerLength));
+      header[1] |= 0x80;
+      return Buffer.concat([header, key, payload]);
+    };
+
+    it('should round-trip short and long masked frames', () => {
+      const long = Buffer.alloc(300, 'x');
+      const wire = Buffer.concat([mask(server.encodeFrame(0x1, Buffer.from('hi'))), mask(server.encodeFrame(0x1, long))]);
+
+      const { frames, rest } = server.decodeFrames(wire);
+
+      expect(frames.map(f => f.payload.toString())).toEqual(['hi', long.toString()]);
+      expect(frames.every(f => f.fin && f.masked && f.opcode === 1)).toBe(true);
+      expect(rest.length).toBe(0);
+    });
+
+    it('should leave a partial frame for later', () => {
+      const wire = mask(server.encodeFrame(0x1, Buffer.from('hello')));
+
+      const { frames, rest } = server.decodeFrames(wire.subarray(0, 5));
+
+      expect(frames).toEqual([]);
+      expect(rest.length).toBe(5);
+    });
+  });
+
+  describe('createChartServer', () => {
+    let chartServer;
+    let port;
+    let base;
+    let state = null;
+    const pushed = [];
+
+    beforeAll(async () => {
+      // Some suites replace the global process with a stub; the HTTP server
+      // needs the real one
+      globalThis.process = nodeProcess;
+      chartServer = server.createChartServer({
+        token: TOKEN,
+        getState: () => state,
+        onPush: (update) => {
+          pushed.push(update);
+          return true;
+        }
+      });
+      port = await chartServer.listen(0);
+      base = `http://127.0.0.1:${port}`;
+    });
+
+    afterAll(async () => {
+      await chartServer.close();
+    });
+
+    const auth = { Authorization: `Bearer ${TOKEN}` };
+
+    it('should refuse requests without the token', async () => {
+      const response = await fetch(`${base}/chart`);
+
+      expect(response.status).toBe(401);
+      expect((await fetch(`${base}/chart`, { headers: { Authorization: 'Bearer nope' } })).status).toBe(401);
+    });
+
+    it('should report when there is no chart yet', async () => {
+      const response = await fetch(`${base}/chart`, { headers: auth });
+
+      expect(response.status).toBe(503);
+    });
+
+    it('should forward valid pushes', async () => {
+      const response = await fetch(`${base}/chart`, {
+        method: 'POST',
+        headers: auth,
+        body: JSON.stringify({ values: [3, 4], labels: ['A', 'B'] })
+      });
+
+      expect(response.status).toBe(200);
+      expect((await response.json()).ok).toBe(true);
+      expect(pushed.at(-1).data.series[0].values).toEqual([3, 4]);
+    });
+
+    it('should explain rejected pushes', async () => {
+      const post = (body) => fetch(`${base}/chart?token=${TOKEN}`, { method: 'POST', body });
+
+      const mismatch = await post(JSON.stringify({ values: [1, 2], labels: ['A'] }));
+      expect(mismatch.status).toBe(400);
+      expect((await mismatch.json()).error).toBe('Error: Number of values must match the number of labels.');
+      expect((await post('{')).status).toBe(400);
+    });
+
+    it('should return the current state', async () => {
+      state = { format: 'electron-bar-graph', data: { labels: ['A'] } };
+
+      const response = await fetch(`${base}/chart`, { headers: auth });
+
+      expect(await response.json()).toEqual(state);
+    });
+
+    it('should reject other endpoints and methods', async () => {
+      expect((await fetch(`${base}/other`, { headers: auth })).status).toBe(404);
+      expect((await fetch(`${base}/chart`, { method: 'DELETE', headers: auth })).status).toBe(405);
+    });
+
+    it('should take pushes and send state over a WebSocket', async () => {
+      const socket = new WebSocket(`${base.replace('http', 'ws')}/ws?token=${TOKEN}`);
+      const messages = [];
+      const next = () => new Promise((resolve) => {
+        const check = () => (messages.length ? resolve(messages.shift()) : setTimeout(check, 5));
+        check();
+      });
+      socket.onmessage = (event) => messages.push(JSON.parse(event.data));
+      await new Promise((resolve) => { socket.onopen = resolve; });
+
+      expect(await next()).toEqual({ type: 'state', chart: state });
+
+      socket.send(JSON.stringify({ values: '7,8', labels: 'X,Y' }));
+      expect(await next()).toMatchObject({ type: 'result', ok: true });
+      expect(pushed.at(-1).data.labels).toEqual(['X', 'Y']);
+
+      socket.send(JSON.stringify({ values: '7', labels: 'X,Y' }));
+      expect(await next()).toMatchObject({ type: 'result', ok: false });
+
+      chartServer.broadcastState({ data: 'new' });
+      expect(await next()).toEqual({ type: 'state', chart: { data: 'new' } });
+
+      socket.close();
+    });
+
+    it('should survive a client resetting a refused handshake', async () => {
+      const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+      const socket = net.connect(port, '127.0.0.1');
+      await new Promise((resolve) => socket.once('connect', resolve));
+      socket.write(
+        'GET /ws?token=wrong HTTP/1.1\r\nHost: 127.0.0.1\r\nUpgrade: websocket\r\n' +
+          'Connection: Upgrade\r\nSec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==\r\nSec-WebSocket-Version: 13\r\n\r\n'
+      );
+      await wait(20);
+      socket.resetAndDestroy();
+      await wait(20);
+
+      expect((await fetch(`${base}/chart`, { headers: auth })).status).toBe(200);
+    });
+  });
+});
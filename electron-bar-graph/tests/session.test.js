@@ -0,0 +1,113 @@
+/*
+ * Electron Bar Graph - Session Tests
+ * Copyright (C) 2025
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { describe, it, expect } from 'bun:test';
+import session from '../session.js';
+import project from '../project.js';
+
+describe('Session', () => {
+  const chart = project.createProject({
+    data: { labels: ['A', 'B'], series: [{ name: 'Series 1', values: [3, 4] }] },
+    chart: { title: 'Restored' }
+  });
+  const saved = {
+    chart,
+    filePath: '/charts/sales.bargraph',
+    window: { x: 100, y: 80, width: 1024, height: 700, maximized: true },
+    recent: ['/charts/sales.bargraph', '/charts/costs.bargraph'],
+    running: false
+  };
+
+  describe('parseSession', () => {
+    it('should read back what was saved', () => {
+      expect(session.parseSession(session.serializeSession(saved))).toEqual(saved);
+    });
+
+    it('should start afresh from unreadable contents', () => {
+      expect(session.parseSession('{')).toEqual(session.EMPTY_SESSION);
+      expect(session.parseSession('[]')).toEqual(session.EMPTY_SESSION);
+    });
+
+    it('should drop a chart that is not a valid project, with its file', () => {
+      const text = JSON.stringify({ ...saved, chart: { format: 'electron-bar-graph', version: 2, data: {} } });
+      const restored = session.parseSession(text);
+
+      expect(restored.chart).toBeNull();
+      expect(restored.filePath).toBeNull();
+      expect(restored.recent).toEqual(saved.recent);
+    });
+
+    it('should drop bad window bounds and recent entries', () => {
+      const text = JSON.stringify({ ...saved, window: { x: 0, y: 0, width: 0, height: 600 }, recent: ['/a.bargraph', 7, ''] });
+      const restored = session.parseSession(text);
+
+      expect(restored.window).toBeNull();
+      expect(restored.recent).toEqual(['/a.bargraph']);
+    });
+
+    it('should tell whether the app was still running', () => {
+      expect(session.parseSession(JSON.stringify({ ...saved, running: true })).running).toBe(true);
+      expect(session.parseSession('{}').running).toBe(false);
+    });
+  });
+
+  describe('addRecent', () => {
+    it('should put the file first without repeating it', () => {
+      expect(session.addRecent(['/a', '/b', '/c'], '/c')).toEqual(['/c', '/a', '/b']);
+      expect(session.addRecent([], '/a')).toEqual(['/a']);
+    });
+
+    it('should keep only the latest files', () => {
+      const recent = Array.from({ length: session.RECENT_LIMIT }, (_, i) => `/chart${i}`);
+      const updated = session.addRecent(recent, '/new');
+
+      expect(updated).toHaveLength(session.RECENT_LIMIT);
+      expect(updated[0]).toBe('/new');
+      expect(updated).not.toContain(`/chart${session.RECENT_LIMIT - 1}`);
+    });
+  });
+
+  describe('restoreBounds', () => {
+    const workAreas = [{ x: 0, y: 0, width: 1920, height: 1050 }];
+
+    it('should keep bounds that are on a display', () => {
+      expect(session.restoreBounds(saved.window, workAreas)).toEqual({ x: 100, y: 80, width: 1024, height: 700 });
+    });
+
+    it('should give up on bounds left on a display that is gone', () => {
+      expect(session.restoreBounds({ x: 2000, y: 80, width: 800, height: 600 }, workAreas)).toBeNull();
+      expect(session.restoreBounds({ x: 1900, y: 80, width: 800, height: 600 }, workAreas)).toBeNull();
+      expect(session.restoreBounds(null, workAreas)).toBeNull();
+    });
+  });
+
+  describe('createRestoreGate', () => {
+    it('should drop a resize redraw that comes before the restore', async () => {
+      const gate = session.createRestoreGate();
+      const drawn = [];
+      const draw = gate.guard((data) => drawn.push(data));
+      let finishRestore;
+      const restore = new Promise((resolve) => {
+        finishRestore = resolve;
+      });
+      const started = restore.then((restored) => {
+        gate.open();
+        draw(restored);
+      });
+
+      // The window is laid out and resized while the session is read
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      draw('sample data');
+      expect(gate.isOpen()).toBe(false);
+
+      finishRestore('restored chart');
+      await started;
+      draw('after a later resize');
+
+      expect(drawn).toEqual(['restored chart', 'after a later resize']);
+    });
+  });
+});
@@ -6,6 +6,7 @@
 
 import { describe, it, expect, beforeEach, jest } from 'bun:test';
 import { createMockDOM } from './test-utils.js';
+import chart from '../chart.js';
 
 describe('SVG Export', () => {
   let dom, document;
@@ -44,8 +45,11 @@ describe('SVG Export', () => {
         const barSpacing = 10;
         const availableWidthForBars = graphWidth - (numBars - 1) * barSpacing;
         const barWidth = availableWidthForBars / numBars;
-        const maxValue = Math.max(...dataValues);
-        const scale = graphHeight / (maxValue > 0 ? maxValue : 1);
+        const maxValue = Math.max(0, ...dataValues);
+        const minValue = Math.min(0, ...dataValues);
+        const span = maxValue - minValue;
+        const scale = graphHeight / (span || 1);
+        const zeroY = topPadding + (span ? maxValue / span : 1) * graphHeight;
 
         const barColors = colors || Array(dataValues.length).fill('#3498db');
 
@@ -58,8 +62,8 @@ describe('SVG Export', () => {
         let xOffset = sidePadding;
         for (let i = 0; i < dataValues.length; i++) {
           const value = dataValues[i];
-          const barHeight = value * scale;
-          const y = svgHeight - bottomPadding - barHeight;
+          const barHeight = Math.abs(value) * scale;
+          const y = value >= 0 ? zeroY - barHeight : zeroY;
           
           svgContent += `<rect x="${xOffset}" y="${y}" width="${barWidth}" height="${barHeight}" fill="${barColors[i]}"/>`;
           
@@ -74,12 +78,15 @@ describe('SVG Export', () => {
         }
         
         // Axes
-        svgContent += `<line x1="${sidePadding}" y1="${svgHeight - bottomPadding}" x2="${svgWidth - sidePadding}" y2="${svgHeight - bottomPadding}" stroke="black" stroke-width="2"/>`;
+        svgContent += `<line x1="${sidePadding}" y1="${zeroY}" x2="${svgWidth - sidePadding}" y2="${zeroY}" stroke="black" stroke-width="2"/>`;
         svgContent += `<line x1="${sidePadding}" y1="${topPadding}" x2="${sidePadding}" y2="${svgHeight - bottomPadding}" stroke="black" stroke-width="2"/>`;
         
         // Y-axis labels
         svgContent += `<text x="${sidePadding - 10}" y="${topPadding}" text-anchor="end" dominant-baseline="middle" font-family="Arial" font-size="12" fill="black">${maxValue.toFixed(1)}</text>`;
-        svgContent += `<text x="${sidePadding - 10}" y="${svgHeight - bottomPadding}" text-anchor="end" dominant-baseline="middle" font-family="Arial" font-size="12" fill="black">0</text>`;
+        svgContent += `<text x="${sidePadding - 10}" y="${svgHeight - bottomPadding}" text-anchor="end" dominant-baseline="middle" font-family="Arial" font-size="12" fill="black">${minValue < 0 ? minValue.toFixed(1) : '0'}</text>`;
+        if (minValue < 0 && maxValue > 0) {
+          svgContent += `<text x="${sidePadding - 10}" y="${zeroY}" text-anchor="end" dominant-baseline="middle" font-family="Arial" font-size="12" fill="black">0</text>`;
+        }
         
         svgContent += '</svg>';
         
@@ -298,6 +305,47 @@ describe('SVG Export', () => {
       // Should not crash and should contain bars with height 0
       expect(svgContent).toContain('height="0"');
       expect(svgContent).toContain('0.0'); // Max value label
+      // Baseline stays at the bottom of the plot
+      expect(svgContent).toContain('<line x1="30" y1="360" x2="730" y2="360"');
+    });
+  });
+
+  // These go through the real layout and SVG writer in chart.js
+  describe('Negative Values', () => {
+    const negativeSVG = (values) => {
+      const data = { labels: ['A', 'B'], series: [{ name: 'Series 1', values }] };
+      const layout = chart.layoutChart(data, { colors: ['#3498db', '#3498db'] });
+      return { layout, svg: chart.chartToSVG(layout) };
+    };
+
+    it('should move the zero line inside the plot', () => {
+      const { svg } = negativeSVG([30, -10]);
+
+      // Span is 40, so zero sits 30/40 of the way down the 330px plot
+      expect(svg).toContain('<line x1="30" y1="277.5" x2="730" y2="277.5" stroke="black" stroke-width="2"/>');
+    });
+
+    it('should draw negative bars downward from the zero line', () => {
+      const { layout, svg } = negativeSVG([30, -10]);
+
+      expect(layout.bars.map(b => [b.y, b.height])).toEqual([[30, 247.5], [277.5, 82.5]]);
+      expect(svg).toContain('<rect x="385" y="277.5" width="345" height="82.5" fill="#3498db"/>');
+    });
+
+    it('should label the minimum, the maximum and zero', () => {
+      const { svg } = negativeSVG([30, -10]);
+
+      expect(svg).toContain('y="30" text-anchor="end" dominant-baseline="middle" font-family="Arial" font-size="12" fill="black">30<');
+      expect(svg).toContain('y="360" text-anchor="end" dominant-baseline="middle" font-family="Arial" font-size="12" fill="black">-10<');
+      expect(svg).toContain('y="277.5" text-anchor="end" dominant-baseline="middle" font-family="Arial" font-size="12" fill="black">0<');
+    });
+
+    it('should put the zero line at the top when every value is negative', () => {
+      const { layout, svg } = negativeSVG([-5, -20]);
+
+      expect(svg).toContain('<line x1="30" y1="30" x2="730" y2="30"');
+      expect(layout.bars.map(b => [b.y, b.height])).toEqual([[30, 82.5], [30, 330]]);
+      expect(svg).toContain('y="360" text-anchor="end" dominant-baseline="middle" font-family="Arial" font-size="12" fill="black">-20<');
     });
   });
-});
\ No newline at end of file
+});
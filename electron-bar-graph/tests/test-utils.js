@@ -17,11 +17,18 @@ export const createMockDOM = () => {
   const mockContext = {
     clearRect: jest.fn(),
     fillRect: jest.fn(),
+    strokeRect: jest.fn(),
+    createLinearGradient: jest.fn(() => ({ addColorStop: jest.fn() })),
+    createPattern: jest.fn(() => ({})),
     fillText: jest.fn(),
     beginPath: jest.fn(),
     moveTo: jest.fn(),
     lineTo: jest.fn(),
     stroke: jest.fn(),
+    save: jest.fn(),
+    restore: jest.fn(),
+    translate: jest.fn(),
+    rotate: jest.fn(),
     toDataURL: jest.fn(() => 'data:image/png;base64,mock'),
     canvas: mockCanvas
   };
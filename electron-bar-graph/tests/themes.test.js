@@ -0,0 +1,116 @@
+/*
+ * Electron Bar Graph - Theme Tests
+ * Copyright (C) 2025
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { describe, it, expect } from 'bun:test';
+import themes from '../themes.js';
+
+describe('Themes', () => {
+  const brand = {
+    name: 'Brand',
+    background: '#fafafa',
+    text: 'navy',
+    mutedText: '#666',
+    axis: 'navy',
+    gridlines: '#dddddd',
+    fontFamily: '"Segoe UI", sans-serif',
+    palette: ['#003366', '#ff6600']
+  };
+
+  describe('Built-in themes', () => {
+    it('should all be valid', () => {
+      themes.BUILT_IN_THEMES.forEach((theme) => {
+        expect(themes.validateTheme(theme)).toEqual([]);
+      });
+    });
+
+    it('should default to the light theme', () => {
+      expect(themes.DEFAULT_THEME.name).toBe('Light');
+      expect(themes.findTheme('Dark').background).toBe('#1e1f24');
+    });
+
+    it('should find saved themes after the built-in ones', () => {
+      expect(themes.findTheme('Brand', [brand])).toBe(brand);
+      expect(themes.findTheme('Missing', [brand])).toBeNull();
+    });
+  });
+
+  describe('copyTheme', () => {
+    it('should keep only theme fields and share nothing', () => {
+      const copy = themes.copyTheme({ ...brand, extra: true });
+
+      expect(copy).toEqual(brand);
+      expect(copy.palette).not.toBe(brand.palette);
+    });
+  });
+
+  describe('uiColors', () => {
+    it('should use the theme window colors when it has them', () => {
+      expect(themes.uiColors(themes.DEFAULT_THEME)).toEqual(themes.DEFAULT_THEME.ui);
+    });
+
+    it('should follow the chart colors otherwise', () => {
+      expect(themes.uiColors(brand)).toEqual({
+        page: '#fafafa',
+        panel: '#fafafa',
+        text: 'navy',
+        heading: 'navy',
+        border: '#dddddd'
+      });
+    });
+  });
+
+  describe('Theme files', () => {
+    it('should read back what was saved', () => {
+      const text = themes.serializeTheme(brand);
+
+      expect(text).toContain('"format": "electron-bar-graph-theme"');
+      expect(themes.parseTheme(text, 'brand.bargraph-theme')).toEqual(brand);
+    });
+
+    it('should reject malformed files and other formats', () => {
+      expect(() => themes.parseTheme('{', 'brand.bargraph-theme')).toThrow('brand.bargraph-theme: not a valid theme file');
+      expect(() => themes.parseTheme('{"name": "Brand"}', 'brand.bargraph-theme'))
+        .toThrow('brand.bargraph-theme: not an Electron Bar Graph theme');
+    });
+
+    it('should reject unknown versions', () => {
+      const text = JSON.stringify({ ...JSON.parse(themes.serializeTheme(brand)), version: 2 });
+
+      expect(() => themes.parseTheme(text)).toThrow('theme: unsupported theme version 2');
+    });
+
+    it('should list every problem with a theme', () => {
+      const text = themes.serializeTheme({ ...brand, gridlines: 'rgb(1, 2, 3)', fontFamily: 'Arial; color: red' });
+
+      expect(() => themes.parseTheme(text, 'brand.bargraph-theme')).toThrow(
+        'brand.bargraph-theme: invalid theme: theme.gridlines must be a color such as #336699 or navy; ' +
+        'theme.fontFamily must be a font family such as Arial or "Segoe UI", sans-serif'
+      );
+    });
+
+    it('should only take color names it knows', () => {
+      const text = themes.serializeTheme({ ...brand, axis: 'Navy', text: 'foo', palette: ['#336699', 'bluish'] });
+
+      expect(() => themes.parseTheme(text)).toThrow(
+        'theme: invalid theme: theme.text must be a color such as #336699 or navy; ' +
+        'theme.palette[1] must be a color such as #336699 or navy'
+      );
+    });
+
+    it('should require a palette', () => {
+      const text = themes.serializeTheme({ ...brand, palette: [] });
+
+      expect(() => themes.parseTheme(text)).toThrow('theme.palette must be a non-empty list of colors');
+    });
+
+    it('should keep built-in names reserved', () => {
+      const text = themes.serializeTheme({ ...brand, name: 'Dark' });
+
+      expect(() => themes.parseTheme(text, 'dark.bargraph-theme'))
+        .toThrow('dark.bargraph-theme: the name "Dark" belongs to a built-in theme');
+    });
+  });
+});
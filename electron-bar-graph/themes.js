@@ -0,0 +1,213 @@
+/*
+ * Electron Bar Graph - A bar graph application using Electron and JavaScript.
+ * Copyright (C) 2025
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published
+ * by the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+// Chart themes: the colors and font a chart is drawn with, and the colors
+// of the window around it. The same theme object styles the canvas, SVG
+// and command-line output (through chart.layoutChart) and the window
+// (through uiColors), so all of them match.
+//
+// A theme holds:
+//   name - shown in the theme list; built-in names are reserved
+//   background, text, mutedText, axis, gridlines - chart colors; mutedText
+//     is for the subtitle and footnote
+//   fontFamily - the chart's font, as in CSS
+//   palette - bar colors for the "theme" color mode, repeated as needed
+//   ui - optional window colors: page, panel, text, heading and border.
+//     Left out, they follow the chart colors.
+//
+// Colors are CSS colors: #rgb, #rrggbb or one of the color names in
+// palettes.NAMED_COLORS, so the contrast checks can read them too. Theme files
+// (.bargraph-theme) hold one theme as JSON, with the format and version
+// next to the theme's own fields, so they can be written by hand and
+// shared.
+
+const { NAMED_COLORS } = require("./palettes.js");
+
+const THEME_FORMAT = "electron-bar-graph-theme";
+const THEME_VERSION = 1;
+const THEME_EXTENSION = "bargraph-theme";
+
+const THEME_COLORS = ["background", "text", "mutedText", "axis", "gridlines"];
+const UI_COLORS = ["page", "panel", "text", "heading", "border"];
+const HEX_COLOR = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+// Font family names, optionally quoted, separated by commas
+const FONT_FAMILY = /^[\w\s,'"-]+$/;
+
+const LIGHT_THEME = {
+  name: "Light",
+  background: "white",
+  text: "black",
+  mutedText: "#555555",
+  axis: "black",
+  gridlines: "#e0e0e0",
+  fontFamily: "Arial",
+  palette: ["#3498db", "#e74c3c", "#2ecc71", "#f39c12", "#9b59b6", "#1abc9c", "#34495e", "#e67e22"],
+  ui: { page: "#f0f2f5", panel: "#ffffff", text: "#333333", heading: "#2c3e50", border: "#cccccc" },
+};
+
+const BUILT_IN_THEMES = [
+  LIGHT_THEME,
+  {
+    name: "Dark",
+    background: "#1e1f24",
+    text: "#e8e8e8",
+    mutedText: "#a0a4ab",
+    axis: "#c8c8c8",
+    gridlines: "#3a3d44",
+    fontFamily: "Arial",
+    palette: ["#5dade2", "#ec7063", "#58d68d", "#f5b041", "#af7ac5", "#48c9b0", "#aab7b8", "#eb984e"],
+    ui: { page: "#121317", panel: "#1e1f24", text: "#e0e0e0", heading: "#f0f0f0", border: "#444851" },
+  },
+  {
+    name: "High Contrast",
+    background: "black",
+    text: "white",
+    mutedText: "yellow",
+    axis: "white",
+    gridlines: "#808080",
+    fontFamily: "Verdana",
+    palette: ["#ffff00", "#00ffff", "#ff00ff", "#00ff00", "#ff8000", "#ffffff"],
+    ui: { page: "#000000", panel: "#000000", text: "#ffffff", heading: "#ffff00", border: "#ffffff" },
+  },
+];
+
+const DEFAULT_THEME = LIGHT_THEME;
+
+const isObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+// A copy of a theme's own fields, with nothing shared with the original
+const copyTheme = (theme) => {
+  const copy = { name: theme.name };
+  THEME_COLORS.forEach((field) => {
+    copy[field] = theme[field];
+  });
+  copy.fontFamily = theme.fontFamily;
+  copy.palette = [...theme.palette];
+  if (theme.ui) {
+    copy.ui = {};
+    UI_COLORS.forEach((field) => {
+      copy.ui[field] = theme.ui[field];
+    });
+  }
+  return copy;
+};
+
+// Look a theme up by name among the built-in themes and then the given
+// ones. Returns null when there is none by that name.
+const findTheme = (name, themes = []) =>
+  [...BUILT_IN_THEMES, ...themes].find((theme) => theme.name === name) || null;
+
+const isBuiltInName = (name) => BUILT_IN_THEMES.some((theme) => theme.name === name);
+
+// Window colors for a theme: its ui colors, or ones following the chart's
+const uiColors = (theme) =>
+  theme.ui || {
+    page: theme.background,
+    panel: theme.background,
+    text: theme.text,
+    heading: theme.text,
+    border: theme.gridlines,
+  };
+
+// Check a theme. Returns a list of problems, each starting with where;
+// an empty list means the theme is valid.
+const validateTheme = (theme, where = "theme") => {
+  if (!isObject(theme)) return [`${where} must be an object`];
+  const errors = [];
+  const expect = (ok, message) => {
+    if (!ok) errors.push(message);
+  };
+  const isColor = (value) =>
+    typeof value === "string" && (HEX_COLOR.test(value) || Object.hasOwn(NAMED_COLORS, value.toLowerCase()));
+
+  expect(typeof theme.name === "string" && theme.name.trim() !== "", `${where}.name must be a non-empty string`);
+  THEME_COLORS.forEach((field) => {
+    expect(isColor(theme[field]), `${where}.${field} must be a color such as #336699 or navy`);
+  });
+  expect(
+    typeof theme.fontFamily === "string" && FONT_FAMILY.test(theme.fontFamily),
+    `${where}.fontFamily must be a font family such as Arial or "Segoe UI", sans-serif`,
+  );
+  expect(Array.isArray(theme.palette) && theme.palette.length > 0, `${where}.palette must be a non-empty list of colors`);
+  if (Array.isArray(theme.palette)) {
+    theme.palette.forEach((color, i) => {
+      expect(isColor(color), `${where}.palette[${i}] must be a color such as #336699 or navy`);
+    });
+  }
+  if (theme.ui !== undefined) {
+    expect(isObject(theme.ui), `${where}.ui must be an object`);
+    if (isObject(theme.ui)) {
+      UI_COLORS.forEach((field) => {
+        expect(isColor(theme.ui[field]), `${where}.ui.${field} must be a color such as #336699 or navy`);
+      });
+    }
+  }
+  return errors;
+};
+
+// The contents of a theme file for a theme
+const serializeTheme = (theme) =>
+  JSON.stringify({ format: THEME_FORMAT, version: THEME_VERSION, ...copyTheme(theme) }, null, 2) + "\n";
+
+// Parse theme file contents. Throws an Error naming the file when it is
+// not a valid theme, or takes the name of a built-in theme.
+const parseTheme = (text, fileName = "theme") => {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`${fileName}: not a valid theme file (${e.message})`);
+  }
+  if (!isObject(doc) || doc.format !== THEME_FORMAT) {
+    throw new Error(`${fileName}: not an Electron Bar Graph theme`);
+  }
+  if (doc.version !== THEME_VERSION) {
+    throw new Error(
+      `${fileName}: unsupported theme version ${JSON.stringify(doc.version)} (this version reads ${THEME_VERSION})`,
+    );
+  }
+
+  const { format, version, ...theme } = doc;
+  const errors = validateTheme(theme);
+  if (errors.length > 0) {
+    throw new Error(`${fileName}: invalid theme: ${errors.join("; ")}`);
+  }
+  if (isBuiltInName(theme.name)) {
+    throw new Error(`${fileName}: the name "${theme.name}" belongs to a built-in theme`);
+  }
+  return copyTheme(theme);
+};
+
+module.exports = {
+  THEME_FORMAT,
+  THEME_VERSION,
+  THEME_EXTENSION,
+  THEME_COLORS,
+  UI_COLORS,
+  BUILT_IN_THEMES,
+  DEFAULT_THEME,
+  copyTheme,
+  findTheme,
+  isBuiltInName,
+  uiColors,
+  validateTheme,
+  serializeTheme,
+  parseTheme,
+};